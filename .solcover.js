@@ -3,5 +3,5 @@ module.exports = {
   testCommand: 'npm test',
   compileCommand: 'npm run compile-contracts',
   copyPackages: ['openzeppelin-eth', 'openzeppelin-solidity', 'uFragments'],
-  skipFiles: ['IStaking.sol'],
+  skipFiles: ['IStaking.sol', 'mocks'],
 };
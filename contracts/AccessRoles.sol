@@ -0,0 +1,92 @@
+pragma solidity 0.5.0;
+
+import "openzeppelin-solidity/contracts/GSN/Context.sol";
+
+/**
+ * @title Roles held by single accounts.
+ * @dev Each role is held by at most one account. The admin hands a role over in two steps: it
+ *      proposes the new holder, who then accepts the role. So a role can not be handed to an
+ *      address nobody controls. The deployer starts out as the admin.
+ */
+contract AccessRoles is Context {
+    // Admin: Hands over the roles, and may call every function guarded by a role.
+    // Funder: Locks distribution tokens.
+    // Pauser: Pauses the contract.
+    enum Role { Admin, Funder, Pauser }
+
+    event RoleTransferStarted(Role indexed role, address indexed holder, address indexed pendingHolder);
+    event RoleTransferred(Role indexed role, address indexed previousHolder, address indexed newHolder);
+
+    // Indexed by Role.
+    address[3] private _holders;
+    address[3] private _pendingHolders;
+
+    constructor () internal {
+        setRole(Role.Admin, _msgSender());
+    }
+
+    modifier onlyRole(Role role) {
+        requireRole(role);
+        _;
+    }
+
+    /**
+     * @dev Reverts unless the caller holds the role or is the admin.
+     */
+    function requireRole(Role role) internal view {
+        address sender = _msgSender();
+        require(sender == _holders[uint256(role)] || sender == _holders[uint256(Role.Admin)],
+            'AccessRoles: caller does not have the role');
+    }
+
+    /**
+     * @return The holder of the role, or the zero address if nobody holds it.
+     */
+    function roleHolder(Role role) public view returns (address) {
+        return _holders[uint256(role)];
+    }
+
+    /**
+     * @return The account which may accept the role, or the zero address if none.
+     */
+    function pendingRoleHolder(Role role) public view returns (address) {
+        return _pendingHolders[uint256(role)];
+    }
+
+    /**
+     * @dev Starts handing the role over to newHolder, who then has to call acceptRole. The role
+     *      stays with its holder until then. Replaces any pending hand-over, and the zero
+     *      address cancels it.
+     * @param role The role to hand over.
+     * @param newHolder The account which may accept the role.
+     */
+    function transferRole(Role role, address newHolder) external onlyRole(Role.Admin) {
+        _pendingHolders[uint256(role)] = newHolder;
+        emit RoleTransferStarted(role, _holders[uint256(role)], newHolder);
+    }
+
+    /**
+     * @dev Completes the hand-over of the role to the caller.
+     * @param role The role to accept.
+     */
+    function acceptRole(Role role) external {
+        address sender = _msgSender();
+        require(sender == _pendingHolders[uint256(role)], 'AccessRoles: caller is not the pending holder');
+        setRole(role, sender);
+    }
+
+    /**
+     * @dev Takes the role away from its holder at once, and cancels any pending hand-over.
+     *      Revoking the admin role leaves every function guarded by a role uncallable for good.
+     * @param role The role to revoke.
+     */
+    function revokeRole(Role role) external onlyRole(Role.Admin) {
+        setRole(role, address(0));
+    }
+
+    function setRole(Role role, address holder) internal {
+        emit RoleTransferred(role, _holders[uint256(role)], holder);
+        _holders[uint256(role)] = holder;
+        delete _pendingHolders[uint256(role)];
+    }
+}
@@ -0,0 +1,470 @@
+pragma solidity 0.5.0;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/IERC20.sol";
+
+import "./TokenPool.sol";
+
+/**
+ * @title Distributions
+ * @dev The locked/unlocked accounting of a TokenGeyser distribution token: its pools, its unlock
+ *      schedules and the curves they unlock along. It also rescues other tokens sent to the geyser
+ *      or its pools by mistake. The functions are external to the geyser and operate on its
+ *      storage, which keeps the geyser within the contract size limit.
+ *      Events are logged by the geyser, which declares them as well.
+ */
+library Distributions {
+    using SafeMath for uint256;
+
+    event TokensLocked(uint256 amount, uint256 durationSec, uint256 total, uint256 startAtSec, uint256 cliffSec,
+        IERC20 indexed token);
+    event UnlockCurveSet(UnlockCurve curve, uint256[] offsetsSec, uint256[] unlockedFractions);
+    // amount: Unlocked tokens, total: Total locked tokens
+    event TokensUnlocked(uint256 amount, uint256 total, IERC20 indexed token);
+    event TokensClaimed(address indexed user, uint256 amount, IERC20 indexed token);
+    event DistributionTokenAdded(IERC20 indexed token);
+    // amount: Donated tokens, lockedShares: Shares added to unlock schedule s, or 0 for a donation to
+    // the unlocked pool
+    event TokensDonated(address indexed donor, uint256 amount, uint256 s, uint256 lockedShares,
+        IERC20 indexed token);
+    event TokensReclaimed(uint256 lockedAmount, uint256 unlockedAmount, address to, IERC20 indexed token);
+    event FundsRescued(IERC20 indexed token, address indexed to, uint256 amount);
+
+    // Linear schedules unlock evenly from start to end. The other curves are defined by
+    // breakpoints (seconds since the start, cumulative fraction unlocked) and always reach 100%
+    // at endAtSec: PiecewiseLinear interpolates between breakpoints, Step unlocks the fraction of
+    // each breakpoint at once when it is reached.
+    enum UnlockCurve { Linear, PiecewiseLinear, Step }
+    // The same as the constants TokenGeyser exposes.
+    uint256 private constant UNLOCK_CURVE_DECIMALS = 4;
+    uint256 private constant MAX_UNLOCK_CURVE_POINTS = 16;
+    uint256 private constant MAX_DISTRIBUTION_TOKENS = 4;
+
+    // Unlocking starts at endAtSec - durationSec, which may be in the future. Nothing unlocks
+    // before cliffAtSec; from then on, shares unlock as if along the curve since the start.
+    struct UnlockSchedule {
+        uint256 initialLockedShares;
+        uint256 unlockedShares;
+        uint256 lastUnlockTimestampSec;
+        uint256 endAtSec;
+        uint256 durationSec;
+        uint256 cliffAtSec;
+        UnlockCurve curve;
+        uint256[] curveOffsetsSec;
+        uint256[] curveUnlockedFractions;
+    }
+
+    // Every distribution token has its own locked and unlocked pools and unlock schedules, and is
+    // paid out in proportion to the same stakingShare-seconds, with the same time-bonus.
+    struct Distribution {
+        IERC20 token;
+        TokenPool unlockedPool;
+        TokenPool lockedPool;
+        uint256 totalLockedShares;
+        UnlockSchedule[] unlockSchedules;
+    }
+
+    /**
+     * @dev Adds a distribution token, distributed from the given pools.
+     * @param ds The distribution tokens of the geyser.
+     * @param token The new distribution token.
+     * @param unlockedPool A new TokenPool of the token, to hold the unlocked tokens.
+     * @param lockedPool A new TokenPool of the token, to hold the locked tokens.
+     */
+    function add(Distribution[] storage ds, IERC20 token, TokenPool unlockedPool, TokenPool lockedPool) public {
+        checkPools(token, unlockedPool, lockedPool);
+        require(ds.length < MAX_DISTRIBUTION_TOKENS, 'TokenGeyser: reached maximum distribution tokens');
+        for (uint256 i = 0; i < ds.length; i++) {
+            require(ds[i].token != token, 'TokenGeyser: distribution token already added');
+        }
+        takePool(unlockedPool);
+        takePool(lockedPool);
+
+        ds.length++;
+        Distribution storage d = ds[ds.length - 1];
+        d.token = token;
+        d.unlockedPool = unlockedPool;
+        d.lockedPool = lockedPool;
+        emit DistributionTokenAdded(token);
+    }
+
+    /**
+     * @dev Reverts unless the pools are distinct, empty and hold the token.
+     * @param token The distribution token.
+     * @param unlockedPool The pool to hold the unlocked tokens.
+     * @param lockedPool The pool to hold the locked tokens.
+     */
+    function checkPools(IERC20 token, TokenPool unlockedPool, TokenPool lockedPool) private view {
+        require(unlockedPool != lockedPool && unlockedPool.token() == token && lockedPool.token() == token,
+            'TokenGeyser: pools must be distinct and hold the token');
+        require(unlockedPool.balance() == 0 && lockedPool.balance() == 0, 'TokenGeyser: pools must be empty');
+    }
+
+    /**
+     * @dev Makes the caller the admin of a pool, unless it already is. Otherwise the pool must
+     *      be being handed over to the caller, which accepts the admin role.
+     * @param pool The pool to take.
+     */
+    function takePool(TokenPool pool) private {
+        if (pool.roleHolder(AccessRoles.Role.Admin) != address(this)) {
+            pool.acceptRole(AccessRoles.Role.Admin);
+        }
+    }
+
+    /**
+     * @dev Transfers amount of tokens from the funder into the locked pool and adds a linear
+     *      unlock schedule for them. Accounting must be up to date, which retires the schedules
+     *      which have fully unlocked, so maxUnlockSchedules only limits the number of schedules
+     *      unlocking at the same time.
+     * @param d The distribution token.
+     * @param funder The account the tokens are transferred from.
+     * @param amount Number of tokens to lock.
+     * @param durationSec Length of time to linear unlock the tokens, including the cliff.
+     * @param startAtSec Timestamp at which unlocking begins, not before now.
+     * @param cliffSec Length of time after the start during which nothing unlocks.
+     * @param maxUnlockSchedules Max number of unlocking schedules.
+     * @param initialSharesPerToken Number of shares to mint per token when nothing is locked.
+     * @return The index of the new unlock schedule.
+     */
+    function lock(Distribution storage d, address funder, uint256 amount, uint256 durationSec,
+                    uint256 startAtSec, uint256 cliffSec, uint256 maxUnlockSchedules,
+                    uint256 initialSharesPerToken) public returns (uint256) {
+        require(cliffSec <= durationSec, 'TokenGeyser: cliff is longer than duration');
+
+        require(d.unlockSchedules.length < maxUnlockSchedules,
+            'TokenGeyser: reached maximum unlock schedules');
+
+        uint256 mintedLockedShares;
+        (amount, mintedLockedShares) = transferIntoLockedPool(d, funder, amount, initialSharesPerToken);
+
+        UnlockSchedule memory schedule;
+        schedule.initialLockedShares = mintedLockedShares;
+        schedule.lastUnlockTimestampSec = startAtSec;
+        schedule.endAtSec = startAtSec.add(durationSec);
+        schedule.durationSec = durationSec;
+        schedule.cliffAtSec = startAtSec.add(cliffSec);
+        d.unlockSchedules.push(schedule);
+
+        d.totalLockedShares = d.totalLockedShares.add(mintedLockedShares);
+        emit TokensLocked(amount, durationSec, d.lockedPool.balance(), startAtSec, cliffSec, d.token);
+        return d.unlockSchedules.length - 1;
+    }
+
+    /**
+     * @dev Transfers amount of tokens from the donor into the unlocked pool, where they are
+     *      shared by the stakers right away.
+     * @param d The distribution token.
+     * @param donor The account the tokens are transferred from.
+     * @param amount Number of tokens to donate.
+     */
+    function donate(Distribution storage d, address donor, uint256 amount) public {
+        require(amount > 0, 'TokenGeyser: donation amount is zero');
+        uint256 unlockedTokens = d.unlockedPool.balance();
+        require(d.token.transferFrom(donor, address(d.unlockedPool), amount),
+            'TokenGeyser: transfer into unlocked pool failed');
+        emit TokensDonated(donor, d.unlockedPool.balance().sub(unlockedTokens), 0, 0, d.token);
+    }
+
+    /**
+     * @dev Transfers amount of tokens from the donor into the locked pool and adds them to an
+     *      unlock schedule, which unlocks them along its curve over the rest of its duration.
+     *      To do so, the unlocked and the initial shares of the schedule are scaled up by the same
+     *      factor as its remaining locked shares, so the shares it has yet to unlock at any time
+     *      grow in proportion. Accounting must be up to date.
+     * @param d The distribution token.
+     * @param donor The account the tokens are transferred from.
+     * @param s Index of the unlock schedule, which must still be unlocking.
+     * @param endAtSec The endAtSec the unlock schedule must have, since retiring schedules shifts
+     *        the indices.
+     * @param amount Number of tokens to donate.
+     * @param initialSharesPerToken Number of shares to mint per token when nothing is locked.
+     */
+    function donateToSchedule(Distribution storage d, address donor, uint256 s, uint256 endAtSec,
+                                uint256 amount, uint256 initialSharesPerToken) public {
+        require(amount > 0, 'TokenGeyser: donation amount is zero');
+        UnlockSchedule storage schedule = d.unlockSchedules[s];
+        require(schedule.endAtSec == endAtSec, 'TokenGeyser: unlock schedule has changed');
+        uint256 lockedShares = schedule.initialLockedShares.sub(schedule.unlockedShares);
+        require(now < schedule.endAtSec && lockedShares > 0, 'TokenGeyser: unlock schedule has ended');
+
+        uint256 mintedLockedShares;
+        (amount, mintedLockedShares) = transferIntoLockedPool(d, donor, amount, initialSharesPerToken);
+        uint256 newLockedShares = lockedShares.add(mintedLockedShares);
+        schedule.unlockedShares = schedule.unlockedShares.mul(newLockedShares).div(lockedShares);
+        schedule.initialLockedShares = schedule.unlockedShares.add(newLockedShares);
+        d.totalLockedShares = d.totalLockedShares.add(mintedLockedShares);
+        emit TokensDonated(donor, amount, s, mintedLockedShares, d.token);
+    }
+
+    /**
+     * @dev Transfers amount of tokens from an account into the locked pool. Tokens which take a
+     *      fee on transfer add less than amount to the pool, so the shares are minted for what it
+     *      received.
+     * @return The number of tokens the locked pool received, and the number of locked shares to
+     *         mint for them.
+     */
+    function transferIntoLockedPool(Distribution storage d, address from, uint256 amount,
+                                    uint256 sharesPerToken) private returns (uint256, uint256) {
+        uint256 lockedTokens = d.lockedPool.balance();
+        require(d.token.transferFrom(from, address(d.lockedPool), amount),
+            'TokenGeyser: transfer into locked pool failed');
+        uint256 received = d.lockedPool.balance().sub(lockedTokens);
+        uint256 mintedShares = (lockedTokens > 0)
+            ? d.totalLockedShares.mul(received).div(lockedTokens)
+            : received.mul(sharesPerToken);
+        return (received, mintedShares);
+    }
+
+    /**
+     * @dev Validates and stores the curve of a newly created schedule.
+     */
+    function setUnlockCurve(UnlockSchedule storage schedule, UnlockCurve curve,
+                            uint256[] memory offsetsSec, uint256[] memory unlockedFractions) public {
+        require(offsetsSec.length == unlockedFractions.length,
+            'TokenGeyser: curve offsets and fractions differ in length');
+        require(offsetsSec.length <= MAX_UNLOCK_CURVE_POINTS, 'TokenGeyser: too many curve points');
+        require((curve == UnlockCurve.Linear) == (offsetsSec.length == 0),
+            'TokenGeyser: only non-linear curves have points');
+
+        uint256 prevOffsetSec = 0;
+        uint256 prevFraction = 0;
+        for (uint256 i = 0; i < offsetsSec.length; i++) {
+            require(offsetsSec[i] > prevOffsetSec && offsetsSec[i] < schedule.durationSec,
+                'TokenGeyser: curve offsets must increase within the duration');
+            require(unlockedFractions[i] >= prevFraction && unlockedFractions[i] <= 10**UNLOCK_CURVE_DECIMALS,
+                'TokenGeyser: curve fractions must increase up to 100%');
+            prevOffsetSec = offsetsSec[i];
+            prevFraction = unlockedFractions[i];
+        }
+
+        schedule.curve = curve;
+        schedule.curveOffsetsSec = offsetsSec;
+        schedule.curveUnlockedFractions = unlockedFractions;
+        emit UnlockCurveSet(curve, offsetsSec, unlockedFractions);
+    }
+
+    /**
+     * @dev Moves tokens from the locked pool to the unlocked pool, according to the unlock
+     *      schedules. Schedules which finish unlocking are retired right away, so the next unlocks
+     *      do not iterate over them.
+     * @param d The distribution token.
+     * @return Number of newly unlocked tokens.
+     */
+    function unlock(Distribution storage d) public returns (uint256) {
+        uint256 unlockedTokens = 0;
+        uint256 lockedTokens = d.lockedPool.balance();
+        bool finished = false;
+
+        if (d.totalLockedShares == 0) {
+            unlockedTokens = lockedTokens;
+            finished = d.unlockSchedules.length > 0;
+        } else {
+            uint256 unlockedShares = 0;
+            for (uint256 s = 0; s < d.unlockSchedules.length; s++) {
+                UnlockSchedule storage schedule = d.unlockSchedules[s];
+                unlockedShares = unlockedShares.add(unlockScheduleShares(schedule));
+                finished = finished || schedule.unlockedShares >= schedule.initialLockedShares;
+            }
+            unlockedTokens = unlockedShares.mul(lockedTokens).div(d.totalLockedShares);
+            d.totalLockedShares = d.totalLockedShares.sub(unlockedShares);
+        }
+
+        if (finished) {
+            retireUnlockSchedules(d);
+        }
+
+        if (unlockedTokens > 0) {
+            require(d.lockedPool.transfer(address(d.unlockedPool), unlockedTokens),
+                'TokenGeyser: transfer out of locked pool failed');
+            emit TokensUnlocked(unlockedTokens, d.lockedPool.balance(), d.token);
+        }
+
+        return unlockedTokens;
+    }
+
+    /**
+     * @dev Computes the number of tokens unlock would move to the unlocked pool at timestampSec,
+     *      without moving them. For a time after now, this is up to the rounding of any unlocks
+     *      in between.
+     * @param d The distribution token.
+     * @param timestampSec Now, or a time after now.
+     * @return Number of tokens which would be newly unlocked.
+     */
+    function unlockableTokens(Distribution storage d, uint256 timestampSec) private view returns (uint256) {
+        uint256 lockedTokens = d.lockedPool.balance();
+        if (d.totalLockedShares == 0) {
+            return lockedTokens;
+        }
+        uint256 unlockedShares = 0;
+        for (uint256 s = 0; s < d.unlockSchedules.length; s++) {
+            unlockedShares = unlockedShares.add(unlockableScheduleShares(d.unlockSchedules[s], timestampSec));
+        }
+        return unlockedShares.mul(lockedTokens).div(d.totalLockedShares);
+    }
+
+    /**
+     * @param d The distribution token.
+     * @param timestampSec Now, or a time after now.
+     * @return The locked and the unlocked tokens at timestampSec, once unlocked.
+     */
+    function balancesAt(Distribution storage d, uint256 timestampSec) public view returns (uint256, uint256) {
+        uint256 unlockedTokens = unlockableTokens(d, timestampSec);
+        return (d.lockedPool.balance().sub(unlockedTokens), d.unlockedPool.balance().add(unlockedTokens));
+    }
+
+    /**
+     * @dev Transfers the rewards of a user in every distribution token.
+     * @param ds The distribution tokens.
+     * @param user The user to pay.
+     * @param rewardAmounts Number of tokens to transfer, per distribution token.
+     * @return The number of tokens transferred in the first distribution token.
+     */
+    function pay(Distribution[] storage ds, address user, uint256[] memory rewardAmounts) public returns (uint256) {
+        for (uint256 i = 0; i < rewardAmounts.length; i++) {
+            Distribution storage d = ds[i];
+            require(d.unlockedPool.transfer(user, rewardAmounts[i]),
+                'TokenGeyser: transfer out of unlocked pool failed');
+            emit TokensClaimed(user, rewardAmounts[i], d.token);
+        }
+        return rewardAmounts[0];
+    }
+
+    /**
+     * @dev Transfers the tokens no one is entitled to, once nothing is staked, since no one is left
+     *      to claim them. The tokens of the unlocked pool are unallocated then. So are the tokens of
+     *      the locked pool once no unlock schedule has shares left, since they are owed to no
+     *      schedule and the next unlock would only move them to the unlocked pool. While anything
+     *      is staked, the next unlock hands them to the stakers, so they are left alone.
+     * @param d The distribution token.
+     * @param to The recipient.
+     * @param nothingStaked Whether there are no staking shares.
+     * @return Number of tokens transferred.
+     */
+    function reclaim(Distribution storage d, address to, bool nothingStaked) public returns (uint256) {
+        uint256 lockedTokens = (nothingStaked && d.totalLockedShares == 0) ? d.lockedPool.balance() : 0;
+        uint256 unlockedTokens = nothingStaked ? d.unlockedPool.balance() : 0;
+        require(lockedTokens > 0 || unlockedTokens > 0, 'TokenGeyser: no unallocated tokens');
+
+        if (lockedTokens > 0) {
+            require(d.lockedPool.transfer(to, lockedTokens), 'TokenGeyser: transfer out of locked pool failed');
+        }
+        if (unlockedTokens > 0) {
+            require(d.unlockedPool.transfer(to, unlockedTokens),
+                'TokenGeyser: transfer out of unlocked pool failed');
+        }
+        emit TokensReclaimed(lockedTokens, unlockedTokens, to, d.token);
+        return lockedTokens.add(unlockedTokens);
+    }
+
+    /**
+     * @dev Transfers tokens sent by mistake to the geyser or to one of its pools. A pool never
+     *      gives up the token it holds.
+     * @param pool The pool holding the tokens, or the zero address for the geyser itself.
+     * @param token The token to transfer.
+     * @param to The recipient.
+     * @param amount Number of tokens to transfer.
+     */
+    function rescue(TokenPool pool, IERC20 token, address to, uint256 amount) public {
+        emit FundsRescued(token, to, amount);
+        bool success = (address(pool) == address(0))
+            ? token.transfer(to, amount)
+            : pool.rescueFunds(token, to, amount);
+        require(success, 'TokenGeyser: rescue transfer failed');
+    }
+
+    /**
+     * @dev Removes the schedules which have unlocked all of their shares, keeping the remaining
+     *      ones in the order they were created. Finished schedules would otherwise count against
+     *      maxUnlockSchedules and be iterated over by unlock forever.
+     * @param d The distribution token whose schedules are retired.
+     */
+    function retireUnlockSchedules(Distribution storage d) private {
+        UnlockSchedule[] storage schedules = d.unlockSchedules;
+        uint256 active = 0;
+        for (uint256 s = 0; s < schedules.length; s++) {
+            UnlockSchedule storage schedule = schedules[s];
+            if (schedule.unlockedShares >= schedule.initialLockedShares) {
+                continue;
+            }
+            if (active != s) {
+                schedules[active] = schedule;
+            }
+            active++;
+        }
+        schedules.length = active;
+    }
+
+    /**
+     * @dev Returns the number of unlockable shares from a given schedule. The returned value
+     *      depends on the time since the last unlock. This function updates schedule accounting,
+     *      but does not actually transfer any tokens.
+     * @param schedule The unlock schedule.
+     * @return The number of unlocked shares.
+     */
+    function unlockScheduleShares(UnlockSchedule storage schedule) private returns (uint256) {
+        if(schedule.unlockedShares >= schedule.initialLockedShares || now < schedule.cliffAtSec) {
+            return 0;
+        }
+
+        uint256 sharesToUnlock = unlockableScheduleShares(schedule, now);
+        schedule.lastUnlockTimestampSec = (now < schedule.endAtSec) ? now : schedule.endAtSec;
+        schedule.unlockedShares = schedule.unlockedShares.add(sharesToUnlock);
+        return sharesToUnlock;
+    }
+
+    /**
+     * @dev Returns the number of shares a schedule would unlock at time atSec, without updating
+     *      its accounting.
+     * @param schedule The unlock schedule.
+     * @param atSec Now, or a time after now.
+     * @return The number of unlockable shares.
+     */
+    function unlockableScheduleShares(UnlockSchedule storage schedule, uint256 atSec) private view returns (uint256) {
+        if(schedule.unlockedShares >= schedule.initialLockedShares || atSec < schedule.cliffAtSec) {
+            return 0;
+        }
+
+        // Special case to handle any leftover dust from integer division
+        if (atSec >= schedule.endAtSec) {
+            return schedule.initialLockedShares.sub(schedule.unlockedShares);
+        }
+        if (schedule.curve == UnlockCurve.Linear) {
+            return atSec.sub(schedule.lastUnlockTimestampSec)
+                .mul(schedule.initialLockedShares)
+                .div(schedule.durationSec);
+        }
+        uint256 elapsedSec = atSec.sub(schedule.endAtSec.sub(schedule.durationSec));
+        uint256 curveShares = curveUnlockedShares(schedule, elapsedSec);
+        return (curveShares > schedule.unlockedShares) ? curveShares.sub(schedule.unlockedShares) : 0;
+    }
+
+    /**
+     * @dev Evaluates a non-linear unlock curve.
+     * @param schedule The unlock schedule.
+     * @param elapsedSec Time since the start of the schedule, less than its duration.
+     * @return The total number of shares of the schedule unlocked after elapsedSec.
+     */
+    function curveUnlockedShares(UnlockSchedule storage schedule, uint256 elapsedSec) private view returns (uint256) {
+        uint256 oneHundredPct = 10**UNLOCK_CURVE_DECIMALS;
+        uint256 prevOffsetSec = 0;
+        uint256 prevFraction = 0;
+        uint256 n = schedule.curveOffsetsSec.length;
+        for (uint256 i = 0; i <= n; i++) {
+            // The curve implicitly ends at 100% at the end of the schedule.
+            uint256 offsetSec = (i < n) ? schedule.curveOffsetsSec[i] : schedule.durationSec;
+            uint256 fraction = (i < n) ? schedule.curveUnlockedFractions[i] : oneHundredPct;
+            if (elapsedSec < offsetSec) {
+                if (schedule.curve == UnlockCurve.Step) {
+                    return schedule.initialLockedShares.mul(prevFraction).div(oneHundredPct);
+                }
+                uint256 segmentSec = offsetSec.sub(prevOffsetSec);
+                uint256 interpolated = prevFraction.mul(segmentSec)
+                    .add(fraction.sub(prevFraction).mul(elapsedSec.sub(prevOffsetSec)));
+                return schedule.initialLockedShares.mul(interpolated).div(oneHundredPct.mul(segmentSec));
+            }
+            prevOffsetSec = offsetSec;
+            prevFraction = fraction;
+        }
+        return schedule.initialLockedShares;
+    }
+}
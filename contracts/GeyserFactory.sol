@@ -0,0 +1,141 @@
+pragma solidity 0.5.0;
+
+import "openzeppelin-solidity/contracts/token/ERC20/IERC20.sol";
+
+import "./AccessRoles.sol";
+import "./Stakes.sol";
+import "./TokenGeyser.sol";
+
+/**
+ * @title Geyser factory and registry
+ * @dev Deploys TokenGeysers with validated parameters, and registers them by staking token and
+ *      poolRef, e.g. "UNI-ETHHAM-V2".
+ *
+ *      Embedding the TokenGeyser creation code would take this contract past the contract size
+ *      limit. So the admin approves the hash of the linked creation code instead, and the code is
+ *      sent along with every createGeyser call.
+ */
+contract GeyserFactory is AccessRoles {
+    event GeyserCodeHashSet(bytes32 codeHash);
+    event GeyserCreated(TokenGeyser indexed geyser, address indexed admin, uint256 maxUnlockSchedules,
+        uint256 startBonus, uint256 bonusPeriodSec, uint256 initialSharesPerToken);
+    event GeyserRegistered(TokenGeyser indexed geyser, IERC20 indexed stakingToken, bytes32 indexed poolRef,
+        IERC20 distributionToken, uint256 index);
+
+    struct Entry {
+        TokenGeyser geyser;
+        IERC20 stakingToken;
+        IERC20 distributionToken;
+        bytes32 poolRef;
+    }
+
+    // keccak256 of the TokenGeyser creation code, with the libraries linked and without the
+    // constructor arguments.
+    bytes32 public geyserCodeHash;
+
+    // Every geyser, in the order they were created.
+    Entry[] public geysers;
+    // stakingToken => poolRef => geyser
+    mapping(address => mapping(bytes32 => TokenGeyser)) private _geyserOf;
+
+    /**
+     * @param geyserCodeHash_ keccak256 of the linked TokenGeyser creation code.
+     */
+    constructor(bytes32 geyserCodeHash_) public {
+        setGeyserCodeHash(geyserCodeHash_);
+    }
+
+    /**
+     * @return The number of registered geysers.
+     */
+    function geyserCount() public view returns (uint256) {
+        return geysers.length;
+    }
+
+    /**
+     * @return The geyser registered for the staking token and poolRef, or the zero address if none.
+     */
+    function geyserOf(IERC20 stakingToken, bytes32 poolRef) public view returns (TokenGeyser) {
+        return _geyserOf[address(stakingToken)][poolRef];
+    }
+
+    /**
+     * @dev Approves the creation code of the geysers to create from now on, e.g. after the
+     *      libraries were redeployed.
+     * @param codeHash keccak256 of the linked TokenGeyser creation code.
+     */
+    function setGeyserCodeHash(bytes32 codeHash) public onlyRole(Role.Admin) {
+        require(codeHash != bytes32(0), 'GeyserFactory: code hash is zero');
+        geyserCodeHash = codeHash;
+        emit GeyserCodeHashSet(codeHash);
+    }
+
+    /**
+     * @dev Deploys a TokenGeyser and registers it. The geyser starts handing its admin role over
+     *      to admin, who has to accept it.
+     * @param geyserCode The linked TokenGeyser creation code, which must match geyserCodeHash.
+     * @param poolRef Name of the pool, unique per staking token.
+     * @param stakingToken The token users deposit as stake.
+     * @param distributionToken The token users receive as they unstake.
+     * @param maxUnlockSchedules Max number of unlock stages, to guard against hitting gas limit.
+     * @param startBonus Starting time bonus, BONUS_DECIMALS fixed point.
+     * @param bonusPeriodSec Length of time for bonus to increase linearly to max.
+     * @param initialSharesPerToken Number of shares to mint per staking token on first stake.
+     * @param admin The account to hand the admin role of the geyser over to.
+     * @return The new geyser.
+     */
+    function createGeyser(bytes memory geyserCode, bytes32 poolRef, IERC20 stakingToken,
+                            IERC20 distributionToken, uint256 maxUnlockSchedules, uint256 startBonus,
+                            uint256 bonusPeriodSec, uint256 initialSharesPerToken,
+                            address admin) public onlyRole(Role.Admin) returns (TokenGeyser) {
+        require(keccak256(geyserCode) == geyserCodeHash, 'GeyserFactory: unknown geyser code');
+        require(isContract(address(stakingToken)) && isContract(address(distributionToken)),
+            'GeyserFactory: token is not a contract');
+        require(maxUnlockSchedules > 0, 'GeyserFactory: maxUnlockSchedules is zero');
+        require(initialSharesPerToken > 0, 'GeyserFactory: initialSharesPerToken is zero');
+        require(admin != address(0), 'GeyserFactory: admin is the zero address');
+        require(poolRef != bytes32(0), 'GeyserFactory: poolRef is empty');
+        require(address(geyserOf(stakingToken, poolRef)) == address(0), 'GeyserFactory: poolRef already registered');
+        Stakes.checkBonusParams(startBonus, bonusPeriodSec);
+
+        TokenGeyser geyser = deploy(abi.encodePacked(geyserCode, abi.encode(stakingToken, distributionToken,
+            maxUnlockSchedules, startBonus, bonusPeriodSec, initialSharesPerToken)));
+        geyser.transferRole(Role.Admin, admin);
+        emit GeyserCreated(geyser, admin, maxUnlockSchedules, startBonus, bonusPeriodSec, initialSharesPerToken);
+
+        register(geyser, stakingToken, distributionToken, poolRef);
+        return geyser;
+    }
+
+    /**
+     * @dev Proposes a new admin for a geyser whose hand-over was never accepted, replacing the
+     *      pending one. The factory stays the geyser's admin until newAdmin accepts.
+     * @param geyser A geyser created by this factory.
+     * @param newAdmin The account to hand the admin role of the geyser over to.
+     */
+    function transferGeyserAdmin(TokenGeyser geyser, address newAdmin) external onlyRole(Role.Admin) {
+        require(newAdmin != address(0), 'GeyserFactory: admin is the zero address');
+        geyser.transferRole(Role.Admin, newAdmin);
+    }
+
+    function isContract(address account) private view returns (bool) {
+        uint256 size;
+        assembly {
+            size := extcodesize(account)
+        }
+        return size > 0;
+    }
+
+    function deploy(bytes memory initCode) private returns (TokenGeyser geyser) {
+        assembly {
+            geyser := create(0, add(initCode, 0x20), mload(initCode))
+        }
+        require(address(geyser) != address(0), 'GeyserFactory: geyser deployment failed');
+    }
+
+    function register(TokenGeyser geyser, IERC20 stakingToken, IERC20 distributionToken, bytes32 poolRef) private {
+        _geyserOf[address(stakingToken)][poolRef] = geyser;
+        geysers.push(Entry(geyser, stakingToken, distributionToken, poolRef));
+        emit GeyserRegistered(geyser, stakingToken, poolRef, distributionToken, geysers.length - 1);
+    }
+}
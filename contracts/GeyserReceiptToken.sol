@@ -0,0 +1,31 @@
+pragma solidity 0.5.0;
+
+import "openzeppelin-solidity/contracts/ownership/Ownable.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20Detailed.sol";
+
+import "./TokenGeyser.sol";
+
+/**
+ * @title A transferable receipt of a geyser position.
+ * @dev Balances are staking shares of the geyser which owns this token. The geyser mints receipts
+ *      on stake and burns them on unstake. A transfer moves the underlying stakes, along with
+ *      their stakingShare-seconds and time-bonus, to the recipient.
+ */
+contract GeyserReceiptToken is ERC20, ERC20Detailed, Ownable {
+    constructor(string memory name, string memory symbol, uint8 decimals) public
+        ERC20Detailed(name, symbol, decimals) {}
+
+    function mint(address account, uint256 amount) external onlyOwner {
+        _mint(account, amount);
+    }
+
+    function burn(address account, uint256 amount) external onlyOwner {
+        _burn(account, amount);
+    }
+
+    function _transfer(address sender, address recipient, uint256 amount) internal {
+        super._transfer(sender, recipient, amount);
+        TokenGeyser(owner()).transferStakingShares(sender, recipient, amount);
+    }
+}
@@ -0,0 +1,12 @@
+pragma solidity 0.5.0;
+
+/**
+ * @title EIP-2612 permit extension of ERC20
+ * @dev See https://eips.ethereum.org/EIPS/eip-2612
+ */
+interface IERC20Permit {
+    function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external;
+    function nonces(address owner) external view returns (uint256);
+    function DOMAIN_SEPARATOR() external view returns (bytes32);
+}
@@ -14,11 +14,9 @@ contract IStaking {
     function totalStakedFor(address addr) public view returns (uint256);
     function totalStaked() public view returns (uint256);
     function token() external view returns (address);
+    function supportsHistory() external pure returns (bool);
 
-    /**
-     * @return False. This application does not support staking history.
-     */
-    function supportsHistory() external pure returns (bool) {
-        return false;
-    }
+    // Optional history functions, available if supportsHistory returns true.
+    function totalStakedForAt(address addr, uint256 blockNumber) public view returns (uint256);
+    function totalStakedAt(uint256 blockNumber) public view returns (uint256);
 }
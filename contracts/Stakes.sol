@@ -0,0 +1,386 @@
+pragma solidity 0.5.0;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+
+import "./Distributions.sol";
+import "./GeyserReceiptToken.sol";
+import "./IStaking.sol";
+import "./TokenPool.sol";
+
+/**
+ * @title Stakes
+ * @dev The stakes of TokenGeyser users and the rewards they earn with the time-bonus: burning
+ *      stakes on unstake, burning their stakingShare-seconds on claim, and moving them between
+ *      users or to a successor geyser. It also checks the successor and the receipt token the admin
+ *      sets. The functions are external to the geyser and operate on its storage, which keeps the
+ *      geyser within the contract size limit. User and global totals are kept by the geyser.
+ */
+library Stakes {
+    using SafeMath for uint256;
+
+    event BonusParamsScheduled(uint256 startBonus, uint256 bonusPeriodSec, uint256 effectiveAtSec);
+    event BonusParamsCancelled(uint256 startBonus, uint256 bonusPeriodSec, uint256 effectiveAtSec);
+
+    // The same as the constants TokenGeyser exposes.
+    uint256 private constant BONUS_DECIMALS = 2;
+    uint256 private constant BONUS_PARAMS_DELAY_SEC = 2 days;
+
+    // Represents a single stake for a user. A user may have multiple.
+    // timestampSec is when the stake was made and drives the time-bonus.
+    // lastClaimTimestampSec is when its share-seconds were last burned for rewards, either at
+    // stake time or by the latest claim.
+    struct Stake {
+        uint256 stakingShares;
+        uint256 timestampSec;
+        uint256 lastClaimTimestampSec;
+    }
+
+    // A set of time-bonus params, in effect from effectiveAtSec on.
+    struct BonusParams {
+        uint256 startBonus;
+        uint256 bonusPeriodSec;
+        uint256 effectiveAtSec;
+    }
+
+    /**
+     * @dev Burns stakingShares from the most recent stake and goes backwards in time, computing
+     *      the rewards for the stakingShare-seconds they accrued since they were last claimed.
+     * @param stakes The stakes of the user, earliest to latest.
+     * @param stakingShares Number of staking shares to burn, at most the shares of the stakes.
+     * @param distributions The distribution tokens of the geyser.
+     * @param bonusParamsHistory The time-bonus params of the geyser.
+     * @param totalStakingShareSeconds The global stakingShare-seconds, up to date.
+     * @return The stakingShare-seconds burned, and the rewards per distribution token.
+     */
+    function burn(Stake[] storage stakes, uint256 stakingShares,
+                Distributions.Distribution[] storage distributions, BonusParams[] storage bonusParamsHistory,
+                uint256 totalStakingShareSeconds) public returns (uint256, uint256[] memory) {
+        uint256[] memory unlocked = unlockedTokens(distributions);
+        uint256[] memory rewardAmounts = new uint256[](unlocked.length);
+        uint256 stakingShareSecondsToBurn = 0;
+        uint256 sharesLeftToBurn = stakingShares;
+        while (sharesLeftToBurn > 0) {
+            Stake storage lastStake = stakes[stakes.length - 1];
+            uint256 burnedShares = (lastStake.stakingShares < sharesLeftToBurn)
+                ? lastStake.stakingShares
+                : sharesLeftToBurn;
+            uint256 newStakingShareSecondsToBurn = burnedShares.mul(now.sub(lastStake.lastClaimTimestampSec));
+            computeNewRewards(rewardAmounts, unlocked, bonusParamsHistory, newStakingShareSecondsToBurn,
+                totalStakingShareSeconds, lastStake, now);
+            stakingShareSecondsToBurn = stakingShareSecondsToBurn.add(newStakingShareSecondsToBurn);
+            sharesLeftToBurn = sharesLeftToBurn.sub(burnedShares);
+            if (burnedShares == lastStake.stakingShares) {
+                // fully redeem a past stake
+                stakes.length--;
+            } else {
+                // partially redeem a past stake
+                lastStake.stakingShares = lastStake.stakingShares.sub(burnedShares);
+            }
+        }
+        return (stakingShareSecondsToBurn, rewardAmounts);
+    }
+
+    /**
+     * @dev Computes the rewards burn would pay at timestampSec in the first distribution token,
+     *      without burning anything.
+     * @param stakes The stakes of the user, earliest to latest.
+     * @param stakingShares Number of staking shares to burn, at most the shares of the stakes.
+     * @param unlockedTokens The unlocked tokens of the first distribution token at timestampSec.
+     * @param bonusParamsHistory The time-bonus params of the geyser.
+     * @param totalStakingShareSeconds The global stakingShare-seconds at timestampSec.
+     * @param timestampSec Now, or a time after now.
+     * @return The rewards in the first distribution token.
+     */
+    function burnQuery(Stake[] storage stakes, uint256 stakingShares, uint256 unlockedTokens,
+                BonusParams[] storage bonusParamsHistory, uint256 totalStakingShareSeconds,
+                uint256 timestampSec) public view returns (uint256) {
+        uint256[] memory unlocked = new uint256[](1);
+        unlocked[0] = unlockedTokens;
+        uint256[] memory rewardAmounts = new uint256[](1);
+        uint256 sharesLeftToBurn = stakingShares;
+        for (uint256 i = stakes.length; sharesLeftToBurn > 0; i--) {
+            Stake storage s = stakes[i - 1];
+            uint256 burnedShares = (s.stakingShares < sharesLeftToBurn) ? s.stakingShares : sharesLeftToBurn;
+            computeNewRewards(rewardAmounts, unlocked, bonusParamsHistory,
+                burnedShares.mul(timestampSec.sub(s.lastClaimTimestampSec)), totalStakingShareSeconds, s, timestampSec);
+            sharesLeftToBurn = sharesLeftToBurn.sub(burnedShares);
+        }
+        return rewardAmounts[0];
+    }
+
+    /**
+     * @dev Burns the stakingShare-seconds every stake accrued since it was last claimed, computing
+     *      the rewards for them. The stakes are kept, along with their time-bonus.
+     * @param stakes The stakes of the user.
+     * @param distributions The distribution tokens of the geyser.
+     * @param bonusParamsHistory The time-bonus params of the geyser.
+     * @param totalStakingShareSeconds The global stakingShare-seconds, up to date.
+     * @return The stakingShare-seconds burned, and the rewards per distribution token.
+     */
+    function claim(Stake[] storage stakes, Distributions.Distribution[] storage distributions,
+                BonusParams[] storage bonusParamsHistory,
+                uint256 totalStakingShareSeconds) public returns (uint256, uint256[] memory) {
+        uint256[] memory unlocked = unlockedTokens(distributions);
+        uint256[] memory rewardAmounts = new uint256[](unlocked.length);
+        uint256 stakingShareSecondsToBurn = 0;
+        for (uint256 i = 0; i < stakes.length; i++) {
+            Stake storage s = stakes[i];
+            uint256 newStakingShareSecondsToBurn = s.stakingShares.mul(now.sub(s.lastClaimTimestampSec));
+            if (newStakingShareSecondsToBurn == 0) {
+                continue;
+            }
+            computeNewRewards(rewardAmounts, unlocked, bonusParamsHistory, newStakingShareSecondsToBurn,
+                totalStakingShareSeconds, s, now);
+            stakingShareSecondsToBurn = stakingShareSecondsToBurn.add(newStakingShareSecondsToBurn);
+            s.lastClaimTimestampSec = now;
+        }
+        return (stakingShareSecondsToBurn, rewardAmounts);
+    }
+
+    /**
+     * @dev Moves stakingShares from the most recent stake of one user backwards in time, and
+     *      appends them to the stakes of another user. Moved stakes keep their timestamps.
+     * @param from The stakes of the user the shares are moved from.
+     * @param to The stakes of the user the shares are moved to.
+     * @param stakingShares Number of staking shares to move, at most the shares of from.
+     * @return The stakingShare-seconds the moved shares accrued since they were last claimed.
+     */
+    function transfer(Stake[] storage from, Stake[] storage to, uint256 stakingShares) public returns (uint256) {
+        uint256 stakingShareSecondsToMove = 0;
+        uint256 sharesLeftToMove = stakingShares;
+        while (sharesLeftToMove > 0) {
+            Stake storage lastStake = from[from.length - 1];
+            uint256 movedShares = (lastStake.stakingShares < sharesLeftToMove)
+                ? lastStake.stakingShares
+                : sharesLeftToMove;
+            stakingShareSecondsToMove = stakingShareSecondsToMove.add(
+                movedShares.mul(now.sub(lastStake.lastClaimTimestampSec)));
+            to.push(Stake(movedShares, lastStake.timestampSec, lastStake.lastClaimTimestampSec));
+            sharesLeftToMove = sharesLeftToMove.sub(movedShares);
+            if (movedShares == lastStake.stakingShares) {
+                from.length--;
+            } else {
+                lastStake.stakingShares = lastStake.stakingShares.sub(movedShares);
+            }
+        }
+        return stakingShareSecondsToMove;
+    }
+
+    /**
+     * @dev Removes all of the stakes of a user, takes their staking tokens out of the staking pool,
+     *      and stakes them into the successor for the user one by one, along with their timestamps.
+     * @param stakes The stakes of the user.
+     * @param stakingPool The staking pool of the geyser.
+     * @param successor The geyser the stakes are migrated to.
+     * @param user The user whose stakes are migrated.
+     * @param amount Number of staking tokens of the stakes.
+     * @param stakingShares Number of staking shares of the stakes.
+     * @return Number of staking tokens staked into the successor.
+     */
+    function migrate(Stake[] storage stakes, TokenPool stakingPool, IStaking successor, address user,
+                uint256 amount, uint256 stakingShares) public returns (uint256) {
+        IERC20 stakingToken = stakingPool.token();
+        uint256 balance = stakingToken.balanceOf(address(this));
+        require(stakingPool.transfer(address(this), amount), 'TokenGeyser: transfer out of staking pool failed');
+        // Tokens which take a fee on transfer leave less than amount to stake into the successor.
+        amount = stakingToken.balanceOf(address(this)).sub(balance);
+        require(stakingToken.approve(address(successor), amount), 'TokenGeyser: approve failed');
+
+        Stake[] memory accountStakes = stakes;
+        stakes.length = 0;
+        uint256 amountStaked = 0;
+        uint256 sharesMigrated = 0;
+        for (uint256 i = 0; i < accountStakes.length; i++) {
+            // A stake too small to mint shares in the successor is merged into the next one, and the
+            // latest stake gets what is left, so no tokens are lost to rounding.
+            sharesMigrated = sharesMigrated.add(accountStakes[i].stakingShares);
+            uint256 stakeAmount = (i == accountStakes.length - 1)
+                ? amount.sub(amountStaked)
+                : amount.mul(sharesMigrated).div(stakingShares).sub(amountStaked);
+            if (stakeAmount > 0 && (i == accountStakes.length - 1 || stakeAmount >= minStakeAmount(successor))) {
+                amountStaked = amountStaked.add(stakeAmount);
+                successor.stakeFor(user, stakeAmount, abi.encode(accountStakes[i].timestampSec));
+            }
+        }
+        return amount;
+    }
+
+    /**
+     * @param successor The geyser the stakes are migrated to.
+     * @return The fewest staking tokens which mint a staking share in the successor, if it exposes
+     *         totalStakingShares like TokenGeyser does, and otherwise 1.
+     */
+    function minStakeAmount(IStaking successor) private view returns (uint256) {
+        (bool success, bytes memory result) =
+            address(successor).staticcall(abi.encodeWithSignature('totalStakingShares()'));
+        if (!success || result.length != 32) {
+            return 1;
+        }
+        uint256 shares = abi.decode(result, (uint256));
+        uint256 staked = successor.totalStaked();
+        if (shares == 0 || staked == 0) {
+            return 1;
+        }
+        // shares * amount / staked is at least 1 for amount >= ceil(staked / shares).
+        return staked.add(shares).sub(1).div(shares);
+    }
+
+    /**
+     * @dev Reverts unless the successor is a geyser with the same staking token, or the zero address.
+     * @param successor The geyser the stakes would be migrated to.
+     * @param stakingPool The staking pool of the geyser.
+     */
+    function checkSuccessor(IStaking successor, TokenPool stakingPool) public view {
+        require(address(successor) == address(0) || successor.token() == address(stakingPool.token()),
+            'TokenGeyser: successor has a different staking token');
+    }
+
+    /**
+     * @dev Reverts unless receipt-token mode may be turned on: only once, before anything is staked,
+     *      and with a receipt token which is owned by the geyser and has nothing minted.
+     * @param currentReceiptToken The receipt token of the geyser, if one is set already.
+     * @param receiptToken The receipt token to back the staking shares with.
+     * @param totalStakingShares The staking shares of the geyser.
+     */
+    function checkReceiptToken(GeyserReceiptToken currentReceiptToken, GeyserReceiptToken receiptToken,
+                                uint256 totalStakingShares) public view {
+        require(address(currentReceiptToken) == address(0), 'TokenGeyser: receipt token already set');
+        require(totalStakingShares == 0, 'TokenGeyser: receipt token must be set before staking');
+        require(receiptToken.owner() == address(this) && receiptToken.totalSupply() == 0,
+            'TokenGeyser: receipt token must be owned by the geyser and unminted');
+    }
+
+    /**
+     * @dev Reverts unless the time-bonus params are valid.
+     * @param startBonus Starting time bonus, BONUS_DECIMALS fixed point.
+     * @param bonusPeriodSec Length of time for bonus to increase linearly to max.
+     */
+    function checkBonusParams(uint256 startBonus, uint256 bonusPeriodSec) public pure {
+        // The start bonus must be some fraction of the max. (i.e. <= 100%)
+        require(startBonus <= 10**BONUS_DECIMALS, 'TokenGeyser: start bonus too high');
+        // If no period is desired, instead set startBonus = 100%
+        // and bonusPeriod to a small value like 1sec.
+        require(bonusPeriodSec != 0, 'TokenGeyser: bonus period is zero');
+    }
+
+    /**
+     * @dev Schedules new time-bonus params, which take effect BONUS_PARAMS_DELAY_SEC from now.
+     * @param bonusParamsHistory The time-bonus params of the geyser.
+     * @param startBonus Starting time bonus, BONUS_DECIMALS fixed point.
+     * @param bonusPeriodSec Length of time for bonus to increase linearly to max.
+     */
+    function scheduleBonusParams(BonusParams[] storage bonusParamsHistory, uint256 startBonus,
+                uint256 bonusPeriodSec) public {
+        checkBonusParams(startBonus, bonusPeriodSec);
+        require(bonusParamsHistory[bonusParamsHistory.length - 1].effectiveAtSec <= now,
+            'TokenGeyser: bonus params change already pending');
+
+        uint256 effectiveAtSec = now.add(BONUS_PARAMS_DELAY_SEC);
+        bonusParamsHistory.push(BonusParams(startBonus, bonusPeriodSec, effectiveAtSec));
+        emit BonusParamsScheduled(startBonus, bonusPeriodSec, effectiveAtSec);
+    }
+
+    /**
+     * @dev Cancels a change of the time-bonus params which has not taken effect yet.
+     * @param bonusParamsHistory The time-bonus params of the geyser.
+     */
+    function cancelBonusParams(BonusParams[] storage bonusParamsHistory) public {
+        BonusParams storage pending = bonusParamsHistory[bonusParamsHistory.length - 1];
+        require(pending.effectiveAtSec > now, 'TokenGeyser: no bonus params change pending');
+
+        emit BonusParamsCancelled(pending.startBonus, pending.bonusPeriodSec, pending.effectiveAtSec);
+        bonusParamsHistory.length--;
+    }
+
+    /**
+     * @param ds The distributions of the geyser.
+     * @return The unlocked tokens of every distribution token.
+     */
+    function unlockedTokens(Distributions.Distribution[] storage ds) private view returns (uint256[] memory) {
+        uint256[] memory amounts = new uint256[](ds.length);
+        for (uint256 i = 0; i < amounts.length; i++) {
+            amounts[i] = ds[i].unlockedPool.balance();
+        }
+        return amounts;
+    }
+
+    /**
+     * @dev Adds the rewards for burning stakingShare-seconds of a stake to the amounts already
+     *      alotted, in every distribution token. The stakingShare-seconds were accrued evenly since
+     *      the stake was last claimed until nowSec, and are split into the segments of that time
+     *      during which each set of bonus params was in effect. Each segment gets the bonus of its
+     *      params.
+     * @param currentRewardTokens The current number of tokens already alotted for this operation,
+     *                            per distribution token. Updated in place.
+     * @param unlocked The unlocked tokens per distribution token.
+     * @param bonusParamsHistory The time-bonus params of the geyser.
+     * @param stakingShareSeconds The stakingShare-seconds that are being burned for new
+     *                            distribution tokens.
+     * @param totalStakingShareSeconds The global stakingShare-seconds.
+     * @param s The stake, whose timestamp drives the time-bonus.
+     * @param nowSec The time the stakingShare-seconds are burned at.
+     */
+    function computeNewRewards(uint256[] memory currentRewardTokens,
+                                uint256[] memory unlocked,
+                                BonusParams[] storage bonusParamsHistory,
+                                uint256 stakingShareSeconds,
+                                uint256 totalStakingShareSeconds,
+                                Stake storage s,
+                                uint256 nowSec) private view {
+        uint256 accrualStartSec = s.lastClaimTimestampSec;
+        uint256 stakeTimeSec = nowSec.sub(s.timestampSec);
+        uint256 shareSecondsLeft = stakingShareSeconds;
+        uint256 segmentEndSec = nowSec;
+        for (uint256 c = bonusParamsHistory.length; c > 0 && shareSecondsLeft > 0; c--) {
+            BonusParams storage params = bonusParamsHistory[c - 1];
+            if (params.effectiveAtSec >= segmentEndSec) {
+                continue;
+            }
+            uint256 segmentStartSec =
+                (params.effectiveAtSec > accrualStartSec) ? params.effectiveAtSec : accrualStartSec;
+            // The earliest segment gets what is left, so no share-seconds are lost to rounding.
+            uint256 segmentShareSeconds = (segmentStartSec == accrualStartSec)
+                ? shareSecondsLeft
+                : stakingShareSeconds.mul(segmentEndSec.sub(segmentStartSec)).div(nowSec.sub(accrualStartSec));
+            addRewards(currentRewardTokens, unlocked, segmentShareSeconds, totalStakingShareSeconds,
+                timeBonus(params, stakeTimeSec));
+            shareSecondsLeft = shareSecondsLeft.sub(segmentShareSeconds);
+            segmentEndSec = segmentStartSec;
+        }
+    }
+
+    /**
+     * @dev Adds the rewards for stakingShare-seconds with the same time-bonus, in every
+     *      distribution token.
+     * @param currentRewardTokens The tokens already alotted, per distribution token. Updated in
+     *                            place.
+     * @param unlocked The unlocked tokens per distribution token.
+     * @param stakingShareSeconds The stakingShare-seconds that are being burned.
+     * @param totalStakingShareSeconds The global stakingShare-seconds.
+     * @param bonus The time-bonus, BONUS_DECIMALS fixed point.
+     */
+    function addRewards(uint256[] memory currentRewardTokens, uint256[] memory unlocked,
+                        uint256 stakingShareSeconds, uint256 totalStakingShareSeconds, uint256 bonus) private pure {
+        for (uint256 i = 0; i < unlocked.length; i++) {
+            uint256 newRewardTokens = unlocked[i].mul(stakingShareSeconds).div(totalStakingShareSeconds);
+            currentRewardTokens[i] = currentRewardTokens[i].add(bonus.mul(newRewardTokens).div(10**BONUS_DECIMALS));
+        }
+    }
+
+    /**
+     * @dev The bonus-multiplier is the result of a linear function that starts at startBonus and
+     *      ends at 100% over bonusPeriodSec, then stays at 100% thereafter. This is necessary to
+     *      encourage long-term deposits instead of constant unstake/restakes.
+     * @param params The bonus params in effect while the stakingShare-seconds were accrued.
+     * @param stakeTimeSec Length of time for which the tokens were staked.
+     * @return The time-bonus, BONUS_DECIMALS fixed point.
+     */
+    function timeBonus(BonusParams storage params, uint256 stakeTimeSec) private view returns (uint256) {
+        uint256 oneHundredPct = 10**BONUS_DECIMALS;
+        if (stakeTimeSec >= params.bonusPeriodSec) {
+            return oneHundredPct;
+        }
+        return params.startBonus
+            .add(oneHundredPct.sub(params.startBonus).mul(stakeTimeSec).div(params.bonusPeriodSec));
+    }
+}
@@ -1,10 +1,15 @@
 pragma solidity 0.5.0;
 
+import "openzeppelin-solidity/contracts/GSN/GSNRecipient.sol";
 import "openzeppelin-solidity/contracts/math/SafeMath.sol";
 import "openzeppelin-solidity/contracts/token/ERC20/IERC20.sol";
-import "openzeppelin-solidity/contracts/ownership/Ownable.sol";
 
+import "./AccessRoles.sol";
+import "./Distributions.sol";
+import "./GeyserReceiptToken.sol";
+import "./IERC20Permit.sol";
 import "./IStaking.sol";
+import "./Stakes.sol";
 import "./TokenPool.sol";
 
 /**
@@ -24,32 +29,67 @@ import "./TokenPool.sol";
  *
  *      More background and motivation available at:
  *      https://github.com/ampleforth/RFCs/blob/master/RFCs/rfc-1.md
+ *
+ *      Calls may be relayed through the Gas Station Network, in which case they act on behalf of
+ *      the account which signed them rather than the relayer.
+ *
+ *      The funder locks distribution tokens and the pauser pauses the geyser. The admin hands out
+ *      these roles, may do both, and changes every other setting.
  */
-contract TokenGeyser is IStaking, Ownable {
+contract TokenGeyser is IStaking, AccessRoles, GSNRecipient {
     using SafeMath for uint256;
+    using Distributions for Distributions.Distribution;
+    using Distributions for Distributions.Distribution[];
+    using Distributions for Distributions.UnlockSchedule;
+    using Stakes for Stakes.Stake[];
+    using Stakes for Stakes.BonusParams[];
 
     event Staked(address indexed user, uint256 amount, uint256 total, bytes data);
     event Unstaked(address indexed user, uint256 amount, uint256 total, bytes data);
-    event TokensClaimed(address indexed user, uint256 amount);
-    event TokensLocked(uint256 amount, uint256 durationSec, uint256 total);
+    event TokensClaimed(address indexed user, uint256 amount, IERC20 indexed token);
+    event EmergencyUnstaked(address indexed user, uint256 amount);
+    event TokensLocked(uint256 amount, uint256 durationSec, uint256 total, uint256 startAtSec, uint256 cliffSec,
+        IERC20 indexed token);
+    event UnlockCurveSet(Distributions.UnlockCurve curve, uint256[] offsetsSec, uint256[] unlockedFractions);
     // amount: Unlocked tokens, total: Total locked tokens
-    event TokensUnlocked(uint256 amount, uint256 total);
+    event TokensUnlocked(uint256 amount, uint256 total, IERC20 indexed token);
+    event DistributionTokenAdded(IERC20 indexed token);
+    event Paused(address account);
+    event Unpaused(address account);
+    event SuccessorChanged(address indexed previousSuccessor, address indexed newSuccessor);
+    event PredecessorChanged(address indexed previousPredecessor, address indexed newPredecessor);
+    event StakeMigrated(address indexed user, address indexed successor, uint256 amount);
+    event ReceiptTokenSet(GeyserReceiptToken indexed receiptToken);
+    event StakeTransferred(address indexed from, address indexed to, uint256 stakingShares);
+    event BonusParamsScheduled(uint256 startBonus, uint256 bonusPeriodSec, uint256 effectiveAtSec);
+    event BonusParamsCancelled(uint256 startBonus, uint256 bonusPeriodSec, uint256 effectiveAtSec);
+    event StakingCapsSet(uint256 maxTotalStaked, uint256 maxStakedPerUser);
+    event AllowlistOnlySet(bool allowlistOnly);
+    event AllowlistUpdated(address indexed user, bool allowed);
+    // amount: Donated tokens, lockedShares: Shares added to unlock schedule s, or 0 for a donation to
+    // the unlocked pool
+    event TokensDonated(address indexed donor, uint256 amount, uint256 s, uint256 lockedShares,
+        IERC20 indexed token);
+    event FundsRescued(IERC20 indexed token, address indexed to, uint256 amount);
+    event TokensReclaimed(uint256 lockedAmount, uint256 unlockedAmount, address to, IERC20 indexed token);
+    event RelayLimitsSet(uint256 maxRelayFee, uint256 maxRelayGasPrice);
 
     TokenPool private _stakingPool;
-    TokenPool private _unlockedPool;
-    TokenPool private _lockedPool;
 
     //
     // Time-bonus params
     //
+    // The admin may change the params, which take effect BONUS_PARAMS_DELAY_SEC later. Every set
+    // of params is kept as a checkpoint, so the stakingShare-seconds accrued while it was in
+    // effect are always rewarded with its bonus, whenever they are burned.
     uint256 public constant BONUS_DECIMALS = 2;
-    uint256 public startBonus = 0;
-    uint256 public bonusPeriodSec = 0;
+    uint256 public constant BONUS_PARAMS_DELAY_SEC = 2 days;
+
+    Stakes.BonusParams[] public bonusParamsHistory;
 
     //
     // Global accounting state
     //
-    uint256 public totalLockedShares = 0;
     uint256 public totalStakingShares = 0;
     uint256 private _totalStakingShareSeconds = 0;
     uint256 private _lastAccountingTimestampSec = now;
@@ -57,13 +97,66 @@ contract TokenGeyser is IStaking, Ownable {
     uint256 private _initialSharesPerToken = 0;
 
     //
-    // User accounting state
+    // Circuit breaker state
     //
-    // Represents a single stake for a user. A user may have multiple.
-    struct Stake {
-        uint256 stakingShares;
-        uint256 timestampSec;
+    // While paused, no new stakes or unlock schedules are accepted. Unstaking, claiming and
+    // accounting updates remain available, so users can always exit.
+    bool public paused = false;
+
+    //
+    // Reentrancy guard state
+    //
+    // Set while a function which moves tokens runs. A token with transfer hooks, like an ERC777
+    // token, could otherwise call back into the geyser halfway through its accounting, e.g. to
+    // stake again before the shares of the outer stake are minted for the tokens received.
+    bool private _entered = false;
+
+    //
+    // Migration state
+    //
+    // Users may move their stakes to the successor, a newer geyser approved by the admin. Stakes
+    // migrated from the predecessor keep their original timestamps, and so their time-bonus.
+    address public successor = address(0);
+    address public predecessor = address(0);
+
+    //
+    // Receipt token state
+    //
+    // In receipt-token mode, every staking share is backed by a receipt token held by the staker.
+    // Receipts are transferable and take the underlying stakes along with them.
+    GeyserReceiptToken public receiptToken;
+
+    //
+    // Launch guard state
+    //
+    // The admin may cap totalStaked() and the totalStakedFor() of every user, in staking tokens, and
+    // may only accept stakes for allowlisted users. A cap of zero is no cap. The caps are checked
+    // against the rebased amounts right after each stake or receipt token transfer, so they always
+    // bound what is staked at the current supply. A rebase may lift the amounts above the caps;
+    // nothing is taken from anyone, but no more is accepted until they are back below.
+    uint256 public maxTotalStaked = 0;
+    uint256 public maxStakedPerUser = 0;
+    bool public allowlistOnly = false;
+    mapping(address => bool) public allowlisted;
+
+    //
+    // Referral state
+    //
+    // The data of a stake, stakeFor or unstake may be a referral code of 32 bytes, e.g. the id of a
+    // partner, which is echoed in the Staked and Unstaked events. The staking tokens staked and
+    // unstaked with each code are tallied here, as of the time of each operation, and stakes count
+    // with what the staking pool received. The data of stakes migrated from the predecessor is
+    // their timestamp instead.
+    struct ReferralTotals {
+        uint256 staked;
+        uint256 unstaked;
     }
+    mapping(bytes32 => ReferralTotals) public referralTotals;
+
+    //
+    // User accounting state
+    //
+    // The stakes of users are kept and burned by the Stakes library.
 
     // Caches aggregated values from the User->Stake[] map to save computation.
     // If lastAccountingTimestampSec is 0, there's no entry for that user.
@@ -76,21 +169,55 @@ contract TokenGeyser is IStaking, Ownable {
     // Aggregated staking values per user
     mapping(address => UserTotals) private _userTotals;
 
-    // The collection of stakes for each user. Ordered by timestamp, earliest to latest.
-    mapping(address => Stake[]) private _userStakes;
+    // The collection of stakes for each user. Ordered by when they were made or received,
+    // earliest to latest.
+    mapping(address => Stakes.Stake[]) private _userStakes;
 
     //
-    // Locked/Unlocked Accounting state
+    // Staking history
     //
-    struct UnlockSchedule {
-        uint256 initialLockedShares;
-        uint256 unlockedShares;
-        uint256 lastUnlockTimestampSec;
-        uint256 endAtSec;
-        uint256 durationSec;
+    // Checkpoints of the staking shares of every user and in total, and of the total staked
+    // tokens, written whenever shares are minted, burned or transferred. Rebases change the
+    // number of staked tokens without touching the shares and without a checkpoint. So shares at
+    // a block are exact, while staked tokens at a block are the ones at the latest checkpoint up
+    // to that block, and do not reflect a rebase until the next checkpoint.
+    struct Checkpoint {
+        uint256 fromBlock;
+        uint256 value;
     }
+    mapping(address => Checkpoint[]) private _userStakingSharesHistory;
+    Checkpoint[] private _totalStakingSharesHistory;
+    Checkpoint[] private _totalStakedHistory;
 
-    UnlockSchedule[] public unlockSchedules;
+    //
+    // Relayed call state
+    //
+    // Relayed calls are paid for from the deposit of the geyser in the RelayHub. Only calls to
+    // stake, unstake, updateAccounting and claim are accepted, and only while the fee of the relay,
+    // a percentage of the gas cost, and the gas price are within the limits set by the admin. Both
+    // limits start at zero, which rejects every relay that charges for its service.
+    uint256 public maxRelayFee = 0;
+    uint256 public maxRelayGasPrice = 0;
+
+    // The reasons a relayed call is rejected for, offset by the rejection code of the RelayHub.
+    enum RelayedCallRejection {
+        FunctionNotRelayed,
+        FeeTooHigh,
+        GasPriceTooHigh
+    }
+
+    //
+    // Locked/Unlocked Accounting state
+    //
+    // The unlock schedules and their curves are kept by the Distributions library, which uses
+    // the same constants.
+    uint256 public constant UNLOCK_CURVE_DECIMALS = 4;
+    uint256 public constant MAX_UNLOCK_CURVE_POINTS = 16;
+
+    // The first distribution token is the one the geyser was created with. Functions which take
+    // no token argument, like lockTokens or totalLocked, refer to it.
+    uint256 public constant MAX_DISTRIBUTION_TOKENS = 4;
+    Distributions.Distribution[] private _distributions;
 
     /**
      * @param stakingToken The token users deposit as stake.
@@ -103,22 +230,52 @@ contract TokenGeyser is IStaking, Ownable {
      */
     constructor(IERC20 stakingToken, IERC20 distributionToken, uint256 maxUnlockSchedules,
                 uint256 startBonus_, uint256 bonusPeriodSec_, uint256 initialSharesPerToken) public {
-        // The start bonus must be some fraction of the max. (i.e. <= 100%)
-        require(startBonus_ <= 10**BONUS_DECIMALS, 'TokenGeyser: start bonus too high');
-        // If no period is desired, instead set startBonus = 100%
-        // and bonusPeriod to a small value like 1sec.
-        require(bonusPeriodSec_ != 0, 'TokenGeyser: bonus period is zero');
+        Stakes.checkBonusParams(startBonus_, bonusPeriodSec_);
         require(initialSharesPerToken > 0, 'TokenGeyser: initialSharesPerToken is zero');
 
         _stakingPool = new TokenPool(stakingToken);
-        _unlockedPool = new TokenPool(distributionToken);
-        _lockedPool = new TokenPool(distributionToken);
-        startBonus = startBonus_;
-        bonusPeriodSec = bonusPeriodSec_;
+        _distributions.add(distributionToken, new TokenPool(distributionToken), new TokenPool(distributionToken));
+        bonusParamsHistory.push(Stakes.BonusParams(startBonus_, bonusPeriodSec_, 0));
         _maxUnlockSchedules = maxUnlockSchedules;
         _initialSharesPerToken = initialSharesPerToken;
     }
 
+    modifier whenNotPaused() {
+        requireNotPaused();
+        _;
+    }
+
+    function requireNotPaused() private view {
+        require(!paused, 'TokenGeyser: paused');
+    }
+
+    modifier nonReentrant() {
+        enterGuard();
+        _;
+        _entered = false;
+    }
+
+    function enterGuard() private {
+        require(!_entered, 'TokenGeyser: reentrant call');
+        _entered = true;
+    }
+
+    /**
+     * @dev Reverts if staking shares exist, but no staking tokens do.
+     */
+    function requireStakedTokens() private view {
+        require(totalStakingShares == 0 || totalStaked() > 0,
+                "TokenGeyser: Error unstaking. Staking shares exist, but no staking tokens do");
+    }
+
+    function requireNotPast(uint256 timestampSec) private view {
+        require(timestampSec >= now, 'TokenGeyser: timestamp is in the past');
+    }
+
+    function transferOutOfStakingPool(address to, uint256 amount) private {
+        require(_stakingPool.transfer(to, amount), 'TokenGeyser: transfer out of staking pool failed');
+    }
+
     /**
      * @return The token users deposit as stake.
      */
@@ -130,27 +287,110 @@ contract TokenGeyser is IStaking, Ownable {
      * @return The token users receive as they unstake.
      */
     function getDistributionToken() public view returns (IERC20) {
-        assert(_unlockedPool.token() == _lockedPool.token());
-        return _unlockedPool.token();
+        return _distributions[0].token;
+    }
+
+    /**
+     * @return The number of distribution tokens, including the first one.
+     */
+    function distributionTokenCount() public view returns (uint256) {
+        return _distributions.length;
+    }
+
+    /**
+     * @param index Index of the distribution token, in the order they were added.
+     * @return The distribution token.
+     */
+    function distributionTokenAt(uint256 index) public view returns (IERC20) {
+        return _distributions[index].token;
+    }
+
+    /**
+     * @dev Adds another token which users receive as they unstake or claim. It is distributed
+     *      from its own locked and unlocked pools, according to its own unlock schedules.
+     *      The pools are deployed separately. They must be empty, and their admin role must be
+     *      handed over to the geyser, which accepts it.
+     * @param distributionToken The new distribution token.
+     * @param unlockedPool A new TokenPool of the token, to hold the unlocked tokens.
+     * @param lockedPool A new TokenPool of the token, to hold the locked tokens.
+     */
+    function addDistributionToken(IERC20 distributionToken, TokenPool unlockedPool,
+                                    TokenPool lockedPool) external onlyRole(Role.Admin) {
+        _distributions.add(distributionToken, unlockedPool, lockedPool);
+    }
+
+    /**
+     * @return The distribution of a distribution token.
+     */
+    function distributionOf(IERC20 distributionToken) private view returns (Distributions.Distribution storage) {
+        for (uint256 i = 0; i < _distributions.length; i++) {
+            if (_distributions[i].token == distributionToken) {
+                return _distributions[i];
+            }
+        }
+        revert('TokenGeyser: not a distribution token');
     }
 
     /**
      * @dev Transfers amount of deposit tokens from the user.
      * @param amount Number of deposit tokens to stake.
-     * @param data Not used.
+     * @param data An optional referral code.
      */
-    function stake(uint256 amount, bytes calldata data) external {
-        _stakeFor(msg.sender, msg.sender, amount);
+    function stake(uint256 amount, bytes calldata data) external whenNotPaused nonReentrant {
+        address user = _msgSender();
+        _stakeFor(user, user, amount, now, data);
+    }
+
+    /**
+     * @dev Approves the geyser with an EIP-2612 permit signed by the user and transfers amount
+     *      of deposit tokens from the user, in one transaction. The permit is skipped when the
+     *      allowance already covers amount, so a permit submitted by someone else first does not
+     *      make the stake fail.
+     * @param amount Number of deposit tokens to stake.
+     * @param deadline The deadline of the permit.
+     * @param v The recovery id of the permit signature.
+     * @param r The r value of the permit signature.
+     * @param s The s value of the permit signature.
+     */
+    function stakeWithPermit(uint256 amount, uint256 deadline,
+                            uint8 v, bytes32 r, bytes32 s) external whenNotPaused nonReentrant {
+        address user = _msgSender();
+        address stakingToken = address(getStakingToken());
+        if (IERC20(stakingToken).allowance(user, address(this)) < amount) {
+            IERC20Permit(stakingToken).permit(user, address(this), amount, deadline, v, r, s);
+        }
+        _stakeFor(user, user, amount, now, "");
     }
 
     /**
      * @dev Transfers amount of deposit tokens from the caller on behalf of user.
      * @param user User address who gains credit for this stake operation.
      * @param amount Number of deposit tokens to stake.
-     * @param data Not used.
+     * @param data The abi encoded timestamp of the original stake, when called by the predecessor
+     *             to migrate a stake. An optional referral code otherwise.
      */
-    function stakeFor(address user, uint256 amount, bytes calldata data) external {
-        _stakeFor(msg.sender, user, amount);
+    function stakeFor(address user, uint256 amount, bytes calldata data) external whenNotPaused nonReentrant {
+        uint256 timestampSec = now;
+        if (msg.sender == predecessor && data.length == 32) {
+            uint256 originalTimestampSec = abi.decode(data, (uint256));
+            timestampSec = (originalTimestampSec < now) ? originalTimestampSec : now;
+        }
+        _stakeFor(_msgSender(), user, amount, timestampSec, data);
+    }
+
+    /**
+     * @dev Adds to the tallies of the referral code in data, if there is one.
+     * @param data The data of a stake or unstake.
+     * @param stakedAmount Number of deposit tokens the staking pool received.
+     * @param unstakedAmount Number of deposit tokens unstaked.
+     */
+    function tallyReferral(bytes memory data, uint256 stakedAmount, uint256 unstakedAmount) private {
+        if (data.length != 32) {
+            return;
+        }
+        ReferralTotals storage totals = referralTotals[abi.decode(data, (bytes32))];
+        totals.staked = totals.staked.add(stakedAmount);
+        totals.unstaked = totals.unstaked.add(unstakedAmount);
     }
 
     /**
@@ -158,26 +398,40 @@ contract TokenGeyser is IStaking, Ownable {
      * @param staker User address who deposits tokens to stake.
      * @param beneficiary User address who gains credit for this stake operation.
      * @param amount Number of deposit tokens to stake.
+     * @param timestampSec Timestamp the time-bonus of the stake is counted from.
+     * @param data The data of the stake, echoed in the Staked event.
      */
-    function _stakeFor(address staker, address beneficiary, uint256 amount) private {
+    function _stakeFor(address staker, address beneficiary, uint256 amount, uint256 timestampSec,
+                        bytes memory data) private {
         require(amount > 0, 'TokenGeyser: stake amount is zero');
         require(beneficiary != address(0), 'TokenGeyser: beneficiary is zero address');
         require(totalStakingShares == 0 || totalStaked() > 0,
                 'TokenGeyser: Invalid state. Staking shares exist, but no staking tokens do');
 
+        updateAccounting();
+
+        // Tokens which take a fee on transfer add less than amount to the staking pool, so the
+        // shares are minted for what it received.
+        uint256 stakedTokens = totalStaked();
+        require(getStakingToken().transferFrom(staker, address(_stakingPool), amount),
+            'TokenGeyser: transfer into staking pool failed');
+        amount = totalStaked().sub(stakedTokens);
+        // Stakes migrated from the predecessor carry their timestamp as data, not a referral code.
+        if (msg.sender != predecessor) {
+            tallyReferral(data, amount, 0);
+        }
+
         uint256 mintedStakingShares = (totalStakingShares > 0)
-            ? totalStakingShares.mul(amount).div(totalStaked())
+            ? totalStakingShares.mul(amount).div(stakedTokens)
             : amount.mul(_initialSharesPerToken);
         require(mintedStakingShares > 0, 'TokenGeyser: Stake amount is too small');
 
-        updateAccounting();
-
         // 1. User Accounting
         UserTotals storage totals = _userTotals[beneficiary];
         totals.stakingShares = totals.stakingShares.add(mintedStakingShares);
         totals.lastAccountingTimestampSec = now;
 
-        Stake memory newStake = Stake(mintedStakingShares, now);
+        Stakes.Stake memory newStake = Stakes.Stake(mintedStakingShares, timestampSec, now);
         _userStakes[beneficiary].push(newStake);
 
         // 2. Global Accounting
@@ -185,75 +439,84 @@ contract TokenGeyser is IStaking, Ownable {
         // Already set in updateAccounting()
         // _lastAccountingTimestampSec = now;
 
-        // interactions
-        require(_stakingPool.token().transferFrom(staker, address(_stakingPool), amount),
-            'TokenGeyser: transfer into staking pool failed');
+        if (address(receiptToken) != address(0)) {
+            receiptToken.mint(beneficiary, mintedStakingShares);
+        }
+
+        require(maxTotalStaked == 0 || totalStaked() <= maxTotalStaked, 'TokenGeyser: total stake cap exceeded');
+        checkStakeLimits(beneficiary);
+        checkpointStakes(beneficiary);
 
-        emit Staked(beneficiary, amount, totalStakedFor(beneficiary), "");
+        emit Staked(beneficiary, amount, totalStakedFor(beneficiary), data);
     }
 
     /**
      * @dev Unstakes a certain amount of previously deposited tokens. User also receives their
      * alotted number of distribution tokens.
      * @param amount Number of deposit tokens to unstake / withdraw.
-     * @param data Not used.
+     * @param data An optional referral code.
      */
-    function unstake(uint256 amount, bytes calldata data) external {
-        _unstake(amount);
+    function unstake(uint256 amount, bytes calldata data) external nonReentrant {
+        tallyReferral(data, 0, amount);
+        _unstake(amount, data);
     }
 
     /**
      * @param amount Number of deposit tokens to unstake / withdraw.
      * @return The total number of distribution tokens that would be rewarded.
      */
-    function unstakeQuery(uint256 amount) public returns (uint256) {
-        return _unstake(amount);
+    function unstakeQuery(uint256 amount) public nonReentrant returns (uint256) {
+        return _unstake(amount, "");
+    }
+
+    /**
+     * @dev The view counterpart of unstakeQuery, for any user and at now or a time after now. Rewards
+     *      at a later time assume nothing else changes until then: no stakes, unstakes, claims or
+     *      rebases, and no unlocks other than the one of the unstake itself.
+     * @param user The user who would unstake.
+     * @param amount Number of deposit tokens to unstake.
+     * @param timestampSec Time of the unstake, now or later.
+     * @return The number of distribution tokens that would be rewarded.
+     */
+    function unstakeQueryAt(address user, uint256 amount, uint256 timestampSec) public view returns (uint256) {
+        requireNotPast(timestampSec);
+        (, uint256 unlockedTokens) = _distributions[0].balancesAt(timestampSec);
+        return _userStakes[user].burnQuery(stakingSharesToUnstake(user, amount), unlockedTokens,
+            bonusParamsHistory, totalStakingShareSecondsAt(timestampSec), timestampSec);
+    }
+
+    /**
+     * @dev Checks that the user can unstake amount.
+     * @return The number of staking shares to burn for amount.
+     */
+    function stakingSharesToUnstake(address user, uint256 amount) private view returns (uint256) {
+        require(amount > 0, 'TokenGeyser: unstake amount is zero');
+        require(totalStakedFor(user) >= amount,
+            'TokenGeyser: unstake amount is greater than total user stakes');
+        uint256 stakingShares = totalStakingShares.mul(amount).div(totalStaked());
+        require(stakingShares > 0, 'TokenGeyser: Unable to unstake amount this small');
+        return stakingShares;
     }
 
     /**
      * @dev Unstakes a certain amount of previously deposited tokens. User also receives their
      * alotted number of distribution tokens.
      * @param amount Number of deposit tokens to unstake / withdraw.
+     * @param data The data of the unstake, echoed in the Unstaked event.
      * @return The total number of distribution tokens rewarded.
      */
-    function _unstake(uint256 amount) private returns (uint256) {
+    function _unstake(uint256 amount, bytes memory data) private returns (uint256) {
         updateAccounting();
+        address user = _msgSender();
 
         // checks
-        require(amount > 0, 'TokenGeyser: unstake amount is zero');
-        require(totalStakedFor(msg.sender) >= amount,
-            'TokenGeyser: unstake amount is greater than total user stakes');
-        uint256 stakingSharesToBurn = totalStakingShares.mul(amount).div(totalStaked());
-        require(stakingSharesToBurn > 0, 'TokenGeyser: Unable to unstake amount this small');
+        uint256 stakingSharesToBurn = stakingSharesToUnstake(user, amount);
 
         // 1. User Accounting
-        UserTotals storage totals = _userTotals[msg.sender];
-        Stake[] storage accountStakes = _userStakes[msg.sender];
-
+        UserTotals storage totals = _userTotals[user];
         // Redeem from most recent stake and go backwards in time.
-        uint256 stakingShareSecondsToBurn = 0;
-        uint256 sharesLeftToBurn = stakingSharesToBurn;
-        uint256 rewardAmount = 0;
-        while (sharesLeftToBurn > 0) {
-            Stake storage lastStake = accountStakes[accountStakes.length - 1];
-            uint256 stakeTimeSec = now.sub(lastStake.timestampSec);
-            uint256 newStakingShareSecondsToBurn = 0;
-            if (lastStake.stakingShares <= sharesLeftToBurn) {
-                // fully redeem a past stake
-                newStakingShareSecondsToBurn = lastStake.stakingShares.mul(stakeTimeSec);
-                rewardAmount = computeNewReward(rewardAmount, newStakingShareSecondsToBurn, stakeTimeSec);
-                stakingShareSecondsToBurn = stakingShareSecondsToBurn.add(newStakingShareSecondsToBurn);
-                sharesLeftToBurn = sharesLeftToBurn.sub(lastStake.stakingShares);
-                accountStakes.length--;
-            } else {
-                // partially redeem a past stake
-                newStakingShareSecondsToBurn = sharesLeftToBurn.mul(stakeTimeSec);
-                rewardAmount = computeNewReward(rewardAmount, newStakingShareSecondsToBurn, stakeTimeSec);
-                stakingShareSecondsToBurn = stakingShareSecondsToBurn.add(newStakingShareSecondsToBurn);
-                lastStake.stakingShares = lastStake.stakingShares.sub(sharesLeftToBurn);
-                sharesLeftToBurn = 0;
-            }
-        }
+        (uint256 stakingShareSecondsToBurn, uint256[] memory rewardAmounts) = _userStakes[user].burn(
+            stakingSharesToBurn, _distributions, bonusParamsHistory, _totalStakingShareSeconds);
         totals.stakingShareSeconds = totals.stakingShareSeconds.sub(stakingShareSecondsToBurn);
         totals.stakingShares = totals.stakingShares.sub(stakingSharesToBurn);
         // Already set in updateAccounting
@@ -264,55 +527,185 @@ contract TokenGeyser is IStaking, Ownable {
         totalStakingShares = totalStakingShares.sub(stakingSharesToBurn);
         // Already set in updateAccounting
         // _lastAccountingTimestampSec = now;
+        burnReceipts(user, stakingSharesToBurn);
 
         // interactions
-        require(_stakingPool.transfer(msg.sender, amount),
-            'TokenGeyser: transfer out of staking pool failed');
-        require(_unlockedPool.transfer(msg.sender, rewardAmount),
-            'TokenGeyser: transfer out of unlocked pool failed');
-
-        emit Unstaked(msg.sender, amount, totalStakedFor(msg.sender), "");
-        emit TokensClaimed(msg.sender, rewardAmount);
+        transferOutOfStakingPool(user, amount);
+        checkpointStakes(user);
+        emit Unstaked(user, amount, totalStakedFor(user), data);
+        uint256 rewardAmount = payRewards(rewardAmounts);
 
-        require(totalStakingShares == 0 || totalStaked() > 0,
-                "TokenGeyser: Error unstaking. Staking shares exist, but no staking tokens do");
+        requireStakedTokens();
         return rewardAmount;
     }
 
     /**
-     * @dev Applies an additional time-bonus to a distribution amount. This is necessary to
-     *      encourage long-term deposits instead of constant unstake/restakes.
-     *      The bonus-multiplier is the result of a linear function that starts at startBonus and
-     *      ends at 100% over bonusPeriodSec, then stays at 100% thereafter.
-     * @param currentRewardTokens The current number of distribution tokens already alotted for this
-     *                            unstake op. Any bonuses are already applied.
-     * @param stakingShareSeconds The stakingShare-seconds that are being burned for new
-     *                            distribution tokens.
-     * @param stakeTimeSec Length of time for which the tokens were staked. Needed to calculate
-     *                     the time-bonus.
-     * @return Updated amount of distribution tokens to award, with any bonus included on the
-     *         newly added tokens.
+     * @dev Transfers the caller's currently earned distribution tokens, without unstaking.
+     *      All of the caller's stakingShare-seconds are burned for rewards, exactly as an unstake
+     *      of every stake would, and start accruing again from now on.
+     *      Claiming does not reset the time-bonus: a stake keeps its original timestampSec, so
+     *      rewards claimed later are bonused according to the full age of the stake. Any bonus
+     *      forfeited on a claim stays in the unlocked pool, as it does on unstake.
+     *      Rewards are paid in every distribution token.
+     * @return The number of distribution tokens rewarded, in the first distribution token.
      */
-    function computeNewReward(uint256 currentRewardTokens,
-                                uint256 stakingShareSeconds,
-                                uint256 stakeTimeSec) private view returns (uint256) {
+    function claim() external nonReentrant returns (uint256) {
+        return _claim();
+    }
 
-        uint256 newRewardTokens =
-            totalUnlocked()
-            .mul(stakingShareSeconds)
-            .div(_totalStakingShareSeconds);
+    /**
+     * @dev Private implementation of claim.
+     * @return The number of distribution tokens rewarded, in the first distribution token.
+     */
+    function _claim() private returns (uint256) {
+        updateAccounting();
 
-        if (stakeTimeSec >= bonusPeriodSec) {
-            return currentRewardTokens.add(newRewardTokens);
-        }
+        // 1. User Accounting
+        address user = _msgSender();
+        UserTotals storage totals = _userTotals[user];
+        (uint256 stakingShareSecondsToBurn, uint256[] memory rewardAmounts) = _userStakes[user].claim(
+            _distributions, bonusParamsHistory, _totalStakingShareSeconds);
+        totals.stakingShareSeconds = totals.stakingShareSeconds.sub(stakingShareSecondsToBurn);
+
+        // 2. Global Accounting
+        _totalStakingShareSeconds = _totalStakingShareSeconds.sub(stakingShareSecondsToBurn);
+
+        // interactions
+        return payRewards(rewardAmounts);
+    }
 
-        uint256 oneHundredPct = 10**BONUS_DECIMALS;
-        uint256 bonusedReward =
-            startBonus
-            .add(oneHundredPct.sub(startBonus).mul(stakeTimeSec).div(bonusPeriodSec))
-            .mul(newRewardTokens)
-            .div(oneHundredPct);
-        return currentRewardTokens.add(bonusedReward);
+    /**
+     * @dev Transfers the caller's rewards in every distribution token.
+     * @param rewardAmounts Number of tokens to transfer, per distribution token.
+     * @return The number of tokens transferred in the first distribution token.
+     */
+    function payRewards(uint256[] memory rewardAmounts) private returns (uint256) {
+        return _distributions.pay(_msgSender(), rewardAmounts);
+    }
+
+    /**
+     * @dev Exit path for when distribution tokens can not be paid out, e.g. because the
+     *      distribution token reverts on transfer. Returns all of the caller's staking tokens and
+     *      burns all of their staking shares and stakingShare-seconds. The caller forfeits any
+     *      rewards, which stay in the unlocked pool for the remaining stakers.
+     *      The distribution token is never called, so this works even if it is broken.
+     * @return The number of staking tokens returned.
+     */
+    function emergencyUnstake() external nonReentrant returns (uint256) {
+        address user = _msgSender();
+        updateStakingShareSeconds(user);
+
+        // checks
+        require(_userTotals[user].stakingShares > 0, 'TokenGeyser: no stake to withdraw');
+        uint256 amount = totalStakedFor(user);
+
+        burnAllStakeTotals(user);
+        delete _userStakes[user];
+
+        // interactions
+        transferOutOfStakingPool(user, amount);
+        checkpointStakes(user);
+
+        emit EmergencyUnstaked(user, amount);
+
+        requireStakedTokens();
+        return amount;
+    }
+
+    /**
+     * @dev Moves all of the caller's stakes to the successor. The caller is paid their rewards
+     *      first, the same as on claim. Then every stake is staked into the successor for the
+     *      caller, one by one, along with its original timestamp. A successor which has this
+     *      geyser as its predecessor keeps the timestamps, so the time-bonus is not lost.
+     * @return The number of staking tokens migrated.
+     */
+    function migrate() external nonReentrant returns (uint256) {
+        address user = _msgSender();
+        require(successor != address(0), 'TokenGeyser: no successor');
+        require(_userTotals[user].stakingShares > 0, 'TokenGeyser: no stake to migrate');
+        _claim();
+
+        uint256 amount = totalStakedFor(user);
+        uint256 stakingSharesToBurn = burnAllStakeTotals(user);
+
+        // interactions
+        amount = _userStakes[user].migrate(_stakingPool, IStaking(successor), user, amount, stakingSharesToBurn);
+        checkpointStakes(user);
+
+        emit StakeMigrated(user, successor, amount);
+
+        requireStakedTokens();
+        return amount;
+    }
+
+    /**
+     * @dev Moves staking shares from one user to another, on a transfer of receipt tokens. The
+     *      sender's stakes are moved from the most recent backwards in time, the same as on
+     *      unstake, and are appended to the recipient's stakes. Moved stakes keep their
+     *      timestamps, so the recipient takes over their time-bonus along with the
+     *      stakingShare-seconds they accrued since they were last claimed.
+     * @param from User the shares are moved from.
+     * @param to User the shares are moved to.
+     * @param stakingShares Number of staking shares to move.
+     */
+    function transferStakingShares(address from, address to, uint256 stakingShares) external nonReentrant {
+        require(msg.sender == address(receiptToken), 'TokenGeyser: caller is not the receipt token');
+        updateStakingShareSeconds(from);
+        updateStakingShareSeconds(to);
+
+        UserTotals storage fromTotals = _userTotals[from];
+        uint256 stakingShareSecondsToMove = _userStakes[from].transfer(_userStakes[to], stakingShares);
+        fromTotals.stakingShares = fromTotals.stakingShares.sub(stakingShares);
+        fromTotals.stakingShareSeconds = fromTotals.stakingShareSeconds.sub(stakingShareSecondsToMove);
+
+        UserTotals storage toTotals = _userTotals[to];
+        toTotals.stakingShares = toTotals.stakingShares.add(stakingShares);
+        toTotals.stakingShareSeconds = toTotals.stakingShareSeconds.add(stakingShareSecondsToMove);
+
+        checkStakeLimits(to);
+        checkpointStakes(from);
+        checkpointStakes(to);
+        emit StakeTransferred(from, to, stakingShares);
+    }
+
+    /**
+     * @dev Checks that the user may hold what they have staked, after it grew.
+     */
+    function checkStakeLimits(address user) private view {
+        require(!allowlistOnly || allowlisted[user], 'TokenGeyser: user is not allowlisted');
+        require(maxStakedPerUser == 0 || totalStakedFor(user) <= maxStakedPerUser,
+            'TokenGeyser: user stake cap exceeded');
+    }
+
+    /**
+     * @dev Burns all of the user's staking shares and stakingShare-seconds, without paying any
+     *      rewards. The user's stakingShare-seconds must be up to date. The stakes themselves are
+     *      left to the caller to remove.
+     * @param user The user whose staking shares are burned.
+     * @return The number of staking shares burned.
+     */
+    function burnAllStakeTotals(address user) private returns (uint256) {
+        // 1. User Accounting
+        UserTotals storage totals = _userTotals[user];
+        uint256 stakingSharesToBurn = totals.stakingShares;
+        uint256 stakingShareSecondsToBurn = totals.stakingShareSeconds;
+        totals.stakingShareSeconds = 0;
+        totals.stakingShares = 0;
+
+        // 2. Global Accounting
+        _totalStakingShareSeconds = _totalStakingShareSeconds.sub(stakingShareSecondsToBurn);
+        totalStakingShares = totalStakingShares.sub(stakingSharesToBurn);
+        burnReceipts(user, stakingSharesToBurn);
+        return stakingSharesToBurn;
+    }
+
+    /**
+     * @dev Burns the user's receipt tokens for the given staking shares, in receipt-token mode.
+     */
+    function burnReceipts(address user, uint256 stakingShares) private {
+        if (address(receiptToken) != address(0)) {
+            receiptToken.burn(user, stakingShares);
+        }
     }
 
     /**
@@ -340,6 +733,90 @@ contract TokenGeyser is IStaking, Ownable {
         return address(getStakingToken());
     }
 
+    /**
+     * @return True. The staked amounts at past blocks are available.
+     */
+    function supportsHistory() external pure returns (bool) {
+        return true;
+    }
+
+    /**
+     * @dev The staked tokens are the share of addr of the total staked tokens, as of the latest
+     *      checkpoint up to blockNumber. Rebases since that checkpoint are not reflected.
+     * @param addr The user to look up staking information for.
+     * @param blockNumber A past block.
+     * @return The number of staking tokens deposited for addr at blockNumber.
+     */
+    function totalStakedForAt(address addr, uint256 blockNumber) public view returns (uint256) {
+        uint256 totalStakingSharesAtBlock = totalStakingSharesAt(blockNumber);
+        return totalStakingSharesAtBlock > 0
+            ? totalStakedAt(blockNumber).mul(totalStakingSharesForAt(addr, blockNumber)).div(totalStakingSharesAtBlock)
+            : 0;
+    }
+
+    /**
+     * @dev Rebases since the latest checkpoint up to blockNumber are not reflected.
+     * @param blockNumber A past block.
+     * @return The total number of deposit tokens staked globally at blockNumber.
+     */
+    function totalStakedAt(uint256 blockNumber) public view returns (uint256) {
+        return checkpointAt(_totalStakedHistory, blockNumber);
+    }
+
+    /**
+     * @param addr The user to look up staking information for.
+     * @param blockNumber A past block.
+     * @return The number of staking shares of addr at blockNumber.
+     */
+    function totalStakingSharesForAt(address addr, uint256 blockNumber) public view returns (uint256) {
+        return checkpointAt(_userStakingSharesHistory[addr], blockNumber);
+    }
+
+    /**
+     * @param blockNumber A past block.
+     * @return The total number of staking shares at blockNumber.
+     */
+    function totalStakingSharesAt(uint256 blockNumber) public view returns (uint256) {
+        return checkpointAt(_totalStakingSharesHistory, blockNumber);
+    }
+
+    /**
+     * @dev Finds the value of the latest checkpoint up to blockNumber, by binary search.
+     */
+    function checkpointAt(Checkpoint[] storage checkpoints, uint256 blockNumber) private view returns (uint256) {
+        require(blockNumber < block.number, 'TokenGeyser: block not yet mined');
+        uint256 lower = 0;
+        uint256 upper = checkpoints.length;
+        while (lower < upper) {
+            uint256 mid = lower.add(upper).div(2);
+            if (checkpoints[mid].fromBlock > blockNumber) {
+                upper = mid;
+            } else {
+                lower = mid.add(1);
+            }
+        }
+        return (lower > 0) ? checkpoints[lower - 1].value : 0;
+    }
+
+    /**
+     * @dev Writes the current staking shares of the user and the current totals to the history.
+     * @param user The user whose shares changed.
+     */
+    function checkpointStakes(address user) private {
+        writeCheckpoint(_userStakingSharesHistory[user], _userTotals[user].stakingShares);
+        writeCheckpoint(_totalStakingSharesHistory, totalStakingShares);
+        writeCheckpoint(_totalStakedHistory, totalStaked());
+    }
+
+    function writeCheckpoint(Checkpoint[] storage checkpoints, uint256 value) private {
+        uint256 n = checkpoints.length;
+        if (n > 0 && checkpoints[n - 1].fromBlock == block.number) {
+            checkpoints[n - 1].value = value;
+        } else {
+            checkpoints.push(Checkpoint(block.number, value));
+        }
+    }
+
     /**
      * @dev A globally callable function to update the accounting state of the system.
      *      Global state and state for the caller are updated.
@@ -352,9 +829,81 @@ contract TokenGeyser is IStaking, Ownable {
      */
     function updateAccounting() public returns (
         uint256, uint256, uint256, uint256, uint256, uint256) {
+        return updateAccountingOf(getDistributionToken());
+    }
 
+    /**
+     * @dev Same as updateAccounting, with the pool balances and rewards of the given distribution
+     *      token.
+     * @param distributionToken The distribution token.
+     * @return [0] balance of the locked pool
+     * @return [1] balance of the unlocked pool
+     * @return [2] caller's staking share seconds
+     * @return [3] global staking share seconds
+     * @return [4] Rewards caller has accumulated, optimistically assumes max time-bonus.
+     * @return [5] block timestamp
+     */
+    function updateAccountingOf(IERC20 distributionToken) public returns (
+        uint256, uint256, uint256, uint256, uint256, uint256) {
         unlockTokens();
+        updateStakingShareSeconds(_msgSender());
+        // With everything unlocked and accrued up to now, the view counterpart has nothing left to project.
+        return accountingQueryOf(distributionToken, _msgSender(), now);
+    }
+
+    /**
+     * @dev The view counterpart of updateAccounting, for any user and at now or a time after now.
+     *      The pending unlocks are included and the stakingShare-seconds are projected to
+     *      timestampSec, assuming nothing else changes until then.
+     * @param user The user to account for.
+     * @param timestampSec Time to account up to, now or later.
+     * @return The same as updateAccounting, with [5] timestampSec.
+     */
+    function accountingQuery(address user, uint256 timestampSec) public view returns (
+        uint256, uint256, uint256, uint256, uint256, uint256) {
+        return accountingQueryOf(getDistributionToken(), user, timestampSec);
+    }
+
+    /**
+     * @dev Same as accountingQuery, with the pool balances and rewards of the given distribution
+     *      token.
+     */
+    function accountingQueryOf(IERC20 distributionToken, address user, uint256 timestampSec) public view returns (
+        uint256 lockedTokens, uint256 unlockedTokens, uint256 userStakingShareSeconds,
+        uint256 totalStakingShareSeconds, uint256 userRewards, uint256) {
+        requireNotPast(timestampSec);
+        (lockedTokens, unlockedTokens) = distributionOf(distributionToken).balancesAt(timestampSec);
+        userStakingShareSeconds = userStakingShareSecondsAt(user, timestampSec);
+        totalStakingShareSeconds = totalStakingShareSecondsAt(timestampSec);
+        userRewards = (totalStakingShareSeconds > 0)
+            ? unlockedTokens.mul(userStakingShareSeconds).div(totalStakingShareSeconds)
+            : 0;
+        return (lockedTokens, unlockedTokens, userStakingShareSeconds, totalStakingShareSeconds, userRewards,
+            timestampSec);
+    }
 
+    /**
+     * @return The user's stakingShare-seconds projected to timestampSec, now or later.
+     */
+    function userStakingShareSecondsAt(address user, uint256 timestampSec) private view returns (uint256) {
+        UserTotals storage totals = _userTotals[user];
+        return totals.stakingShareSeconds.add(
+            timestampSec.sub(totals.lastAccountingTimestampSec).mul(totals.stakingShares));
+    }
+
+    /**
+     * @return The global stakingShare-seconds projected to timestampSec, now or later.
+     */
+    function totalStakingShareSecondsAt(uint256 timestampSec) private view returns (uint256) {
+        return _totalStakingShareSeconds.add(timestampSec.sub(_lastAccountingTimestampSec).mul(totalStakingShares));
+    }
+
+    /**
+     * @dev Accrues the global and the user's stakingShare-seconds up to now. Unlike
+     *      updateAccounting, this never touches the distribution token.
+     * @param user The user to accrue stakingShare-seconds for.
+     */
+    function updateStakingShareSeconds(address user) private {
         // Global accounting
         uint256 newStakingShareSeconds =
             now
@@ -364,7 +913,7 @@ contract TokenGeyser is IStaking, Ownable {
         _lastAccountingTimestampSec = now;
 
         // User Accounting
-        UserTotals storage totals = _userTotals[msg.sender];
+        UserTotals storage totals = _userTotals[user];
         uint256 newUserStakingShareSeconds =
             now
             .sub(totals.lastAccountingTimestampSec)
@@ -373,131 +922,451 @@ contract TokenGeyser is IStaking, Ownable {
             totals.stakingShareSeconds
             .add(newUserStakingShareSeconds);
         totals.lastAccountingTimestampSec = now;
-
-        uint256 totalUserRewards = (_totalStakingShareSeconds > 0)
-            ? totalUnlocked().mul(totals.stakingShareSeconds).div(_totalStakingShareSeconds)
-            : 0;
-
-        return (
-            totalLocked(),
-            totalUnlocked(),
-            totals.stakingShareSeconds,
-            _totalStakingShareSeconds,
-            totalUserRewards,
-            now
-        );
     }
 
     /**
      * @return Total number of locked distribution tokens.
      */
     function totalLocked() public view returns (uint256) {
-        return _lockedPool.balance();
+        return totalLockedOf(getDistributionToken());
     }
 
     /**
      * @return Total number of unlocked distribution tokens.
      */
     function totalUnlocked() public view returns (uint256) {
-        return _unlockedPool.balance();
+        return totalUnlockedOf(getDistributionToken());
+    }
+
+    /**
+     * @return Total number of locked shares of the distribution token.
+     */
+    function totalLockedShares() public view returns (uint256) {
+        return _distributions[0].totalLockedShares;
     }
 
     /**
      * @return Number of unlock schedules.
      */
     function unlockScheduleCount() public view returns (uint256) {
-        return unlockSchedules.length;
+        return unlockScheduleCountOf(getDistributionToken());
     }
 
     /**
-     * @dev This funcion allows the contract owner to add more locked distribution tokens, along
+     * @param s Index of the unlock schedule.
+     * @return The unlock schedule, without its curve.
+     */
+    function unlockSchedules(uint256 s) public view returns (
+        uint256 initialLockedShares,
+        uint256 unlockedShares,
+        uint256 lastUnlockTimestampSec,
+        uint256 endAtSec,
+        uint256 durationSec,
+        uint256 cliffAtSec,
+        Distributions.UnlockCurve curve) {
+        return unlockScheduleOf(getDistributionToken(), s);
+    }
+
+    /**
+     * @return The curve of an unlock schedule and its breakpoints.
+     */
+    function unlockScheduleCurve(uint256 s) public view returns (
+        Distributions.UnlockCurve, uint256[] memory, uint256[] memory) {
+        return unlockScheduleCurveOf(getDistributionToken(), s);
+    }
+
+    /**
+     * @return Total number of locked tokens of a distribution token.
+     */
+    function totalLockedOf(IERC20 distributionToken) public view returns (uint256) {
+        return distributionOf(distributionToken).lockedPool.balance();
+    }
+
+    /**
+     * @return Total number of unlocked tokens of a distribution token.
+     */
+    function totalUnlockedOf(IERC20 distributionToken) public view returns (uint256) {
+        return distributionOf(distributionToken).unlockedPool.balance();
+    }
+
+    /**
+     * @return Number of unlock schedules of a distribution token.
+     */
+    function unlockScheduleCountOf(IERC20 distributionToken) public view returns (uint256) {
+        return distributionOf(distributionToken).unlockSchedules.length;
+    }
+
+    /**
+     * @param distributionToken The distribution token.
+     * @param s Index of the unlock schedule.
+     * @return The unlock schedule, without its curve.
+     */
+    function unlockScheduleOf(IERC20 distributionToken, uint256 s) public view returns (
+        uint256 initialLockedShares,
+        uint256 unlockedShares,
+        uint256 lastUnlockTimestampSec,
+        uint256 endAtSec,
+        uint256 durationSec,
+        uint256 cliffAtSec,
+        Distributions.UnlockCurve curve) {
+        Distributions.UnlockSchedule storage schedule =
+            distributionOf(distributionToken).unlockSchedules[s];
+        return (schedule.initialLockedShares, schedule.unlockedShares, schedule.lastUnlockTimestampSec,
+            schedule.endAtSec, schedule.durationSec, schedule.cliffAtSec, schedule.curve);
+    }
+
+    /**
+     * @return The curve of an unlock schedule of a distribution token and its breakpoints.
+     */
+    function unlockScheduleCurveOf(IERC20 distributionToken, uint256 s) public view returns (
+        Distributions.UnlockCurve, uint256[] memory, uint256[] memory) {
+        Distributions.UnlockSchedule storage schedule =
+            distributionOf(distributionToken).unlockSchedules[s];
+        return (schedule.curve, schedule.curveOffsetsSec, schedule.curveUnlockedFractions);
+    }
+
+    /**
+     * @dev This funcion allows the funder to add more locked distribution tokens, along
      *      with the associated "unlock schedule". These locked tokens immediately begin unlocking
      *      linearly over the duraction of durationSec timeframe.
+     *      Schedules which have fully unlocked are retired first, so maxUnlockSchedules only
+     *      limits the number of schedules unlocking at the same time.
      * @param amount Number of distribution tokens to lock. These are transferred from the caller.
      * @param durationSec Length of time to linear unlock the tokens.
      */
-    function lockTokens(uint256 amount, uint256 durationSec) external onlyOwner {
-        require(unlockSchedules.length < _maxUnlockSchedules,
-            'TokenGeyser: reached maximum unlock schedules');
+    function lockTokens(uint256 amount, uint256 durationSec) external onlyRole(Role.Funder) whenNotPaused {
+        _lockTokens(_distributions[0], amount, durationSec, now, 0);
+    }
+
+    /**
+     * @dev Same as lockTokens, but unlocking begins at startAtSec instead of now, and nothing
+     *      unlocks until cliffSec have passed since the start. At the end of the cliff, the
+     *      shares which would have unlocked linearly during the cliff are unlocked at once.
+     * @param amount Number of distribution tokens to lock. These are transferred from the caller.
+     * @param durationSec Length of time to linear unlock the tokens, including the cliff.
+     * @param startAtSec Timestamp at which unlocking begins. A timestamp in the past begins now.
+     * @param cliffSec Length of time after the start during which nothing unlocks.
+     */
+    function lockTokensWithSchedule(uint256 amount, uint256 durationSec, uint256 startAtSec,
+                                    uint256 cliffSec) external onlyRole(Role.Funder) whenNotPaused {
+        _lockTokens(_distributions[0], amount, durationSec, startAtSec, cliffSec);
+    }
+
+    /**
+     * @dev Same as lockTokensWithSchedule, but the tokens unlock along the given curve instead
+     *      of linearly.
+     * @param amount Number of distribution tokens to lock. These are transferred from the caller.
+     * @param durationSec Length of time to unlock the tokens, including the cliff.
+     * @param startAtSec Timestamp at which unlocking begins. A timestamp in the past begins now.
+     * @param cliffSec Length of time after the start during which nothing unlocks.
+     * @param curve Shape of the unlock curve.
+     * @param offsetsSec Breakpoint times in seconds since the start, increasing and within
+     *                   durationSec. Empty for a linear curve.
+     * @param unlockedFractions Cumulative fraction of the tokens unlocked at each breakpoint,
+     *                          UNLOCK_CURVE_DECIMALS fixed point.
+     */
+    function lockTokensWithCurve(uint256 amount, uint256 durationSec, uint256 startAtSec, uint256 cliffSec,
+                                Distributions.UnlockCurve curve, uint256[] calldata offsetsSec,
+                                uint256[] calldata unlockedFractions) external onlyRole(Role.Funder) whenNotPaused {
+        _lockTokens(_distributions[0], amount, durationSec, startAtSec, cliffSec)
+            .setUnlockCurve(curve, offsetsSec, unlockedFractions);
+    }
+
+    /**
+     * @dev Same as lockTokensWithSchedule, for any of the distribution tokens.
+     * @param distributionToken The distribution token to lock.
+     * @param amount Number of tokens to lock. These are transferred from the caller.
+     * @param durationSec Length of time to linear unlock the tokens, including the cliff.
+     * @param startAtSec Timestamp at which unlocking begins. A timestamp in the past begins now.
+     * @param cliffSec Length of time after the start during which nothing unlocks.
+     */
+    function lockTokensOf(IERC20 distributionToken, uint256 amount, uint256 durationSec, uint256 startAtSec,
+                            uint256 cliffSec) external onlyRole(Role.Funder) whenNotPaused {
+        _lockTokens(distributionOf(distributionToken), amount, durationSec, startAtSec, cliffSec);
+    }
+
+    /**
+     * @dev Same as lockTokensWithCurve, for any of the distribution tokens.
+     * @param distributionToken The distribution token to lock.
+     */
+    function lockTokensWithCurveOf(IERC20 distributionToken, uint256 amount, uint256 durationSec, uint256 startAtSec,
+                                    uint256 cliffSec, Distributions.UnlockCurve curve, uint256[] calldata offsetsSec,
+                                    uint256[] calldata unlockedFractions) external onlyRole(Role.Funder) whenNotPaused {
+        _lockTokens(distributionOf(distributionToken), amount, durationSec, startAtSec, cliffSec)
+            .setUnlockCurve(curve, offsetsSec, unlockedFractions);
+    }
 
+    /**
+     * @dev Transfers amount of distribution tokens from the caller into the unlocked pool, where
+     *      they are shared by the stakers right away. Anyone may donate, and no unlock schedule
+     *      is taken up.
+     * @param distributionToken The distribution token to donate.
+     * @param amount Number of tokens to donate. These are transferred from the caller.
+     */
+    function donate(IERC20 distributionToken, uint256 amount) external nonReentrant {
+        distributionOf(distributionToken).donate(_msgSender(), amount);
+    }
+
+    /**
+     * @dev Transfers amount of distribution tokens from the caller into the locked pool and adds
+     *      them to an unlock schedule which is still unlocking, so they unlock along its curve
+     *      over the rest of its duration. Anyone may donate. Fully unlocked schedules are retired
+     *      as soon as they are unlocked, which shifts the indices of the later ones, so the caller also
+     *      names the end of the schedule it means and the donation reverts if they disagree.
+     * @param distributionToken The distribution token to donate.
+     * @param s Index of the unlock schedule.
+     * @param endAtSec The endAtSec of the unlock schedule.
+     * @param amount Number of tokens to donate. These are transferred from the caller.
+     */
+    function donateToSchedule(IERC20 distributionToken, uint256 s, uint256 endAtSec,
+                                uint256 amount) external nonReentrant {
+        // The shares minted for the tokens must be priced after the pending unlocks.
+        unlockTokens();
+        distributionOf(distributionToken)
+            .donateToSchedule(_msgSender(), s, endAtSec, amount, _initialSharesPerToken);
+    }
+
+    /**
+     * @dev Private implementation of the locking methods.
+     * @param d The distribution token to lock.
+     * @param amount Number of distribution tokens to lock. These are transferred from the caller.
+     * @param durationSec Length of time to linear unlock the tokens, including the cliff.
+     * @param startAtSec Timestamp at which unlocking begins. A timestamp in the past begins now.
+     * @param cliffSec Length of time after the start during which nothing unlocks.
+     * @return The new unlock schedule.
+     */
+    function _lockTokens(Distributions.Distribution storage d, uint256 amount, uint256 durationSec, uint256 startAtSec,
+                            uint256 cliffSec) private nonReentrant returns (Distributions.UnlockSchedule storage) {
         // Update lockedTokens amount before using it in computations after.
         updateAccounting();
 
-        uint256 lockedTokens = totalLocked();
-        uint256 mintedLockedShares = (lockedTokens > 0)
-            ? totalLockedShares.mul(amount).div(lockedTokens)
-            : amount.mul(_initialSharesPerToken);
+        uint256 s = d.lock(_msgSender(), amount, durationSec, (startAtSec > now) ? startAtSec : now, cliffSec,
+            _maxUnlockSchedules, _initialSharesPerToken);
+        return d.unlockSchedules[s];
+    }
 
-        UnlockSchedule memory schedule;
-        schedule.initialLockedShares = mintedLockedShares;
-        schedule.lastUnlockTimestampSec = now;
-        schedule.endAtSec = now.add(durationSec);
-        schedule.durationSec = durationSec;
-        unlockSchedules.push(schedule);
+    /**
+     * @dev Stops accepting new stakes and new unlock schedules.
+     */
+    function pause() external onlyRole(Role.Pauser) {
+        requireNotPaused();
+        paused = true;
+        emit Paused(_msgSender());
+    }
 
-        totalLockedShares = totalLockedShares.add(mintedLockedShares);
+    /**
+     * @dev Resumes accepting new stakes and new unlock schedules. Only the admin may unpause,
+     *      so a compromised pauser key can not reopen the geyser.
+     */
+    function unpause() external onlyRole(Role.Admin) {
+        require(paused, 'TokenGeyser: not paused');
+        paused = false;
+        emit Unpaused(_msgSender());
+    }
 
-        require(_lockedPool.token().transferFrom(msg.sender, address(_lockedPool), amount),
-            'TokenGeyser: transfer into locked pool failed');
-        emit TokensLocked(amount, durationSec, totalLocked());
+    /**
+     * @dev Sets the geyser users may migrate their stakes to.
+     * @param newSuccessor A geyser with the same staking token, or the zero address to have none.
+     */
+    function setSuccessor(address newSuccessor) external onlyRole(Role.Admin) {
+        Stakes.checkSuccessor(IStaking(newSuccessor), _stakingPool);
+        emit SuccessorChanged(successor, newSuccessor);
+        successor = newSuccessor;
     }
 
     /**
-     * @dev Moves distribution tokens from the locked pool to the unlocked pool, according to the
-     *      previously defined unlock schedules. Publicly callable.
-     * @return Number of newly unlocked distribution tokens.
+     * @dev Sets the geyser whose migrated stakes keep their original timestamps.
+     * @param newPredecessor The previous geyser, or the zero address to have none.
      */
-    function unlockTokens() public returns (uint256) {
-        uint256 unlockedTokens = 0;
-        uint256 lockedTokens = totalLocked();
+    function setPredecessor(address newPredecessor) external onlyRole(Role.Admin) {
+        emit PredecessorChanged(predecessor, newPredecessor);
+        predecessor = newPredecessor;
+    }
 
-        if (totalLockedShares == 0) {
-            unlockedTokens = lockedTokens;
-        } else {
-            uint256 unlockedShares = 0;
-            for (uint256 s = 0; s < unlockSchedules.length; s++) {
-                unlockedShares = unlockedShares.add(unlockScheduleShares(s));
-            }
-            unlockedTokens = unlockedShares.mul(lockedTokens).div(totalLockedShares);
-            totalLockedShares = totalLockedShares.sub(unlockedShares);
-        }
+    /**
+     * @dev Turns on receipt-token mode. Only possible once, before anything is staked.
+     * @param receiptToken_ A receipt token owned by the geyser, with nothing minted.
+     */
+    function setReceiptToken(GeyserReceiptToken receiptToken_) external onlyRole(Role.Admin) {
+        Stakes.checkReceiptToken(receiptToken, receiptToken_, totalStakingShares);
+        receiptToken = receiptToken_;
+        emit ReceiptTokenSet(receiptToken_);
+    }
+
+    /**
+     * @dev Caps the stakes, to limit the exposure of a new geyser.
+     * @param maxTotalStaked_ The most totalStaked() may be after a stake, or zero to have no cap.
+     * @param maxStakedPerUser_ The most totalStakedFor() of a user may be after a stake, or zero to
+     *                          have no cap.
+     */
+    function setStakingCaps(uint256 maxTotalStaked_, uint256 maxStakedPerUser_) external onlyRole(Role.Admin) {
+        maxTotalStaked = maxTotalStaked_;
+        maxStakedPerUser = maxStakedPerUser_;
+        emit StakingCapsSet(maxTotalStaked_, maxStakedPerUser_);
+    }
+
+    /**
+     * @dev Starts or ends the allowlist phase, during which only allowlisted users may be staked for.
+     */
+    function setAllowlistOnly(bool allowlistOnly_) external onlyRole(Role.Admin) {
+        allowlistOnly = allowlistOnly_;
+        emit AllowlistOnlySet(allowlistOnly_);
+    }
 
-        if (unlockedTokens > 0) {
-            require(_lockedPool.transfer(address(_unlockedPool), unlockedTokens),
-                'TokenGeyser: transfer out of locked pool failed');
-            emit TokensUnlocked(unlockedTokens, totalLocked());
+    /**
+     * @dev Adds users to or removes them from the allowlist. Stakes of removed users are kept.
+     */
+    function setAllowlisted(address[] calldata users, bool allowed) external onlyRole(Role.Admin) {
+        for (uint256 i = 0; i < users.length; i++) {
+            allowlisted[users[i]] = allowed;
+            emit AllowlistUpdated(users[i], allowed);
         }
+    }
 
-        return unlockedTokens;
+    /**
+     * @dev Transfers tokens sent by mistake to the geyser, which never holds any between calls, or
+     *      to one of its pools. A pool never gives up the token it holds, so the staked, locked and
+     *      unlocked tokens can not be touched.
+     * @param pool The pool holding the tokens, or the zero address for the geyser itself.
+     * @param tokenToRescue The token to transfer.
+     * @param to The recipient.
+     * @param amount Number of tokens to transfer.
+     */
+    function rescueFunds(TokenPool pool, IERC20 tokenToRescue, address to,
+                            uint256 amount) external onlyRole(Role.Admin) {
+        Distributions.rescue(pool, tokenToRescue, to, amount);
     }
 
     /**
-     * @dev Returns the number of unlockable shares from a given schedule. The returned value
-     *      depends on the time since the last unlock. This function updates schedule accounting,
-     *      but does not actually transfer any tokens.
-     * @param s Index of the unlock schedule.
-     * @return The number of unlocked shares.
+     * @dev Transfers the tokens of a distribution token no one is entitled to, once nothing is
+     *      staked: what is left in the unlocked pool, and what is left in the locked pool once
+     *      every unlock schedule has unlocked all of its shares. Otherwise these would be handed
+     *      out to whoever stakes next, or be stuck for good.
+     * @param distributionToken The distribution token.
+     * @param to The recipient.
+     * @return Number of tokens transferred.
      */
-    function unlockScheduleShares(uint256 s) private returns (uint256) {
-        UnlockSchedule storage schedule = unlockSchedules[s];
+    function reclaimTokens(IERC20 distributionToken, address to) external onlyRole(Role.Admin) returns (uint256) {
+        return distributionOf(distributionToken).reclaim(to, totalStakingShares == 0);
+    }
 
-        if(schedule.unlockedShares >= schedule.initialLockedShares) {
-            return 0;
+    /**
+     * @dev Accepts relayed calls to stake, unstake, updateAccounting and claim, up to the relay fee
+     *      and gas price limits.
+     * @param encodedFunction The calldata of the relayed call.
+     * @param transactionFee The fee of the relay, as a percentage of the gas cost.
+     * @param gasPrice The gas price of the relayed call.
+     * @return Zero to accept the call, or the rejection code of the RelayHub plus a
+     *         RelayedCallRejection.
+     */
+    function acceptRelayedCall(address, address, bytes calldata encodedFunction, uint256 transactionFee,
+                                uint256 gasPrice, uint256, uint256, bytes calldata,
+                                uint256) external view returns (uint256, bytes memory) {
+        // The function selector is the first four bytes of the calldata.
+        bytes memory data = encodedFunction;
+        bytes32 head;
+        assembly {
+            head := mload(add(data, 32))
         }
-
-        uint256 sharesToUnlock = 0;
-        // Special case to handle any leftover dust from integer division
-        if (now >= schedule.endAtSec) {
-            sharesToUnlock = (schedule.initialLockedShares.sub(schedule.unlockedShares));
-            schedule.lastUnlockTimestampSec = schedule.endAtSec;
-        } else {
-            sharesToUnlock = now.sub(schedule.lastUnlockTimestampSec)
-                .mul(schedule.initialLockedShares)
-                .div(schedule.durationSec);
-            schedule.lastUnlockTimestampSec = now;
+        bytes4 selector = (data.length >= 4) ? bytes4(head) : bytes4(0);
+        if (selector != this.stake.selector && selector != this.unstake.selector &&
+            selector != this.updateAccounting.selector && selector != this.claim.selector) {
+            return _rejectRelayedCall(uint256(RelayedCallRejection.FunctionNotRelayed));
+        }
+        if (transactionFee > maxRelayFee) {
+            return _rejectRelayedCall(uint256(RelayedCallRejection.FeeTooHigh));
         }
+        if (gasPrice > maxRelayGasPrice) {
+            return _rejectRelayedCall(uint256(RelayedCallRejection.GasPriceTooHigh));
+        }
+        return _approveRelayedCall();
+    }
 
-        schedule.unlockedShares = schedule.unlockedShares.add(sharesToUnlock);
-        return sharesToUnlock;
+    function _preRelayedCall(bytes memory) internal returns (bytes32) {}
+
+    function _postRelayedCall(bytes memory, bool, uint256, bytes32) internal {}
+
+    /**
+     * @dev Sets the most relayed calls may cost the geyser.
+     * @param maxRelayFee_ The highest relay fee accepted, as a percentage of the gas cost.
+     * @param maxRelayGasPrice_ The highest gas price accepted.
+     */
+    function setRelayLimits(uint256 maxRelayFee_, uint256 maxRelayGasPrice_) external onlyRole(Role.Admin) {
+        maxRelayFee = maxRelayFee_;
+        maxRelayGasPrice = maxRelayGasPrice_;
+        emit RelayLimitsSet(maxRelayFee_, maxRelayGasPrice_);
+    }
+
+    /**
+     * @dev Sets the RelayHub relayed calls come from, e.g. for a new version of the hub.
+     * @param newRelayHub The new RelayHub.
+     */
+    function setRelayHub(address newRelayHub) external onlyRole(Role.Admin) {
+        _upgradeRelayHub(newRelayHub);
+    }
+
+    /**
+     * @dev Withdraws from the deposit of the geyser in the RelayHub, which pays for relayed calls.
+     * @param amount The amount of ether to withdraw.
+     * @param payee The recipient of the ether.
+     */
+    function withdrawDeposits(uint256 amount, address payable payee) external onlyRole(Role.Admin) {
+        _withdrawDeposits(amount, payee);
+    }
+
+    /**
+     * @return The starting time bonus in effect now, BONUS_DECIMALS fixed point.
+     */
+    function startBonus() public view returns (uint256) {
+        return bonusParamsHistory[currentBonusParamsIndex()].startBonus;
+    }
+
+    /**
+     * @return The length of time for the bonus to increase linearly to max, in effect now.
+     */
+    function bonusPeriodSec() public view returns (uint256) {
+        return bonusParamsHistory[currentBonusParamsIndex()].bonusPeriodSec;
+    }
+
+    /**
+     * @return Number of bonus params checkpoints, including a pending change.
+     */
+    function bonusParamsCount() public view returns (uint256) {
+        return bonusParamsHistory.length;
+    }
+
+    function currentBonusParamsIndex() private view returns (uint256) {
+        uint256 c = bonusParamsHistory.length - 1;
+        return (bonusParamsHistory[c].effectiveAtSec > now) ? c - 1 : c;
+    }
+
+    /**
+     * @dev Schedules new time-bonus params, which take effect BONUS_PARAMS_DELAY_SEC from now.
+     *      Share-seconds accrued until then keep being rewarded with the current params.
+     * @param startBonus_ Starting time bonus, BONUS_DECIMALS fixed point.
+     * @param bonusPeriodSec_ Length of time for bonus to increase linearly to max.
+     */
+    function scheduleBonusParams(uint256 startBonus_, uint256 bonusPeriodSec_) external onlyRole(Role.Admin) {
+        bonusParamsHistory.scheduleBonusParams(startBonus_, bonusPeriodSec_);
+    }
+
+    /**
+     * @dev Cancels a change of the time-bonus params which has not taken effect yet.
+     */
+    function cancelBonusParams() external onlyRole(Role.Admin) {
+        bonusParamsHistory.cancelBonusParams();
+    }
+
+    /**
+     * @dev Moves distribution tokens from the locked pools to the unlocked pools, according to the
+     *      previously defined unlock schedules. Publicly callable.
+     * @return Number of newly unlocked tokens of the first distribution token.
+     */
+    function unlockTokens() public returns (uint256) {
+        uint256 unlockedTokens = 0;
+        for (uint256 i = _distributions.length; i > 0; i--) {
+            unlockedTokens = _distributions[i - 1].unlock();
+        }
+        return unlockedTokens;
     }
 }
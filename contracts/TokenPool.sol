@@ -1,14 +1,16 @@
 pragma solidity 0.5.0;
 
-import "openzeppelin-solidity/contracts/ownership/Ownable.sol";
 import "openzeppelin-solidity/contracts/token/ERC20/IERC20.sol";
 
+import "./AccessRoles.sol";
+
 /**
  * @title A simple holder of tokens.
  * This is a simple contract to hold tokens. It's useful in the case where a separate contract
- * needs to hold multiple distinct pools of the same token.
+ * needs to hold multiple distinct pools of the same token. Only the admin, which is the geyser
+ * once it has taken the pool, may move the tokens.
  */
-contract TokenPool is Ownable {
+contract TokenPool is AccessRoles {
     IERC20 public token;
 
     constructor(IERC20 _token) public {
@@ -19,7 +21,19 @@ contract TokenPool is Ownable {
         return token.balanceOf(address(this));
     }
 
-    function transfer(address to, uint256 value) external onlyOwner returns (bool) {
+    function transfer(address to, uint256 value) external onlyRole(Role.Admin) returns (bool) {
         return token.transfer(to, value);
     }
+
+    /**
+     * @dev Transfers tokens sent to the pool by mistake. The token the pool holds can not be rescued.
+     * @param tokenToRescue The token to transfer, any but the token of the pool.
+     * @param to The recipient.
+     * @param amount Number of tokens to transfer.
+     */
+    function rescueFunds(IERC20 tokenToRescue, address to,
+                            uint256 amount) external onlyRole(Role.Admin) returns (bool) {
+        require(tokenToRescue != token, 'TokenPool: Cannot claim token held by the contract');
+        return tokenToRescue.transfer(to, amount);
+    }
 }
@@ -0,0 +1,26 @@
+pragma solidity 0.5.0;
+
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title An ERC20 token which burns a fee on every transfer, for testing only.
+ */
+contract MockFeeERC20 is ERC20 {
+    // Fee taken from every transfer, in parts per 10000.
+    uint256 public feeBps;
+
+    constructor(uint256 supply, uint256 feeBps_) public {
+        _mint(msg.sender, supply);
+        feeBps = feeBps_;
+    }
+
+    function setFeeBps(uint256 feeBps_) external {
+        feeBps = feeBps_;
+    }
+
+    function _transfer(address sender, address recipient, uint256 amount) internal {
+        uint256 fee = amount.mul(feeBps).div(10000);
+        _burn(sender, fee);
+        super._transfer(sender, recipient, amount.sub(fee));
+    }
+}
@@ -0,0 +1,41 @@
+pragma solidity 0.5.0;
+
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20Detailed.sol";
+
+/**
+ * @title An ERC20 token with EIP-2612 permit, for testing only.
+ * @dev The chain id is given to the constructor, as the chainid opcode is not available to
+ *      this compiler version.
+ */
+contract MockPermitERC20 is ERC20, ERC20Detailed {
+    bytes32 public constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    bytes32 public DOMAIN_SEPARATOR;
+    mapping(address => uint256) public nonces;
+
+    constructor(uint256 supply, uint256 chainId) public ERC20Detailed('Mock Permit Token', 'MPT', 9) {
+        _mint(msg.sender, supply);
+        DOMAIN_SEPARATOR = keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256(bytes(name())),
+            keccak256(bytes('1')),
+            chainId,
+            address(this)
+        ));
+    }
+
+    function permit(address owner, address spender, uint256 value, uint256 deadline,
+                    uint8 v, bytes32 r, bytes32 s) external {
+        require(deadline >= now, 'MockPermitERC20: expired deadline');
+        bytes32 digest = keccak256(abi.encodePacked(
+            "\x19\x01",
+            DOMAIN_SEPARATOR,
+            keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, nonces[owner]++, deadline))
+        ));
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0) && signer == owner, 'MockPermitERC20: invalid signature');
+        _approve(owner, spender, value);
+    }
+}
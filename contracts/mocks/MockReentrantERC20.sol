@@ -0,0 +1,38 @@
+pragma solidity 0.5.0;
+
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title An ERC20 token which calls back into a contract on a transfer, like the hooks of an
+ *        ERC777 token, for testing only.
+ */
+contract MockReentrantERC20 is ERC20 {
+    address public reentryTarget;
+    bytes public reentryData;
+
+    constructor(uint256 supply) public {
+        _mint(msg.sender, supply);
+    }
+
+    /**
+     * @dev Makes the next transfer call target with data first, and revert if that call does.
+     */
+    function setReentry(address target, bytes calldata data) external {
+        reentryTarget = target;
+        reentryData = data;
+    }
+
+    function _transfer(address sender, address recipient, uint256 amount) internal {
+        address target = reentryTarget;
+        if (target != address(0)) {
+            reentryTarget = address(0);
+            (bool success, bytes memory returnData) = target.call(reentryData);
+            if (!success) {
+                assembly {
+                    revert(add(returnData, 32), mload(returnData))
+                }
+            }
+        }
+        super._transfer(sender, recipient, amount);
+    }
+}
@@ -0,0 +1,23 @@
+pragma solidity 0.5.0;
+
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title An ERC20 token whose transfers can be made to revert, for testing only.
+ */
+contract MockRevertingERC20 is ERC20 {
+    bool public transfersReverting = false;
+
+    constructor(uint256 supply) public {
+        _mint(msg.sender, supply);
+    }
+
+    function setTransfersReverting(bool reverting) external {
+        transfersReverting = reverting;
+    }
+
+    function transfer(address recipient, uint256 amount) public returns (bool) {
+        require(!transfersReverting, 'MockRevertingERC20: transfer reverted');
+        return super.transfer(recipient, amount);
+    }
+}
@@ -13,10 +13,28 @@ rm -rf $PROJECT_DIR/build
 mkdir -p $PROJECT_DIR/build/contracts
 
 echo "-----Compiling project"
-npx oz compile --solc-version $SOLVERSION
+# Optimize for code size rather than for cheap calls, which keeps TokenGeyser under the 24576 byte
+# contract size limit of EIP-170.
+npx oz compile --solc-version $SOLVERSION --optimizer on --optimizer-runs 1
 
 echo "-----Compiling UFragments contract"
 cd $PROJECT_DIR/node_modules/uFragments
 npx oz compile --solc-version 0.4.24
 cd $PROJECT_DIR
 cp $PROJECT_DIR/node_modules/uFragments/build/contracts/UFragments.json $PROJECT_DIR/build/contracts/
+
+echo "-----Compiling TokenGeyser v1.0.0"
+# The released geyser, which the tooling is tested against as TokenGeyserV1, since older
+# deployments still run it.
+V1_DIR=$PROJECT_DIR/build/v1.0.0
+mkdir -p $V1_DIR/contracts
+cp $PROJECT_DIR/deployments/TokenGeyser_v1.0.0_flattened.sol $V1_DIR/contracts/TokenGeyser.sol
+cd $V1_DIR
+npx oz compile --solc-version $SOLVERSION --optimizer on
+cd $PROJECT_DIR
+node -e "
+const fs = require('fs');
+const artifact = JSON.parse(fs.readFileSync('$V1_DIR/build/contracts/TokenGeyser.json'));
+artifact.contractName = 'TokenGeyserV1';
+fs.writeFileSync('$PROJECT_DIR/build/contracts/TokenGeyserV1.json', JSON.stringify(artifact, null, 2));
+"
@@ -0,0 +1,148 @@
+// Deploys a TokenGeyser and records it in deployments/<network>.yaml
+//
+// Usage:
+//   npm run deploy -- --network ganacheUnitTest --poolRef UNI-ETHHAM-V2 \
+//     --stakingToken 0x... --distributionToken 0x... --maxUnlockSchedules 10 \
+//     --startBonus 33 --bonusPeriodSec 5184000 --initialSharesPerToken 1000000 \
+//     [--distributions 0x...] [--stakes 0x...]
+//
+// TokenGeyser is linked against the Distributions and Stakes libraries. Already deployed libraries
+// can be reused with --distributions and --stakes, otherwise new ones are deployed first.
+const Web3 = require('web3');
+const _require = require('app-root-path').require;
+const { appendDeployment, findDeployment, loadDeployments, DEPLOYMENTS_DIR } = _require('/util/deployments');
+
+const BONUS_DECIMALS = 2;
+
+function networkProvider (network) {
+  const config = _require('/truffle.js').networks[network];
+  if (!config) {
+    throw new Error(`Unknown network ${network}, expected one of the networks in truffle.js`);
+  }
+  return config.provider ? config.provider() : `http://${config.host}:${config.port}`;
+}
+
+// Mirrors the checks done by the TokenGeyser constructor, so bad parameters are caught
+// before spending gas on a deployment that reverts.
+async function validateParams (web3, params) {
+  const toBN = web3.utils.toBN;
+  if (!params.poolRef) {
+    throw new Error('poolRef is required');
+  }
+  for (const t of ['stakingToken', 'distributionToken']) {
+    if (!web3.utils.isAddress(params[t])) {
+      throw new Error(`${t} is not a valid address: ${params[t]}`);
+    }
+    if ((await web3.eth.getCode(params[t])) === '0x') {
+      throw new Error(`${t} has no contract code: ${params[t]}`);
+    }
+  }
+  if (toBN(params.startBonus).gt(toBN(10 ** BONUS_DECIMALS))) {
+    throw new Error('TokenGeyser: start bonus too high');
+  }
+  if (toBN(params.bonusPeriodSec).isZero()) {
+    throw new Error('TokenGeyser: bonus period is zero');
+  }
+  if (toBN(params.initialSharesPerToken).isZero()) {
+    throw new Error('TokenGeyser: initialSharesPerToken is zero');
+  }
+}
+
+// Replaces the placeholders of the given libraries in the bytecode with their addresses.
+function linkBytecode (bytecode, libraries) {
+  return Object.keys(libraries).reduce((code, name) =>
+    code.replace(new RegExp(`__${name}_+`, 'g'), libraries[name].replace(/^0x/, '').toLowerCase()), bytecode);
+}
+
+async function deployLibrary (web3, artifact, from) {
+  const tx = new web3.eth.Contract(artifact.abi).deploy({ data: artifact.bytecode });
+  const gas = await tx.estimateGas({ from });
+  return (await tx.send({ from, gas })).options.address;
+}
+
+async function deployGeyser (web3, params,
+  { network, from, dir = DEPLOYMENTS_DIR, artifact, distributionsArtifact, stakesArtifact }) {
+  artifact = artifact || _require('/build/contracts/TokenGeyser.json');
+  distributionsArtifact = distributionsArtifact || _require('/build/contracts/Distributions.json');
+  stakesArtifact = stakesArtifact || _require('/build/contracts/Stakes.json');
+  from = from || (await web3.eth.getAccounts())[0];
+  await validateParams(web3, params);
+  for (const l of ['distributions', 'stakes']) {
+    if (params[l] && (await web3.eth.getCode(params[l])) === '0x') {
+      throw new Error(`${l} has no contract code: ${params[l]}`);
+    }
+  }
+  if (findDeployment(loadDeployments(network, dir), params.stakingToken, params.poolRef)) {
+    throw new Error(`Deployment ${params.poolRef} already exists on ${network}`);
+  }
+  const distributions = params.distributions || await deployLibrary(web3, distributionsArtifact, from);
+  const stakes = params.stakes || await deployLibrary(web3, stakesArtifact, from);
+
+  const args = [
+    params.stakingToken,
+    params.distributionToken,
+    `${params.maxUnlockSchedules}`,
+    `${params.startBonus}`,
+    `${params.bonusPeriodSec}`,
+    `${params.initialSharesPerToken}`
+  ];
+  const data = linkBytecode(artifact.bytecode, { Distributions: distributions, Stakes: stakes });
+  const tx = new web3.eth.Contract(artifact.abi).deploy({ data, arguments: args });
+  const gas = await tx.estimateGas({ from });
+  let receipt;
+  const geyser = await tx.send({ from, gas }).on('receipt', r => { receipt = r; });
+
+  const entry = {
+    poolRef: params.poolRef,
+    stakingToken: web3.utils.toChecksumAddress(params.stakingToken),
+    distToken: web3.utils.toChecksumAddress(params.distributionToken),
+    deployment: web3.utils.toChecksumAddress(geyser.options.address),
+    // The admin, which may also fund and pause the geyser.
+    owner: web3.utils.toChecksumAddress(await geyser.methods.roleHolder(0).call()),
+    distributions: web3.utils.toChecksumAddress(distributions),
+    stakes: web3.utils.toChecksumAddress(stakes),
+    params: {
+      maxUnlockSchedules: args[2],
+      startBonus: args[3],
+      bonusPeriodSec: args[4],
+      initialSharesPerToken: args[5]
+    },
+    blockNumber: receipt.blockNumber,
+    txHash: receipt.transactionHash
+  };
+  const file = appendDeployment(network, entry, dir);
+  return { geyser, entry, file };
+}
+
+async function main () {
+  const argv = require('yargs')
+    .usage('Usage: $0 --network <name> --poolRef <ref> [constructor params]')
+    .option('network', { type: 'string', demandOption: true, describe: 'Network name from truffle.js' })
+    .option('poolRef', { type: 'string', demandOption: true, describe: 'Name of the pool, e.g. UNI-ETHHAM-V2' })
+    .option('stakingToken', { type: 'string', demandOption: true })
+    .option('distributionToken', { type: 'string', demandOption: true })
+    .option('maxUnlockSchedules', { type: 'string', demandOption: true })
+    .option('startBonus', { type: 'string', demandOption: true, describe: 'BONUS_DECIMALS fixed point' })
+    .option('bonusPeriodSec', { type: 'string', demandOption: true })
+    .option('initialSharesPerToken', { type: 'string', demandOption: true })
+    .option('distributions', { type: 'string', describe: 'Deployed Distributions library, deployed if not given' })
+    .option('stakes', { type: 'string', describe: 'Deployed Stakes library, deployed if not given' })
+    .option('from', { type: 'string', describe: 'Deployer, defaults to the first account' })
+    .argv;
+
+  const web3 = new Web3(networkProvider(argv.network));
+  const { entry, file } = await deployGeyser(web3, argv, { network: argv.network, from: argv.from });
+  console.log(`Deployed ${entry.poolRef} at ${entry.deployment} (tx ${entry.txHash})`);
+  console.log(`Recorded in ${file}`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(e => {
+      console.error(e.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { deployGeyser, validateParams, networkProvider, linkBytecode };
@@ -0,0 +1,93 @@
+// Indexes the staking history of a TokenGeyser into a resumable JSON checkpoint file
+//
+// Usage:
+//   npm run index-events -- --network mainnet --poolRef UNI-ETHHAM-V2 --rpc <url> --out <file>
+//   npm run index-events -- --geyser 0x... [--initialSharesPerToken 1000000] [--startBlock <n>] \
+//     [--rebasing] --rpc <url> --out <file>
+//
+// The staking totals are carried from event to event, which any node can serve. Two cases take an
+// archive node: the block and initialSharesPerToken of a geyser whose deployment record lacks them,
+// or which is given by address only, are looked up on-chain, and with --rebasing the staking totals
+// are read before every block with events.
+// With --referrals, the staking tokens staked and unstaked with each referral code are printed too.
+const Web3 = require('web3');
+const _require = require('app-root-path').require;
+const { GeyserIndexer, JsonStore, findCreation } = _require('/util/geyser_indexer');
+const { loadDeployments } = _require('/util/deployments');
+const { formatReferrals } = _require('/util/referrals');
+
+async function main () {
+  const argv = require('yargs')
+    .usage('Usage: $0 (--network <name> --poolRef <ref> | --geyser <address> ...) --out <file>')
+    .option('rpc', { type: 'string', default: 'http://localhost:8545', describe: 'RPC URL' })
+    .option('out', { type: 'string', demandOption: true, describe: 'JSON checkpoint file' })
+    .option('network', { type: 'string', describe: 'Read the geyser from deployments/<network>.yaml' })
+    .option('poolRef', { type: 'string', describe: 'Pool to look up in the deployments file' })
+    .option('stakingToken', { type: 'string', describe: 'Staking token of the pool, if its poolRef is not unique' })
+    .option('geyser', { type: 'string', describe: 'TokenGeyser address' })
+    .option('initialSharesPerToken', {
+      type: 'string',
+      describe: 'Constructor param of the geyser; looking it up takes an archive RPC'
+    })
+    .option('startBlock', {
+      type: 'number',
+      describe: 'Block the geyser was deployed in; looking it up takes an archive RPC'
+    })
+    .option('rebasing', {
+      type: 'boolean',
+      default: false,
+      describe: 'The staking token rebases: read the staking totals on-chain, which takes an archive RPC'
+    })
+    .option('toBlock', { type: 'number', describe: 'Last block to index, defaults to latest' })
+    .option('referrals', { type: 'boolean', default: false, describe: 'Print the referral code tallies' })
+    .argv;
+
+  let { geyser, initialSharesPerToken, startBlock } = argv;
+  if (argv.network && argv.poolRef) {
+    const entries = loadDeployments(argv.network).filter(d => d.poolRef === argv.poolRef &&
+      (!argv.stakingToken || d.stakingToken.toLowerCase() === argv.stakingToken.toLowerCase()));
+    if (entries.length !== 1) {
+      throw new Error(entries.length === 0
+        ? `No deployment record for ${argv.poolRef} on ${argv.network}`
+        : `Several deployment records for ${argv.poolRef} on ${argv.network}, pass --stakingToken`);
+    }
+    const entry = entries[0];
+    geyser = entry.deployment;
+    initialSharesPerToken = initialSharesPerToken || (entry.params && entry.params.initialSharesPerToken);
+    startBlock = (startBlock !== undefined) ? startBlock : entry.blockNumber;
+  }
+  if (!geyser) {
+    throw new Error('Expected --network and --poolRef, or --geyser');
+  }
+
+  const web3 = new Web3(argv.rpc);
+  if (!initialSharesPerToken || startBlock === undefined) {
+    const creation = await findCreation(web3, geyser);
+    initialSharesPerToken = initialSharesPerToken || creation.initialSharesPerToken;
+    startBlock = (startBlock !== undefined) ? startBlock : creation.blockNumber;
+  }
+  if (!initialSharesPerToken) {
+    throw new Error(`${geyser} was not created by a transaction of its own, pass --initialSharesPerToken`);
+  }
+  const indexer = new GeyserIndexer(web3, geyser, {
+    initialSharesPerToken,
+    startBlock,
+    store: new JsonStore(argv.out),
+    rebasing: argv.rebasing
+  });
+  const state = await indexer.run(argv.toBlock);
+  console.log(`Indexed ${geyser} up to block ${state.lastProcessedBlock}, ` +
+    `${Object.keys(state.users).length} users`);
+  if (argv.referrals) {
+    console.log(formatReferrals(web3, state.referrals));
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(e => {
+      console.error(e.message);
+      process.exit(1);
+    });
+}
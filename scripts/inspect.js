@@ -0,0 +1,30 @@
+// Prints the accounting state of a deployed TokenGeyser
+//
+// Usage:
+//   npm run inspect -- --geyser 0x... [--rpc http://localhost:8545] [--user 0x...] [--json]
+const Web3 = require('web3');
+const _require = require('app-root-path').require;
+const { inspectGeyser, formatStatus } = _require('/util/geyser_inspector');
+
+async function main () {
+  const argv = require('yargs')
+    .usage('Usage: $0 --geyser <address> [--rpc <url>] [--user <address>] [--json]')
+    .option('geyser', { type: 'string', demandOption: true, describe: 'TokenGeyser address' })
+    .option('rpc', { type: 'string', default: 'http://localhost:8545', describe: 'RPC URL' })
+    .option('user', { type: 'string', describe: 'Account to evaluate updateAccounting for' })
+    .option('json', { type: 'boolean', default: false, describe: 'Print JSON instead of text' })
+    .argv;
+
+  const web3 = new Web3(argv.rpc);
+  const state = await inspectGeyser(web3, argv.geyser, { user: argv.user });
+  console.log(argv.json ? JSON.stringify(state, null, 2) : formatStatus(web3, state));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(e => {
+      console.error(e.message);
+      process.exit(1);
+    });
+}
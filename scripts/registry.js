@@ -0,0 +1,47 @@
+// Lists the geysers registered in a GeyserFactory, and optionally records the missing ones in
+// deployments/<network>.yaml
+//
+// Usage:
+//   npm run registry -- --network mainnet --factory 0x... [--sync] [--fromBlock 0] [--json]
+const Web3 = require('web3');
+const _require = require('app-root-path').require;
+const { listRegistry, syncDeployments } = _require('/util/geyser_registry');
+const { networkProvider } = _require('/scripts/deploy');
+
+async function main () {
+  const argv = require('yargs')
+    .usage('Usage: $0 --network <name> --factory <address> [--sync] [--fromBlock <n>] [--json]')
+    .option('network', { type: 'string', demandOption: true, describe: 'Network name from truffle.js' })
+    .option('factory', { type: 'string', demandOption: true, describe: 'GeyserFactory address' })
+    .option('sync', { type: 'boolean', default: false, describe: 'Record missing geysers in the deployments' })
+    .option('fromBlock', { type: 'number', default: 0, describe: 'Block the factory was deployed at' })
+    .option('json', { type: 'boolean', default: false, describe: 'Print JSON instead of text' })
+    .argv;
+
+  const web3 = new Web3(networkProvider(argv.network));
+  const entries = await listRegistry(web3, argv.factory);
+  if (argv.json) {
+    console.log(JSON.stringify(entries, null, 2));
+  } else {
+    for (const e of entries) {
+      console.log(`#${e.index} ${e.poolRef} ${e.deployment} (staking ${e.stakingToken}, distributing ${e.distToken})`);
+    }
+  }
+
+  if (argv.sync) {
+    const added = await syncDeployments(web3, argv.factory, argv.network, { fromBlock: argv.fromBlock });
+    for (const e of added) {
+      console.log(`Recorded ${e.poolRef} at ${e.deployment}`);
+    }
+    console.log(`${added.length} new deployment(s) recorded for ${argv.network}`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(e => {
+      console.error(e.message);
+      process.exit(1);
+    });
+}
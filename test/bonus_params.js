@@ -0,0 +1,213 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, expectEvent, BN, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  checkHamAprox,
+  TimeController,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_DAY = 24 * 3600;
+const ONE_HOUR = 3600;
+const DELAY = 2 * ONE_DAY;
+
+let ham, dist, owner, anotherAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  const startBonus = 50; // 50%
+  const bonusPeriod = ONE_DAY;
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, startBonus, bonusPeriod,
+    InitialSharesPerToken);
+
+  await ham.transfer(anotherAccount, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+}
+
+function claimedAmount (r) {
+  return r.logs.filter(l => l.event === 'TokensClaimed')[0].args.amount;
+}
+
+describe('bonus params', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('when deployed', function () {
+    it('should start with the constructor params', async function () {
+      expect(await dist.BONUS_PARAMS_DELAY_SEC.call()).to.be.bignumber.equal(`${DELAY}`);
+      expect(await dist.bonusParamsCount.call()).to.be.bignumber.equal('1');
+      const p = await dist.bonusParamsHistory.call(0);
+      expect(p.startBonus).to.be.bignumber.equal('50');
+      expect(p.bonusPeriodSec).to.be.bignumber.equal(`${ONE_DAY}`);
+      expect(p.effectiveAtSec).to.be.bignumber.equal('0');
+    });
+  });
+
+  describe('scheduleBonusParams', function () {
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        dist.scheduleBonusParams(0, ONE_DAY, { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should validate the params', async function () {
+      await expectRevert(
+        dist.scheduleBonusParams(101, ONE_DAY),
+        'TokenGeyser: start bonus too high'
+      );
+      await expectRevert(
+        dist.scheduleBonusParams(50, 0),
+        'TokenGeyser: bonus period is zero'
+      );
+    });
+    it('should log BonusParamsScheduled', async function () {
+      const r = await dist.scheduleBonusParams(0, 6 * ONE_DAY);
+      const t = await time.latest();
+      expectEvent(r, 'BonusParamsScheduled', {
+        startBonus: '0',
+        bonusPeriodSec: `${6 * ONE_DAY}`,
+        effectiveAtSec: t.add(new BN(DELAY))
+      });
+      expect(await dist.bonusParamsCount.call()).to.be.bignumber.equal('2');
+    });
+    it('should not allow a second pending change', async function () {
+      await dist.scheduleBonusParams(0, 6 * ONE_DAY);
+      await expectRevert(
+        dist.scheduleBonusParams(100, 1),
+        'TokenGeyser: bonus params change already pending'
+      );
+    });
+    it('should take effect after the delay', async function () {
+      const timeController = new TimeController();
+      await timeController.initialize();
+      await dist.scheduleBonusParams(0, 6 * ONE_DAY);
+      await timeController.advanceTime(DELAY / 2);
+      await timeController.executeEmptyBlock();
+      expect(await dist.startBonus.call()).to.be.bignumber.equal('50');
+      expect(await dist.bonusPeriodSec.call()).to.be.bignumber.equal(`${ONE_DAY}`);
+      await timeController.advanceTime(DELAY);
+      await timeController.executeEmptyBlock();
+      expect(await dist.startBonus.call()).to.be.bignumber.equal('0');
+      expect(await dist.bonusPeriodSec.call()).to.be.bignumber.equal(`${6 * ONE_DAY}`);
+      await dist.scheduleBonusParams(100, 1);
+      expect(await dist.bonusParamsCount.call()).to.be.bignumber.equal('3');
+    });
+  });
+
+  describe('cancelBonusParams', function () {
+    it('should not be callable by others', async function () {
+      await dist.scheduleBonusParams(0, 6 * ONE_DAY);
+      await expectRevert(
+        dist.cancelBonusParams({ from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should fail when nothing is pending', async function () {
+      await expectRevert(
+        dist.cancelBonusParams(),
+        'TokenGeyser: no bonus params change pending'
+      );
+    });
+    it('should drop the pending change and log BonusParamsCancelled', async function () {
+      await dist.scheduleBonusParams(0, 6 * ONE_DAY);
+      const r = await dist.cancelBonusParams();
+      expectEvent(r, 'BonusParamsCancelled', {
+        startBonus: '0',
+        bonusPeriodSec: `${6 * ONE_DAY}`
+      });
+      expect(await dist.bonusParamsCount.call()).to.be.bignumber.equal('1');
+    });
+    it('should fail once the change took effect', async function () {
+      const timeController = new TimeController();
+      await timeController.initialize();
+      await dist.scheduleBonusParams(0, 6 * ONE_DAY);
+      await timeController.advanceTime(2 * DELAY);
+      await expectRevert(
+        dist.cancelBonusParams(),
+        'TokenGeyser: no bonus params change pending'
+      );
+    });
+  });
+
+  describe('rewards across a change', function () {
+    // Start bonus = 50%, Bonus Period = 1 Day. 100 hams locked for 1 hour.
+    // user stakes 50 hams, and the params are changed to a start bonus of 0% over 6 days
+    // at the same time, which take effect 2 days later.
+    // The bonus is truncated to whole percents, so ages are kept clear of the boundaries.
+    const timeController = new TimeController();
+    beforeEach(async function () {
+      await dist.lockTokens($HAM(100), ONE_HOUR);
+      await timeController.initialize();
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await dist.scheduleBonusParams(0, 6 * ONE_DAY);
+    });
+    it('should use the old params before the change', async function () {
+      // after 1 day the stake has the full bonus under the old params, but 17% under the new.
+      await timeController.advanceTime(ONE_DAY + ONE_HOUR);
+      const r = await dist.unstake($HAM(50), [], { from: anotherAccount });
+      checkHamAprox(claimedAmount(r), 100);
+    });
+    it('should apply each params to the share-seconds accrued under them', async function () {
+      // after 4 days, the first half of the share-seconds gets the full bonus (old params),
+      // the second half 66% (new params): 100 * (0.5 * 1 + 0.5 * 0.66) = 83
+      await timeController.advanceTime(4 * ONE_DAY);
+      const r = await dist.unstake($HAM(50), [], { from: anotherAccount });
+      checkHamAprox(claimedAmount(r), 83);
+      checkHamAprox(await dist.totalUnlocked.call(), 17);
+    });
+    it('should use the old params when the change is cancelled', async function () {
+      await dist.cancelBonusParams();
+      await timeController.advanceTime(4 * ONE_DAY);
+      const r = await dist.unstake($HAM(50), [], { from: anotherAccount });
+      checkHamAprox(claimedAmount(r), 100);
+    });
+    it('should apply the params across claims', async function () {
+      // the claim after 1.5 days gets all 100 hams. Another 100 hams are locked, and unstaking
+      // after 3.5 days burns share-seconds accrued 1/4 under the old params and 3/4 under the new,
+      // which give a bonus of 58%: 100 * (0.25 * 1 + 0.75 * 0.58) = 68.5
+      await timeController.advanceTime(1.5 * ONE_DAY);
+      const r1 = await dist.claim({ from: anotherAccount });
+      checkHamAprox(claimedAmount(r1), 100);
+      await dist.lockTokens($HAM(100), ONE_HOUR);
+      await timeController.advanceTime(2 * ONE_DAY);
+      const r2 = await dist.unstake($HAM(50), [], { from: anotherAccount });
+      checkHamAprox(claimedAmount(r2), 68.5);
+    });
+  });
+
+  describe('when staking after a change', function () {
+    // the params change to a start bonus of 0% over 6 days, user stakes 50 hams after that,
+    // and unstakes 4 days later with a 66% bonus.
+    const timeController = new TimeController();
+    beforeEach(async function () {
+      await timeController.initialize();
+      await dist.scheduleBonusParams(0, 6 * ONE_DAY);
+      await timeController.advanceTime(DELAY + ONE_HOUR);
+      await dist.lockTokens($HAM(100), ONE_HOUR);
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+    });
+    it('should only use the new params', async function () {
+      await timeController.advanceTime(4 * ONE_DAY);
+      const r = await dist.unstake($HAM(50), [], { from: anotherAccount });
+      checkHamAprox(claimedAmount(r), 66);
+    });
+  });
+});
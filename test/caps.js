@@ -0,0 +1,272 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, expectEvent, BN } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  invokeRebase,
+  checkHamAprox,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const GeyserReceiptToken = contract.fromArtifact('GeyserReceiptToken');
+const InitialSharesPerToken = 10 ** 6;
+
+let ham, dist, owner, anotherAccount, thirdAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  thirdAccount = web3.utils.toChecksumAddress(accounts[7]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400,
+    InitialSharesPerToken);
+
+  await ham.transfer(anotherAccount, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+}
+
+describe('staking caps', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('setStakingCaps', function () {
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        dist.setStakingCaps($HAM(1000), $HAM(100), { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should set the caps', async function () {
+      expect(await dist.maxTotalStaked.call()).to.be.bignumber.equal($HAM(0));
+      expect(await dist.maxStakedPerUser.call()).to.be.bignumber.equal($HAM(0));
+      const r = await dist.setStakingCaps($HAM(1000), $HAM(100));
+      expectEvent(r, 'StakingCapsSet', {
+        maxTotalStaked: $HAM(1000),
+        maxStakedPerUser: $HAM(100)
+      });
+      expect(await dist.maxTotalStaked.call()).to.be.bignumber.equal($HAM(1000));
+      expect(await dist.maxStakedPerUser.call()).to.be.bignumber.equal($HAM(100));
+    });
+  });
+
+  describe('when no caps are set', function () {
+    it('should accept any stake', async function () {
+      await dist.stake($HAM(40000), [], { from: anotherAccount });
+      expect(await dist.totalStaked.call()).to.be.bignumber.equal($HAM(40000));
+    });
+  });
+
+  describe('when the total is capped', function () {
+    beforeEach(async function () {
+      await dist.setStakingCaps($HAM(150), 0);
+    });
+    it('should accept stakes up to the cap', async function () {
+      await dist.stake($HAM(100), [], { from: anotherAccount });
+      await dist.stake($HAM(50), []);
+      expect(await dist.totalStaked.call()).to.be.bignumber.equal($HAM(150));
+    });
+    it('should refuse stakes beyond the cap', async function () {
+      await dist.stake($HAM(100), [], { from: anotherAccount });
+      await expectRevert(
+        dist.stake($HAM(51), []),
+        'TokenGeyser: total stake cap exceeded'
+      );
+      await expectRevert(
+        dist.stakeFor(anotherAccount, $HAM(51), []),
+        'TokenGeyser: total stake cap exceeded'
+      );
+    });
+    it('should accept stakes again once the cap is lifted', async function () {
+      await dist.stake($HAM(150), [], { from: anotherAccount });
+      await dist.setStakingCaps(0, 0);
+      await dist.stake($HAM(1000), []);
+      expect(await dist.totalStaked.call()).to.be.bignumber.equal($HAM(1150));
+    });
+  });
+
+  describe('when a user is capped', function () {
+    beforeEach(async function () {
+      await dist.setStakingCaps(0, $HAM(100));
+    });
+    it('should accept stakes up to the cap of every user', async function () {
+      await dist.stake($HAM(60), [], { from: anotherAccount });
+      await dist.stake($HAM(40), [], { from: anotherAccount });
+      await dist.stake($HAM(100), []);
+      expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(100));
+      expect(await dist.totalStakedFor.call(owner)).to.be.bignumber.equal($HAM(100));
+    });
+    it('should refuse stakes beyond the cap', async function () {
+      await dist.stake($HAM(60), [], { from: anotherAccount });
+      await expectRevert(
+        dist.stake($HAM(41), [], { from: anotherAccount }),
+        'TokenGeyser: user stake cap exceeded'
+      );
+    });
+    it('should count stakeFor against the beneficiary', async function () {
+      await dist.stake($HAM(100), []);
+      await dist.stakeFor(anotherAccount, $HAM(100), []);
+      await expectRevert(
+        dist.stakeFor(anotherAccount, $HAM(1), []),
+        'TokenGeyser: user stake cap exceeded'
+      );
+    });
+  });
+
+  describe('when the staking token rebases', function () {
+    // A total cap of 150 hams and a cap of 100 hams per user, with 100 hams staked.
+    beforeEach(async function () {
+      await dist.setStakingCaps($HAM(150), $HAM(100));
+      await dist.stake($HAM(100), [], { from: anotherAccount });
+    });
+    describe('up', function () {
+      beforeEach(async function () {
+        await invokeRebase(ham, 100);
+      });
+      it('should keep the stakes above the caps', async function () {
+        checkHamAprox(await dist.totalStaked.call(), 200);
+        checkHamAprox(await dist.totalStakedFor.call(anotherAccount), 200);
+      });
+      it('should refuse new stakes', async function () {
+        await expectRevert(
+          dist.stake($HAM(1), []),
+          'TokenGeyser: total stake cap exceeded'
+        );
+        await dist.setStakingCaps($HAM(1000), $HAM(100));
+        await expectRevert(
+          dist.stake($HAM(1), [], { from: anotherAccount }),
+          'TokenGeyser: user stake cap exceeded'
+        );
+      });
+      it('should let users unstake', async function () {
+        await dist.unstake($HAM(150), [], { from: anotherAccount });
+        checkHamAprox(await dist.totalStaked.call(), 50);
+        await dist.stake($HAM(49), [], { from: anotherAccount });
+        checkHamAprox(await dist.totalStakedFor.call(anotherAccount), 99);
+      });
+    });
+    describe('down', function () {
+      beforeEach(async function () {
+        await invokeRebase(ham, -50);
+      });
+      it('should accept stakes up to the caps at the new supply', async function () {
+        checkHamAprox(await dist.totalStakedFor.call(anotherAccount), 50);
+        await dist.stake($HAM(49), [], { from: anotherAccount });
+        checkHamAprox(await dist.totalStakedFor.call(anotherAccount), 99);
+        await expectRevert(
+          dist.stake($HAM(2), [], { from: anotherAccount }),
+          'TokenGeyser: user stake cap exceeded'
+        );
+        await dist.stake($HAM(50), []);
+        checkHamAprox(await dist.totalStaked.call(), 149);
+        await expectRevert(
+          dist.stake($HAM(2), []),
+          'TokenGeyser: total stake cap exceeded'
+        );
+      });
+    });
+  });
+
+  describe('allowlist', function () {
+    it('should only be managed by the admin', async function () {
+      await expectRevert(
+        dist.setAllowlistOnly(true, { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+      await expectRevert(
+        dist.setAllowlisted([anotherAccount], true, { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should log the changes', async function () {
+      expectEvent(await dist.setAllowlistOnly(true), 'AllowlistOnlySet', { allowlistOnly: true });
+      const r = await dist.setAllowlisted([anotherAccount, thirdAccount], true);
+      expectEvent(r, 'AllowlistUpdated', { user: anotherAccount, allowed: true });
+      expectEvent(r, 'AllowlistUpdated', { user: thirdAccount, allowed: true });
+      expect(await dist.allowlistOnly.call()).to.equal(true);
+      expect(await dist.allowlisted.call(anotherAccount)).to.equal(true);
+      expect(await dist.allowlisted.call(owner)).to.equal(false);
+    });
+
+    describe('during the allowlist phase', function () {
+      beforeEach(async function () {
+        await dist.setAllowlistOnly(true);
+        await dist.setAllowlisted([anotherAccount], true);
+      });
+      it('should accept stakes of allowlisted users', async function () {
+        await dist.stake($HAM(100), [], { from: anotherAccount });
+        await dist.stakeFor(anotherAccount, $HAM(100), []);
+        expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(200));
+      });
+      it('should refuse stakes for other users', async function () {
+        await expectRevert(
+          dist.stake($HAM(100), []),
+          'TokenGeyser: user is not allowlisted'
+        );
+        await expectRevert(
+          dist.stakeFor(thirdAccount, $HAM(100), [], { from: anotherAccount }),
+          'TokenGeyser: user is not allowlisted'
+        );
+      });
+      it('should keep the stakes of removed users', async function () {
+        await dist.stake($HAM(100), [], { from: anotherAccount });
+        await dist.setAllowlisted([anotherAccount], false);
+        await expectRevert(
+          dist.stake($HAM(1), [], { from: anotherAccount }),
+          'TokenGeyser: user is not allowlisted'
+        );
+        await dist.unstake($HAM(100), [], { from: anotherAccount });
+        expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(0));
+      });
+      it('should accept everyone after the phase', async function () {
+        await dist.setAllowlistOnly(false);
+        await dist.stake($HAM(100), []);
+        expect(await dist.totalStakedFor.call(owner)).to.be.bignumber.equal($HAM(100));
+      });
+    });
+  });
+
+  describe('receipt token transfers', function () {
+    let receipt;
+    function $SHARES (x) {
+      return $HAM(x).mul(new BN(InitialSharesPerToken));
+    }
+    beforeEach(async function () {
+      receipt = await GeyserReceiptToken.new('Geyser HAM', 'gHAM', 15);
+      await receipt.transferOwnership(dist.address);
+      await dist.setReceiptToken(receipt.address);
+      await dist.stake($HAM(100), [], { from: anotherAccount });
+      await dist.stake($HAM(50), []);
+    });
+    it('should be capped for the recipient', async function () {
+      await dist.setStakingCaps(0, $HAM(100));
+      await receipt.transfer(owner, $SHARES(50), { from: anotherAccount });
+      expect(await dist.totalStakedFor.call(owner)).to.be.bignumber.equal($HAM(100));
+      await expectRevert(
+        receipt.transfer(owner, $SHARES(1), { from: anotherAccount }),
+        'TokenGeyser: user stake cap exceeded'
+      );
+    });
+    it('should only go to allowlisted users during the allowlist phase', async function () {
+      await dist.setAllowlistOnly(true);
+      await dist.setAllowlisted([owner], true);
+      await receipt.transfer(owner, $SHARES(10), { from: anotherAccount });
+      await expectRevert(
+        receipt.transfer(thirdAccount, $SHARES(10), { from: anotherAccount }),
+        'TokenGeyser: user is not allowlisted'
+      );
+    });
+  });
+});
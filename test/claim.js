@@ -0,0 +1,256 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectEvent } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  invokeRebase,
+  checkHamAprox,
+  TimeController,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_YEAR = 1 * 365 * 24 * 3600;
+const ONE_HOUR = 3600;
+
+let ham, dist, owner, anotherAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  const startBonus = 50; // 50%
+  const bonusPeriod = 86400; // 1 Day
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, startBonus, bonusPeriod,
+    InitialSharesPerToken);
+
+  await ham.transfer(anotherAccount, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+}
+
+async function totalRewardsFor (account) {
+  return (await dist.updateAccounting.call({ from: account }))[4];
+}
+
+function claimedAmount (r) {
+  return r.logs.filter(l => l.event === 'TokensClaimed')[0].args.amount;
+}
+
+describe('claiming', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('claim', function () {
+    describe('when the user has no stakes', function () {
+      it('should claim nothing', async function () {
+        await dist.lockTokens($HAM(100), ONE_HOUR);
+        const _b = await ham.balanceOf.call(anotherAccount);
+        const r = await dist.claim({ from: anotherAccount });
+        expectEvent(r, 'TokensClaimed', {
+          user: anotherAccount,
+          amount: $HAM(0)
+        });
+        expect(await ham.balanceOf.call(anotherAccount)).to.be.bignumber.equal(_b);
+      });
+    });
+
+    describe('when single user stakes once', function () {
+      // 100 hams locked for 1 year, user stakes 50 hams for 1 year
+      // user is eligible for 100% of the reward,
+      // claims 100 hams, keeps 50 hams staked and has no rewards left
+      const timeController = new TimeController();
+      beforeEach(async function () {
+        await dist.lockTokens($HAM(100), ONE_YEAR);
+        await timeController.initialize();
+        await dist.stake($HAM(50), [], { from: anotherAccount });
+        await timeController.advanceTime(ONE_YEAR);
+        await dist.updateAccounting({ from: anotherAccount });
+        checkHamAprox(await totalRewardsFor(anotherAccount), 100);
+      });
+      it('should keep the stake and reset the rewards', async function () {
+        await dist.claim({ from: anotherAccount });
+        expect(await dist.totalStaked.call()).to.be.bignumber.equal($HAM(50));
+        expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(50));
+        checkHamAprox(await totalRewardsFor(anotherAccount), 0);
+      });
+      it('should transfer the rewards only', async function () {
+        const _b = await ham.balanceOf.call(anotherAccount);
+        await dist.claim({ from: anotherAccount });
+        const b = await ham.balanceOf.call(anotherAccount);
+        checkHamAprox(b.sub(_b), 100);
+      });
+      it('should log TokensClaimed and not Unstaked', async function () {
+        const r = await dist.claim({ from: anotherAccount });
+        checkHamAprox(claimedAmount(r), 100);
+        expect(r.logs.filter(l => l.event === 'Unstaked').length).to.equal(0);
+      });
+      it('should return the claimed amount', async function () {
+        const a = await dist.claim.call({ from: anotherAccount });
+        checkHamAprox(a, 100);
+      });
+      it('should not reward the same share-seconds twice', async function () {
+        await dist.claim({ from: anotherAccount });
+        const r = await dist.unstake($HAM(50), [], { from: anotherAccount });
+        checkHamAprox(claimedAmount(r), 0);
+      });
+    });
+
+    describe('when single user claims early with early bonus', function () {
+      // Start bonus = 50%, Bonus Period = 1 Day.
+      // 1000 hams locked for 1 hour, so all will be unlocked by test-time.
+      // user stakes 500 hams for 12 hours, half the period.
+      // user is eligible for 75% of the max reward, claims .75 * 1000 hams,
+      // 250 hams remain in the unlocked pool.
+      const timeController = new TimeController();
+      beforeEach(async function () {
+        await dist.lockTokens($HAM(1000), ONE_HOUR);
+        await timeController.initialize();
+        await dist.stake($HAM(500), [], { from: anotherAccount });
+        await timeController.advanceTime(12 * ONE_HOUR);
+        await dist.updateAccounting({ from: anotherAccount });
+        checkHamAprox(await totalRewardsFor(anotherAccount), 1000);
+      });
+      it('should apply the bonus to the claimed rewards', async function () {
+        const r = await dist.claim({ from: anotherAccount });
+        checkHamAprox(claimedAmount(r), 750);
+        checkHamAprox(await dist.totalUnlocked.call(), 250);
+        expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(500));
+      });
+      it('should keep the bonus age of the stake', async function () {
+        // After 12 more hours the stake is 1 day old, so the next claim gets the full bonus
+        // even though its share-seconds only started accruing at the first claim.
+        await dist.claim({ from: anotherAccount });
+        await timeController.advanceTime(12 * ONE_HOUR);
+        const r = await dist.claim({ from: anotherAccount });
+        checkHamAprox(claimedAmount(r), 250);
+      });
+      it('should keep the bonus age when unstaking after a claim', async function () {
+        await dist.claim({ from: anotherAccount });
+        await timeController.advanceTime(12 * ONE_HOUR);
+        const _b = await ham.balanceOf.call(anotherAccount);
+        const r = await dist.unstake($HAM(500), [], { from: anotherAccount });
+        checkHamAprox(claimedAmount(r), 250);
+        const b = await ham.balanceOf.call(anotherAccount);
+        checkHamAprox(b.sub(_b), 750);
+      });
+    });
+
+    describe('when single user stakes many times', function () {
+      // 100 hams locked for 1 year,
+      // user stakes 50 hams for 1/2 year, 50 hams for 1/4 year
+      // claiming burns the share-seconds of both stakes, but keeps both stakes
+      const timeController = new TimeController();
+      beforeEach(async function () {
+        await dist.lockTokens($HAM(100), ONE_YEAR);
+        await timeController.initialize();
+        await timeController.advanceTime(ONE_YEAR / 100);
+        await dist.stake($HAM(50), [], { from: anotherAccount });
+        await timeController.initialize();
+        await timeController.advanceTime(ONE_YEAR / 4);
+        await dist.stake($HAM(50), [], { from: anotherAccount });
+        await timeController.advanceTime(ONE_YEAR / 4);
+        await dist.updateAccounting({ from: anotherAccount });
+      });
+      it('should claim the rewards of all stakes', async function () {
+        const r = await dist.claim({ from: anotherAccount });
+        checkHamAprox(claimedAmount(r), 51);
+        expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(100));
+        checkHamAprox(await totalRewardsFor(anotherAccount), 0);
+      });
+      it('should accrue rewards again for all stakes', async function () {
+        await dist.claim({ from: anotherAccount });
+        await timeController.advanceTime(ONE_YEAR / 4);
+        await dist.updateAccounting({ from: anotherAccount });
+        checkHamAprox(await totalRewardsFor(anotherAccount), 25);
+        const r = await dist.unstake($HAM(50), [], { from: anotherAccount });
+        checkHamAprox(claimedAmount(r), 12.5);
+      });
+    });
+
+    describe('when multiple users stake once', function () {
+      // 100 hams locked for 1 year,
+      // userA stakes 50 hams for 3/4 year, userb stakes 50 ham for 1/2 year, total unlocked 75 ham
+      // userA claims 60% of the unlocked reward (45 ham) ~ [50*0.75 / (50*0.75+50*0.5) * 75]
+      // userB's rewards are unchanged
+      const timeController = new TimeController();
+      beforeEach(async function () {
+        await dist.lockTokens($HAM(100), ONE_YEAR);
+        await timeController.initialize();
+        await timeController.advanceTime(ONE_YEAR / 100);
+        await dist.stake($HAM(50), [], { from: anotherAccount });
+        await timeController.initialize();
+        await timeController.advanceTime(ONE_YEAR / 4);
+        await dist.stake($HAM(50), []);
+        await timeController.advanceTime(ONE_YEAR / 2);
+        await dist.updateAccounting({ from: anotherAccount });
+        await dist.updateAccounting();
+        checkHamAprox(await totalRewardsFor(anotherAccount), 45.6);
+        checkHamAprox(await totalRewardsFor(owner), 30.4);
+      });
+      it('should not change the rewards of other users', async function () {
+        const r = await dist.claim({ from: anotherAccount });
+        checkHamAprox(claimedAmount(r), 45.6);
+        checkHamAprox(await totalRewardsFor(anotherAccount), 0);
+        checkHamAprox(await totalRewardsFor(owner), 30.4);
+        expect(await dist.totalStaked.call()).to.be.bignumber.equal($HAM(100));
+      });
+      it('should let every user claim', async function () {
+        await dist.claim({ from: anotherAccount });
+        const r = await dist.claim();
+        checkHamAprox(claimedAmount(r), 30.4);
+        checkHamAprox(await dist.totalUnlocked.call(), 0);
+      });
+    });
+
+    describe('when rebase increases supply', function () {
+      // 100 hams locked for 1 year, user stakes 50 hams for 1 year,
+      // supply doubles: 200 hams are unlocked and claimed, 100 hams stay staked
+      const timeController = new TimeController();
+      beforeEach(async function () {
+        await dist.lockTokens($HAM(100), ONE_YEAR);
+        await timeController.initialize();
+        await dist.stake($HAM(50), [], { from: anotherAccount });
+        await timeController.advanceTime(ONE_YEAR);
+        await dist.updateAccounting({ from: anotherAccount });
+        await invokeRebase(ham, 100);
+      });
+      it('should claim the rebased rewards', async function () {
+        const r = await dist.claim({ from: anotherAccount });
+        checkHamAprox(claimedAmount(r), 200);
+        expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(100));
+      });
+    });
+
+    describe('when claiming twice in a row', function () {
+      beforeEach(async function () {
+        await dist.lockTokens($HAM(100), ONE_HOUR);
+        await dist.stake($HAM(50), [], { from: anotherAccount });
+      });
+      it('should not revert', async function () {
+        const timeController = new TimeController();
+        await timeController.initialize();
+        await timeController.advanceTime(ONE_YEAR);
+        await timeController.executeAsBlock(function () {
+          dist.claim({ from: anotherAccount });
+          dist.claim({ from: anotherAccount });
+        });
+        checkHamAprox(await dist.totalUnlocked.call(), 0);
+        expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(50));
+      });
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const { deployGeyser } = _require('/scripts/deploy');
+const { loadDeployments, validateDeployment } = _require('/util/deployments');
+const { Role } = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const Distributions = contract.fromArtifact('Distributions');
+const Stakes = contract.fromArtifact('Stakes');
+
+const NETWORK = 'ganacheUnitTest';
+
+let ham, owner, anotherAccount, dir, params;
+describe('deploy script', function () {
+  beforeEach('setup contracts', async function () {
+    const accounts = await chain.getUserAccounts();
+    owner = web3.utils.toChecksumAddress(accounts[0]);
+    anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+    ham = await HamErc20.new();
+    await ham.initialize(owner);
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geyser-deployments-'));
+    params = {
+      poolRef: 'HAM-HAM',
+      stakingToken: ham.address,
+      distributionToken: ham.address,
+      maxUnlockSchedules: 10,
+      startBonus: 50,
+      bonusPeriodSec: 86400,
+      initialSharesPerToken: 10 ** 6
+    };
+  });
+
+  describe('when the parameters are valid', function () {
+    it('should deploy the geyser', async function () {
+      const { entry } = await deployGeyser(web3, params, { network: NETWORK, from: anotherAccount, dir });
+      const dist = await TokenGeyser.at(entry.deployment);
+      expect(await dist.getStakingToken.call()).to.equal(ham.address);
+      expect(await dist.getDistributionToken.call()).to.equal(ham.address);
+      expect(await dist.startBonus.call()).to.be.bignumber.equal('50');
+      expect(await dist.bonusPeriodSec.call()).to.be.bignumber.equal('86400');
+      expect(await dist.roleHolder.call(Role.Admin)).to.equal(anotherAccount);
+    });
+    it('should record the deployment', async function () {
+      const { entry, file } = await deployGeyser(web3, params, { network: NETWORK, from: anotherAccount, dir });
+      expect(file).to.equal(path.join(dir, `${NETWORK}.yaml`));
+      const deployments = loadDeployments(NETWORK, dir);
+      expect(deployments).to.deep.equal([entry]);
+      validateDeployment(deployments[0]);
+
+      const receipt = await web3.eth.getTransactionReceipt(entry.txHash);
+      expect(receipt.contractAddress).to.equal(entry.deployment);
+      expect(receipt.blockNumber).to.equal(entry.blockNumber);
+      expect(entry.owner).to.equal(anotherAccount);
+      expect(await web3.eth.getCode(entry.distributions)).to.not.equal('0x');
+      expect(await web3.eth.getCode(entry.stakes)).to.not.equal('0x');
+      expect(entry.params).to.deep.equal({
+        maxUnlockSchedules: '10',
+        startBonus: '50',
+        bonusPeriodSec: '86400',
+        initialSharesPerToken: '1000000'
+      });
+    });
+    it('should link an already deployed Distributions library', async function () {
+      const distributions = await Distributions.new();
+      const { entry } = await deployGeyser(web3, Object.assign({ distributions: distributions.address }, params),
+        { network: NETWORK, dir });
+      expect(entry.distributions).to.equal(distributions.address);
+      const code = await web3.eth.getCode(entry.deployment);
+      expect(code).to.include(distributions.address.slice(2).toLowerCase());
+    });
+    it('should link an already deployed Stakes library', async function () {
+      const stakes = await Stakes.new();
+      const { entry } = await deployGeyser(web3, Object.assign({ stakes: stakes.address }, params),
+        { network: NETWORK, dir });
+      expect(entry.stakes).to.equal(stakes.address);
+      const code = await web3.eth.getCode(entry.deployment);
+      expect(code).to.include(stakes.address.slice(2).toLowerCase());
+    });
+    it('should keep the existing records', async function () {
+      fs.copyFileSync(path.join(__dirname, '..', 'deployments', 'mainnet.yaml'),
+        path.join(dir, `${NETWORK}.yaml`));
+      await deployGeyser(web3, params, { network: NETWORK, dir });
+      const deployments = loadDeployments(NETWORK, dir);
+      expect(deployments.length).to.equal(2);
+      expect(deployments[0].poolRef).to.equal('UNI-ETHHAM-V2');
+      expect(deployments[1].poolRef).to.equal('HAM-HAM');
+    });
+  });
+
+  describe('when the poolRef already exists', function () {
+    it('should fail', async function () {
+      await deployGeyser(web3, params, { network: NETWORK, dir });
+      let error;
+      await deployGeyser(web3, params, { network: NETWORK, dir }).catch(e => { error = e; });
+      expect(error.message).to.equal(`Deployment HAM-HAM already exists on ${NETWORK}`);
+      expect(loadDeployments(NETWORK, dir).length).to.equal(1);
+    });
+  });
+
+  describe('when the parameters are invalid', function () {
+    async function expectInvalid (overrides, message) {
+      let error;
+      await deployGeyser(web3, Object.assign({}, params, overrides), { network: NETWORK, dir })
+        .catch(e => { error = e; });
+      expect(error.message).to.equal(message);
+      expect(loadDeployments(NETWORK, dir)).to.deep.equal([]);
+    }
+
+    it('should fail if start bonus too high', async function () {
+      await expectInvalid({ startBonus: 101 }, 'TokenGeyser: start bonus too high');
+    });
+    it('should fail if bonus period is 0', async function () {
+      await expectInvalid({ bonusPeriodSec: 0 }, 'TokenGeyser: bonus period is zero');
+    });
+    it('should fail if initialSharesPerToken is 0', async function () {
+      await expectInvalid({ initialSharesPerToken: 0 }, 'TokenGeyser: initialSharesPerToken is zero');
+    });
+    it('should fail if a token is not a contract', async function () {
+      await expectInvalid({ distributionToken: anotherAccount },
+        `distributionToken has no contract code: ${anotherAccount}`);
+    });
+    it('should fail if the Distributions library is not a contract', async function () {
+      await expectInvalid({ distributions: anotherAccount }, `distributions has no contract code: ${anotherAccount}`);
+    });
+    it('should fail if the Stakes library is not a contract', async function () {
+      await expectInvalid({ stakes: anotherAccount }, `stakes has no contract code: ${anotherAccount}`);
+    });
+    it('should fail if the poolRef is missing', async function () {
+      await expectInvalid({ poolRef: '' }, 'poolRef is required');
+    });
+  });
+});
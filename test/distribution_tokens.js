@@ -0,0 +1,275 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, expectEvent, constants } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  invokeRebase,
+  checkHamAprox,
+  TimeController,
+  linkGeyser,
+  Role
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const MockRevertingERC20 = contract.fromArtifact('MockRevertingERC20');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const TokenPool = contract.fromArtifact('TokenPool');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_YEAR = 1 * 365 * 24 * 3600;
+
+let ham, reward, dist, owner, anotherAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  // A second, non-rebasing distribution token.
+  reward = await MockRevertingERC20.new($HAM(10000));
+
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400,
+    InitialSharesPerToken);
+
+  await ham.transfer(anotherAccount, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+  await reward.approve(dist.address, $HAM(10000), { from: owner });
+}
+
+// Deploys the pools of a new distribution token, and starts handing them over to the geyser.
+async function newPools (token, admin = dist.address) {
+  const unlockedPool = await TokenPool.new(token.address);
+  const lockedPool = await TokenPool.new(token.address);
+  await unlockedPool.transferRole(Role.Admin, admin);
+  await lockedPool.transferRole(Role.Admin, admin);
+  return [unlockedPool.address, lockedPool.address];
+}
+
+async function addDistributionToken (token, options) {
+  return dist.addDistributionToken(token.address, ...(await newPools(token)), options);
+}
+
+function claimedAmount (r, token) {
+  return r.logs.filter(l => l.event === 'TokensClaimed' && l.args.token === token.address)[0].args.amount;
+}
+
+describe('distribution tokens', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('addDistributionToken', function () {
+    it('should start with the distribution token of the constructor', async function () {
+      expect(await dist.distributionTokenCount.call()).to.be.bignumber.equal('1');
+      expect(await dist.distributionTokenAt.call(0)).to.equal(ham.address);
+      expect(await dist.getDistributionToken.call()).to.equal(ham.address);
+    });
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        addDistributionToken(reward, { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should add the token and log DistributionTokenAdded', async function () {
+      const r = await addDistributionToken(reward);
+      expectEvent(r, 'DistributionTokenAdded', { token: reward.address });
+      expect(await dist.distributionTokenCount.call()).to.be.bignumber.equal('2');
+      expect(await dist.distributionTokenAt.call(1)).to.equal(reward.address);
+      expect(await dist.getDistributionToken.call()).to.equal(ham.address);
+      expect(await dist.totalLockedOf.call(reward.address)).to.be.bignumber.equal($HAM(0));
+      expect(await dist.totalUnlockedOf.call(reward.address)).to.be.bignumber.equal($HAM(0));
+    });
+    it('should not add the same token twice', async function () {
+      await expectRevert(
+        addDistributionToken(ham),
+        'TokenGeyser: distribution token already added'
+      );
+      await addDistributionToken(reward);
+      await expectRevert(
+        addDistributionToken(reward),
+        'TokenGeyser: distribution token already added'
+      );
+    });
+    it('should not add more than the maximum', async function () {
+      const max = (await dist.MAX_DISTRIBUTION_TOKENS.call()).toNumber();
+      for (let i = 1; i < max; i++) {
+        await addDistributionToken(await MockRevertingERC20.new($HAM(1)));
+      }
+      await expectRevert(
+        addDistributionToken(reward),
+        'TokenGeyser: reached maximum distribution tokens'
+      );
+    });
+    it('should only accept distinct pools of the token', async function () {
+      const [unlockedPool, lockedPool] = await newPools(reward);
+      const [hamPool] = await newPools(ham);
+      await expectRevert(
+        dist.addDistributionToken(reward.address, unlockedPool, hamPool),
+        'TokenGeyser: pools must be distinct and hold the token'
+      );
+      await expectRevert(
+        dist.addDistributionToken(reward.address, unlockedPool, unlockedPool),
+        'TokenGeyser: pools must be distinct and hold the token'
+      );
+      await dist.addDistributionToken(reward.address, unlockedPool, lockedPool);
+    });
+    it('should only accept pools being handed over to the geyser', async function () {
+      const [unlockedPool, lockedPool] = await newPools(reward);
+      const [otherPool] = await newPools(reward, owner);
+      await expectRevert(
+        dist.addDistributionToken(reward.address, otherPool, lockedPool),
+        'AccessRoles: caller is not the pending holder'
+      );
+      await expectRevert(
+        dist.addDistributionToken(reward.address, unlockedPool, otherPool),
+        'AccessRoles: caller is not the pending holder'
+      );
+    });
+    it('should take the admin role of the pools', async function () {
+      const [unlockedPool, lockedPool] = await newPools(reward);
+      await dist.addDistributionToken(reward.address, unlockedPool, lockedPool);
+      for (const pool of [unlockedPool, lockedPool]) {
+        const p = await TokenPool.at(pool);
+        expect(await p.roleHolder.call(Role.Admin)).to.equal(dist.address);
+        expect(await p.pendingRoleHolder.call(Role.Admin)).to.equal(constants.ZERO_ADDRESS);
+      }
+    });
+    it('should only accept empty pools', async function () {
+      const [unlockedPool, lockedPool] = await newPools(reward);
+      await reward.transfer(lockedPool, $HAM(1));
+      await expectRevert(
+        dist.addDistributionToken(reward.address, unlockedPool, lockedPool),
+        'TokenGeyser: pools must be empty'
+      );
+    });
+    it('should fail for tokens which were not added', async function () {
+      await expectRevert(
+        dist.totalLockedOf.call(reward.address),
+        'TokenGeyser: not a distribution token'
+      );
+      await expectRevert(
+        dist.lockTokensOf(reward.address, $HAM(100), ONE_YEAR, 0, 0),
+        'TokenGeyser: not a distribution token'
+      );
+    });
+  });
+
+  describe('lockTokensOf', function () {
+    beforeEach(async function () {
+      await addDistributionToken(reward);
+    });
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        dist.lockTokensOf(reward.address, $HAM(100), ONE_YEAR, 0, 0, { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should lock into the pool of the token', async function () {
+      const r = await dist.lockTokensOf(reward.address, $HAM(1000), ONE_YEAR, 0, 0);
+      expectEvent(r, 'TokensLocked', {
+        amount: $HAM(1000),
+        durationSec: `${ONE_YEAR}`,
+        total: $HAM(1000),
+        token: reward.address
+      });
+      expect(await dist.totalLockedOf.call(reward.address)).to.be.bignumber.equal($HAM(1000));
+      expect(await dist.unlockScheduleCountOf.call(reward.address)).to.be.bignumber.equal('1');
+      expect(await reward.balanceOf.call(owner)).to.be.bignumber.equal($HAM(9000));
+      expect(await dist.totalLocked.call()).to.be.bignumber.equal($HAM(0));
+      expect(await dist.unlockScheduleCount.call()).to.be.bignumber.equal('0');
+    });
+    it('should lock along a curve', async function () {
+      await dist.lockTokensWithCurveOf(reward.address, $HAM(1000), ONE_YEAR, 0, 0, 2,
+        [ONE_YEAR / 2], [5000]);
+      const c = await dist.unlockScheduleCurveOf.call(reward.address, 0);
+      expect(c[0]).to.be.bignumber.equal('2');
+      expect(c[1][0]).to.be.bignumber.equal(`${ONE_YEAR / 2}`);
+      expect(c[2][0]).to.be.bignumber.equal('5000');
+    });
+    it('should unlock every token along its own schedules', async function () {
+      const timeController = new TimeController();
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await timeController.initialize();
+      await dist.lockTokensOf(reward.address, $HAM(1000), ONE_YEAR / 2, 0, 0);
+      await timeController.advanceTime(ONE_YEAR / 2);
+      const r = await dist.unlockTokens();
+      expectEvent(r, 'TokensUnlocked', { token: ham.address });
+      expectEvent(r, 'TokensUnlocked', { token: reward.address });
+      checkHamAprox(await dist.totalUnlocked.call(), 50);
+      checkHamAprox(await dist.totalLocked.call(), 50);
+      checkHamAprox(await dist.totalUnlockedOf.call(reward.address), 1000);
+      checkHamAprox(await dist.totalLockedOf.call(reward.address), 0);
+    });
+  });
+
+  describe('unstaking and claiming', function () {
+    // 100 hams and 1000 reward tokens locked for 1 year, user stakes 50 hams for 1 year
+    // user is eligible for all of both.
+    const timeController = new TimeController();
+    beforeEach(async function () {
+      await addDistributionToken(reward);
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await dist.lockTokensOf(reward.address, $HAM(1000), ONE_YEAR, 0, 0);
+      await timeController.initialize();
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await timeController.advanceTime(ONE_YEAR);
+      await dist.updateAccounting({ from: anotherAccount });
+      checkHamAprox((await dist.updateAccountingOf.call(reward.address, { from: anotherAccount }))[4], 1000);
+    });
+    it('should pay out every distribution token on unstake', async function () {
+      const _b = await ham.balanceOf.call(anotherAccount);
+      const r = await dist.unstake($HAM(50), [], { from: anotherAccount });
+      const b = await ham.balanceOf.call(anotherAccount);
+      checkHamAprox(b.sub(_b), 150);
+      checkHamAprox(await reward.balanceOf.call(anotherAccount), 1000);
+      checkHamAprox(claimedAmount(r, ham), 100);
+      checkHamAprox(claimedAmount(r, reward), 1000);
+    });
+    it('should return the reward of the first distribution token', async function () {
+      checkHamAprox(await dist.unstake.call($HAM(50), [], { from: anotherAccount }), 100);
+    });
+    it('should pay out every distribution token on claim', async function () {
+      const r = await dist.claim({ from: anotherAccount });
+      checkHamAprox(claimedAmount(r, ham), 100);
+      checkHamAprox(claimedAmount(r, reward), 1000);
+      checkHamAprox(await reward.balanceOf.call(anotherAccount), 1000);
+      expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(50));
+    });
+    it('should only rebase the rebasing distribution token', async function () {
+      await invokeRebase(ham, 100);
+      const r = await dist.unstake($HAM(100), [], { from: anotherAccount });
+      checkHamAprox(claimedAmount(r, ham), 200);
+      checkHamAprox(claimedAmount(r, reward), 1000);
+    });
+  });
+
+  describe('when a distribution token is added later', function () {
+    // 100 hams locked for 1 year, user stakes 50 hams for 1/2 year,
+    // then 1000 reward tokens are locked for 1/2 year.
+    // the share-seconds accrued before are rewarded in both tokens.
+    const timeController = new TimeController();
+    beforeEach(async function () {
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await timeController.initialize();
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await timeController.advanceTime(ONE_YEAR / 2);
+      await addDistributionToken(reward);
+      await dist.lockTokensOf(reward.address, $HAM(1000), ONE_YEAR / 2, 0, 0);
+      await timeController.advanceTime(ONE_YEAR / 2);
+    });
+    it('should reward all share-seconds in the new token', async function () {
+      const r = await dist.unstake($HAM(50), [], { from: anotherAccount });
+      checkHamAprox(claimedAmount(r, ham), 100);
+      checkHamAprox(claimedAmount(r, reward), 1000);
+    });
+  });
+});
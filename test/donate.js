@@ -0,0 +1,198 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, expectEvent, BN } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  invokeRebase,
+  checkHamAprox,
+  checkSharesAprox,
+  TimeController,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const MockRevertingERC20 = contract.fromArtifact('MockRevertingERC20');
+const InitialSharesPerToken = 10 ** 6;
+const InitialShares = $HAM(100).mul(new BN(InitialSharesPerToken));
+
+const ONE_YEAR = 1 * 365 * 24 * 3600;
+
+let ham, dist, owner, anotherAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400,
+    InitialSharesPerToken);
+
+  await ham.transfer(anotherAccount, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+}
+
+describe('donations', function () {
+  const timeController = new TimeController();
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('donate', function () {
+    it('should fail if the amount is zero', async function () {
+      await expectRevert(
+        dist.donate(ham.address, $HAM(0), { from: anotherAccount }),
+        'TokenGeyser: donation amount is zero'
+      );
+    });
+    it('should fail for other tokens', async function () {
+      const other = await MockRevertingERC20.new($HAM(1000));
+      await expectRevert(
+        dist.donate(other.address, $HAM(10)),
+        'TokenGeyser: not a distribution token'
+      );
+    });
+    it('should add the tokens to the unlocked pool', async function () {
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      const shares = await dist.totalLockedShares.call();
+      const r = await dist.donate(ham.address, $HAM(10), { from: anotherAccount });
+      expectEvent(r, 'TokensDonated', {
+        donor: anotherAccount,
+        amount: $HAM(10),
+        s: '0',
+        lockedShares: '0',
+        token: ham.address
+      });
+      expect(await dist.totalUnlocked.call()).to.be.bignumber.equal($HAM(10));
+      expect(await dist.totalLocked.call()).to.be.bignumber.equal($HAM(100));
+      expect(await dist.totalLockedShares.call()).to.be.bignumber.equal(shares);
+      expect(await dist.unlockScheduleCount.call()).to.be.bignumber.equal('1');
+    });
+    it('should be claimable by the stakers', async function () {
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await dist.donate(ham.address, $HAM(10));
+      const r = await dist.unstake($HAM(50), [], { from: anotherAccount });
+      // Within the bonus period, so part of the donation stays in the pool.
+      const l = r.logs.filter(l => l.event === 'TokensClaimed')[0];
+      expect(l.args.amount).to.be.bignumber.gt('0');
+      expect(l.args.amount).to.be.bignumber.lt($HAM(10));
+    });
+  });
+
+  describe('donateToSchedule', function () {
+    let endAtSec;
+    beforeEach(async function () {
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await timeController.initialize();
+      endAtSec = (await dist.unlockSchedules(0))[3];
+    });
+
+    it('should fail if the amount is zero', async function () {
+      await expectRevert(
+        dist.donateToSchedule(ham.address, 0, endAtSec, $HAM(0)),
+        'TokenGeyser: donation amount is zero'
+      );
+    });
+    it('should fail for a schedule which does not exist', async function () {
+      await expectRevert.unspecified(dist.donateToSchedule(ham.address, 1, endAtSec, $HAM(10)));
+    });
+    it('should fail if the schedule ends at another time', async function () {
+      await expectRevert(
+        dist.donateToSchedule(ham.address, 0, endAtSec.addn(1), $HAM(10)),
+        'TokenGeyser: unlock schedule has changed'
+      );
+    });
+    it('should fail once retiring a schedule has shifted the index', async function () {
+      await dist.lockTokens($HAM(100), 2 * ONE_YEAR);
+      const laterEndAtSec = (await dist.unlockSchedules(1))[3];
+      await timeController.advanceTime(ONE_YEAR);
+      await dist.lockTokens($HAM(100), 3 * ONE_YEAR);
+      await expectRevert(
+        dist.donateToSchedule(ham.address, 1, laterEndAtSec, $HAM(10)),
+        'TokenGeyser: unlock schedule has changed'
+      );
+      await dist.donateToSchedule(ham.address, 0, laterEndAtSec, $HAM(10));
+    });
+    it('should fail once the schedule has ended', async function () {
+      await timeController.advanceTime(ONE_YEAR);
+      await expectRevert(
+        dist.donateToSchedule(ham.address, 0, endAtSec, $HAM(10)),
+        'TokenGeyser: unlock schedule has ended'
+      );
+    });
+
+    describe('mid-schedule', function () {
+      // 100 hams locked for 1 year, and 50 hams donated half way through.
+      let r;
+      beforeEach(async function () {
+        await timeController.advanceTime(ONE_YEAR / 2);
+        r = await dist.donateToSchedule(ham.address, 0, endAtSec, $HAM(50), { from: anotherAccount });
+      });
+      it('should log TokensDonated', async function () {
+        const l = r.logs.filter(l => l.event === 'TokensDonated')[0];
+        expect(l.args.donor).to.equal(anotherAccount);
+        expect(l.args.amount).to.be.bignumber.equal($HAM(50));
+        expect(l.args.s).to.be.bignumber.equal('0');
+        expect(l.args.token).to.equal(ham.address);
+        // Half the shares are unlocked before the donation, which doubles the locked tokens.
+        checkSharesAprox(l.args.lockedShares, InitialShares.div(new BN(2)));
+        checkSharesAprox(await dist.totalLockedShares.call(), InitialShares);
+      });
+      it('should add the tokens to the locked pool', async function () {
+        checkHamAprox(await dist.totalLocked.call(), 100);
+        checkHamAprox(await dist.totalUnlocked.call(), 50);
+        expect(await dist.unlockScheduleCount.call()).to.be.bignumber.equal('1');
+      });
+      it('should scale the schedule', async function () {
+        const s = await dist.unlockSchedules(0);
+        checkSharesAprox(s[0], InitialShares.mul(new BN(3)).div(new BN(2)));
+        checkSharesAprox(s[1], InitialShares.div(new BN(2)));
+        expect(s[3]).to.be.bignumber.equal(timeController.currentTime.add(new BN(ONE_YEAR / 2)));
+      });
+      it('should unlock the donation over the rest of the schedule', async function () {
+        await timeController.advanceTime(ONE_YEAR / 4);
+        await dist.updateAccounting();
+        checkHamAprox(await dist.totalLocked.call(), 50);
+        checkHamAprox(await dist.totalUnlocked.call(), 100);
+
+        await timeController.advanceTime(ONE_YEAR / 4);
+        await dist.updateAccounting();
+        expect(await dist.totalLocked.call()).to.be.bignumber.equal($HAM(0));
+        expect(await dist.totalUnlocked.call()).to.be.bignumber.equal($HAM(150));
+        expect(await dist.totalLockedShares.call()).to.be.bignumber.equal('0');
+      });
+    });
+
+    describe('after a rebase', function () {
+      // 100 hams locked for 1 year, supply halves, and 25 hams donated half way through.
+      let r;
+      beforeEach(async function () {
+        await invokeRebase(ham, -50);
+        await timeController.advanceTime(ONE_YEAR / 2);
+        r = await dist.donateToSchedule(ham.address, 0, endAtSec, $HAM(25), { from: anotherAccount });
+      });
+      it('should mint the shares at the rebased price', async function () {
+        const l = r.logs.filter(l => l.event === 'TokensDonated')[0];
+        // Twice as many shares per token as before the rebase.
+        checkSharesAprox(l.args.lockedShares, InitialShares.div(new BN(2)));
+        checkHamAprox(await dist.totalLocked.call(), 50);
+        checkHamAprox(await dist.totalUnlocked.call(), 25);
+      });
+      it('should unlock the donation over the rest of the schedule', async function () {
+        await timeController.advanceTime(ONE_YEAR / 2);
+        await dist.updateAccounting();
+        expect(await dist.totalLocked.call()).to.be.bignumber.equal($HAM(0));
+        checkHamAprox(await dist.totalUnlocked.call(), 75);
+      });
+    });
+  });
+});
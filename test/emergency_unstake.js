@@ -0,0 +1,169 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, expectEvent, BN } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  invokeRebase,
+  checkHamAprox,
+  TimeController,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const MockRevertingERC20 = contract.fromArtifact('MockRevertingERC20');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_YEAR = 1 * 365 * 24 * 3600;
+
+let ham, reward, dist, owner, anotherAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  reward = await MockRevertingERC20.new($HAM(10000));
+
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, reward.address, 10, 50, 86400,
+    InitialSharesPerToken);
+
+  await ham.transfer(anotherAccount, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+  await reward.approve(dist.address, $HAM(10000), { from: owner });
+}
+
+async function totalRewardsFor (account) {
+  return (await dist.updateAccounting.call({ from: account }))[4];
+}
+
+describe('emergency unstaking', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('when the user has no stake', function () {
+    it('should fail', async function () {
+      await expectRevert(
+        dist.emergencyUnstake({ from: anotherAccount }),
+        'TokenGeyser: no stake to withdraw'
+      );
+    });
+  });
+
+  describe('when the distribution token reverts on transfer', function () {
+    // 100 tokens locked for 1 year, user stakes 50 hams for 1/2 year,
+    // the distribution token breaks: unstake and claim revert,
+    // emergencyUnstake returns the 50 hams and forfeits the rewards
+    const timeController = new TimeController();
+    beforeEach(async function () {
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await timeController.initialize();
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await timeController.advanceTime(ONE_YEAR / 2);
+      await reward.setTransfersReverting(true);
+    });
+    it('should not allow to unstake or claim', async function () {
+      await expectRevert(
+        dist.unstake($HAM(50), [], { from: anotherAccount }),
+        'MockRevertingERC20: transfer reverted'
+      );
+      await expectRevert(
+        dist.claim({ from: anotherAccount }),
+        'MockRevertingERC20: transfer reverted'
+      );
+    });
+    it('should return the staked tokens', async function () {
+      const _b = await ham.balanceOf.call(anotherAccount);
+      await dist.emergencyUnstake({ from: anotherAccount });
+      const b = await ham.balanceOf.call(anotherAccount);
+      expect(b.sub(_b)).to.be.bignumber.equal($HAM(50));
+      expect(await dist.totalStaked.call()).to.be.bignumber.equal($HAM(0));
+      expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(0));
+    });
+    it('should burn the staking shares and share-seconds', async function () {
+      await dist.emergencyUnstake({ from: anotherAccount });
+      expect(await dist.totalStakingShares.call()).to.be.bignumber.equal(new BN(0));
+      const r = await dist.updateAccounting.call({ from: anotherAccount });
+      expect(r[2]).to.be.bignumber.equal(new BN(0));
+      expect(r[3]).to.be.bignumber.equal(new BN(0));
+      expect(r[4]).to.be.bignumber.equal(new BN(0));
+    });
+    it('should not pay out or move any distribution tokens', async function () {
+      const _b = await reward.balanceOf.call(anotherAccount);
+      const _locked = await dist.totalLocked.call();
+      await dist.emergencyUnstake({ from: anotherAccount });
+      expect(await reward.balanceOf.call(anotherAccount)).to.be.bignumber.equal(_b);
+      expect(await dist.totalLocked.call()).to.be.bignumber.equal(_locked);
+    });
+    it('should log EmergencyUnstaked', async function () {
+      const r = await dist.emergencyUnstake({ from: anotherAccount });
+      expectEvent(r, 'EmergencyUnstaked', {
+        user: anotherAccount,
+        amount: $HAM(50)
+      });
+      expect(r.logs.filter(l => l.event === 'TokensClaimed').length).to.equal(0);
+    });
+    it('should return the staked amount', async function () {
+      const a = await dist.emergencyUnstake.call({ from: anotherAccount });
+      expect(a).to.be.bignumber.equal($HAM(50));
+    });
+    it('should not allow to withdraw twice', async function () {
+      await dist.emergencyUnstake({ from: anotherAccount });
+      await expectRevert(
+        dist.emergencyUnstake({ from: anotherAccount }),
+        'TokenGeyser: no stake to withdraw'
+      );
+    });
+  });
+
+  describe('when multiple users stake', function () {
+    // 100 tokens locked for 1 year, userA stakes 50 hams for 1 year, userB stakes 150 hams
+    // for 1/2 year, so userB is eligible for 60 tokens ~ [150*0.5 / (50*1+150*0.5) * 100].
+    // userA withdraws in an emergency, so userB earns all 100 tokens.
+    const timeController = new TimeController();
+    beforeEach(async function () {
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await timeController.initialize();
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await timeController.advanceTime(ONE_YEAR / 2);
+      await dist.stake($HAM(150), []);
+      await timeController.advanceTime(ONE_YEAR / 2);
+      await dist.updateAccounting();
+      checkHamAprox(await totalRewardsFor(owner), 60);
+    });
+    it('should leave the forfeited rewards to the other stakers', async function () {
+      await dist.emergencyUnstake({ from: anotherAccount });
+      checkHamAprox(await totalRewardsFor(owner), 100);
+      const _b = await reward.balanceOf.call(owner);
+      await dist.unstake($HAM(150), []);
+      const b = await reward.balanceOf.call(owner);
+      checkHamAprox(b.sub(_b), 100);
+    });
+  });
+
+  describe('when rebase decreases supply', function () {
+    // user stakes 50 hams, supply halves, user withdraws 25 hams
+    beforeEach(async function () {
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await invokeRebase(ham, -50);
+    });
+    it('should return the rebased amount', async function () {
+      const _b = await ham.balanceOf.call(anotherAccount);
+      await dist.emergencyUnstake({ from: anotherAccount });
+      const b = await ham.balanceOf.call(anotherAccount);
+      expect(b.sub(_b)).to.be.bignumber.equal($HAM(25));
+      expect(await dist.totalStakingShares.call()).to.be.bignumber.equal(new BN(0));
+    });
+  });
+});
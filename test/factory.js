@@ -0,0 +1,322 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, expectEvent, constants } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const { linkGeyser, Role } = _require('/test/helper');
+const { loadDeployments, validateDeployment } = _require('/util/deployments');
+const { poolRefToBytes32, listRegistry, syncDeployments } = _require('/util/geyser_registry');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const GeyserFactory = contract.fromArtifact('GeyserFactory');
+const MockRevertingERC20 = contract.fromArtifact('MockRevertingERC20');
+
+const NETWORK = 'ganacheUnitTest';
+const POOL_REF = 'HAM-HAM';
+// Creating a geyser sends its whole creation code along, which takes more than the default gas
+// of a transaction, up to the block gas limit.
+const CREATE_GAS = 8e6;
+
+let ham, other, factory, geyserCode, owner, admin, anotherAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  admin = web3.utils.toChecksumAddress(accounts[7]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  other = await MockRevertingERC20.new(1000);
+
+  await linkGeyser(TokenGeyser);
+  await linkGeyser(GeyserFactory);
+  geyserCode = TokenGeyser.binary;
+  factory = await GeyserFactory.new(web3.utils.keccak256(geyserCode));
+}
+
+function createGeyser (poolRef, overrides = {}, options = {}) {
+  const p = Object.assign({
+    code: geyserCode,
+    stakingToken: ham.address,
+    distributionToken: ham.address,
+    maxUnlockSchedules: 10,
+    startBonus: 50,
+    bonusPeriodSec: 86400,
+    initialSharesPerToken: 10 ** 6,
+    admin: admin
+  }, overrides);
+  return factory.createGeyser(p.code, poolRefToBytes32(web3, poolRef), p.stakingToken, p.distributionToken,
+    p.maxUnlockSchedules, p.startBonus, p.bonusPeriodSec, p.initialSharesPerToken, p.admin,
+    Object.assign({ gas: CREATE_GAS }, options));
+}
+
+function createdGeyser (r) {
+  return r.logs.filter(l => l.event === 'GeyserCreated')[0].args.geyser;
+}
+
+describe('GeyserFactory', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('setGeyserCodeHash', function () {
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        factory.setGeyserCodeHash(web3.utils.keccak256('0x00'), { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should fail for the zero hash', async function () {
+      await expectRevert(
+        factory.setGeyserCodeHash(constants.ZERO_BYTES32),
+        'GeyserFactory: code hash is zero'
+      );
+    });
+    it('should set the hash and log GeyserCodeHashSet', async function () {
+      const codeHash = web3.utils.keccak256('0x00');
+      const r = await factory.setGeyserCodeHash(codeHash);
+      expectEvent(r, 'GeyserCodeHashSet', { codeHash });
+      expect(await factory.geyserCodeHash.call()).to.equal(codeHash);
+      await expectRevert(createGeyser(POOL_REF), 'GeyserFactory: unknown geyser code');
+    });
+  });
+
+  describe('createGeyser', function () {
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        createGeyser(POOL_REF, {}, { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+
+    describe('when the parameters are valid', function () {
+      let r, geyser;
+      beforeEach(async function () {
+        r = await createGeyser(POOL_REF);
+        geyser = await TokenGeyser.at(createdGeyser(r));
+      });
+      it('should deploy the geyser', async function () {
+        expect(await geyser.getStakingToken.call()).to.equal(ham.address);
+        expect(await geyser.getDistributionToken.call()).to.equal(ham.address);
+        expect(await geyser.startBonus.call()).to.be.bignumber.equal('50');
+        expect(await geyser.bonusPeriodSec.call()).to.be.bignumber.equal('86400');
+      });
+      it('should log GeyserCreated and GeyserRegistered', async function () {
+        expectEvent(r, 'GeyserCreated', {
+          geyser: geyser.address,
+          admin: admin,
+          maxUnlockSchedules: '10',
+          startBonus: '50',
+          bonusPeriodSec: '86400',
+          initialSharesPerToken: '1000000'
+        });
+        expectEvent(r, 'GeyserRegistered', {
+          geyser: geyser.address,
+          stakingToken: ham.address,
+          poolRef: poolRefToBytes32(web3, POOL_REF),
+          distributionToken: ham.address,
+          index: '0'
+        });
+      });
+      it('should register the geyser', async function () {
+        expect(await factory.geyserCount.call()).to.be.bignumber.equal('1');
+        expect(await factory.geyserOf.call(ham.address, poolRefToBytes32(web3, POOL_REF)))
+          .to.equal(geyser.address);
+        const e = await factory.geysers.call(0);
+        expect(e.geyser).to.equal(geyser.address);
+        expect(e.stakingToken).to.equal(ham.address);
+        expect(e.distributionToken).to.equal(ham.address);
+      });
+      it('should hand the admin role over to the admin', async function () {
+        expect(await geyser.roleHolder.call(Role.Admin)).to.equal(factory.address);
+        expect(await geyser.pendingRoleHolder.call(Role.Admin)).to.equal(admin);
+        await geyser.acceptRole(Role.Admin, { from: admin });
+        expect(await geyser.roleHolder.call(Role.Admin)).to.equal(admin);
+        await geyser.pause({ from: admin });
+      });
+      it('should not register the poolRef twice for the staking token', async function () {
+        await expectRevert(
+          createGeyser(POOL_REF, { distributionToken: other.address }),
+          'GeyserFactory: poolRef already registered'
+        );
+        const r2 = await createGeyser(POOL_REF, { stakingToken: other.address });
+        expect(await factory.geyserOf.call(other.address, poolRefToBytes32(web3, POOL_REF)))
+          .to.equal(createdGeyser(r2));
+        expect(await factory.geyserCount.call()).to.be.bignumber.equal('2');
+      });
+    });
+
+    describe('when the parameters are invalid', function () {
+      it('should fail for other geyser code', async function () {
+        await expectRevert(
+          createGeyser(POOL_REF, { code: geyserCode + '00' }),
+          'GeyserFactory: unknown geyser code'
+        );
+      });
+      it('should fail if a token is not a contract', async function () {
+        await expectRevert(
+          createGeyser(POOL_REF, { stakingToken: anotherAccount }),
+          'GeyserFactory: token is not a contract'
+        );
+        await expectRevert(
+          createGeyser(POOL_REF, { distributionToken: anotherAccount }),
+          'GeyserFactory: token is not a contract'
+        );
+      });
+      it('should fail if maxUnlockSchedules is 0', async function () {
+        await expectRevert(
+          createGeyser(POOL_REF, { maxUnlockSchedules: 0 }),
+          'GeyserFactory: maxUnlockSchedules is zero'
+        );
+      });
+      it('should fail if start bonus too high', async function () {
+        await expectRevert(
+          createGeyser(POOL_REF, { startBonus: 101 }),
+          'TokenGeyser: start bonus too high'
+        );
+      });
+      it('should fail if bonus period is 0', async function () {
+        await expectRevert(
+          createGeyser(POOL_REF, { bonusPeriodSec: 0 }),
+          'TokenGeyser: bonus period is zero'
+        );
+      });
+      it('should fail if initialSharesPerToken is 0', async function () {
+        await expectRevert(
+          createGeyser(POOL_REF, { initialSharesPerToken: 0 }),
+          'GeyserFactory: initialSharesPerToken is zero'
+        );
+      });
+      it('should fail without an admin', async function () {
+        await expectRevert(
+          createGeyser(POOL_REF, { admin: constants.ZERO_ADDRESS }),
+          'GeyserFactory: admin is the zero address'
+        );
+      });
+      it('should fail for an empty poolRef', async function () {
+        await expectRevert(
+          factory.createGeyser(geyserCode, constants.ZERO_BYTES32, ham.address, ham.address, 10, 50, 86400,
+            10 ** 6, admin, { gas: CREATE_GAS }),
+          'GeyserFactory: poolRef is empty'
+        );
+      });
+    });
+  });
+
+  describe('transferGeyserAdmin', function () {
+    let geyser;
+    beforeEach(async function () {
+      geyser = await TokenGeyser.at(createdGeyser(await createGeyser(POOL_REF)));
+    });
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        factory.transferGeyserAdmin(geyser.address, anotherAccount, { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should fail without an admin', async function () {
+      await expectRevert(
+        factory.transferGeyserAdmin(geyser.address, constants.ZERO_ADDRESS),
+        'GeyserFactory: admin is the zero address'
+      );
+    });
+
+    describe('when the hand-over is never accepted', function () {
+      it('should hand the admin role over to another account', async function () {
+        await factory.transferGeyserAdmin(geyser.address, anotherAccount);
+        expect(await geyser.roleHolder.call(Role.Admin)).to.equal(factory.address);
+        expect(await geyser.pendingRoleHolder.call(Role.Admin)).to.equal(anotherAccount);
+        await expectRevert(
+          geyser.acceptRole(Role.Admin, { from: admin }),
+          'AccessRoles: caller is not the pending holder'
+        );
+        await geyser.acceptRole(Role.Admin, { from: anotherAccount });
+        expect(await geyser.roleHolder.call(Role.Admin)).to.equal(anotherAccount);
+      });
+    });
+
+    describe('once the hand-over is accepted', function () {
+      it('should fail', async function () {
+        await geyser.acceptRole(Role.Admin, { from: admin });
+        await expectRevert(
+          factory.transferGeyserAdmin(geyser.address, anotherAccount),
+          'AccessRoles: caller does not have the role'
+        );
+      });
+    });
+  });
+
+  describe('registry tooling', function () {
+    let dir, geysers;
+    beforeEach(async function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geyser-deployments-'));
+      geysers = [
+        createdGeyser(await createGeyser(POOL_REF)),
+        createdGeyser(await createGeyser('OTHER-HAM', { stakingToken: other.address, startBonus: 33 }))
+      ];
+    });
+
+    it('should list the registry', async function () {
+      expect(await listRegistry(web3, factory.address)).to.deep.equal([
+        { index: 0, poolRef: POOL_REF, stakingToken: ham.address, distToken: ham.address, deployment: geysers[0] },
+        { index: 1, poolRef: 'OTHER-HAM', stakingToken: other.address, distToken: ham.address, deployment: geysers[1] }
+      ]);
+    });
+    it('should sync the registry into the deployments', async function () {
+      fs.copyFileSync(path.join(__dirname, '..', 'deployments', 'mainnet.yaml'),
+        path.join(dir, `${NETWORK}.yaml`));
+      const added = await syncDeployments(web3, factory.address, NETWORK, { dir });
+      expect(added.map(e => e.poolRef)).to.deep.equal([POOL_REF, 'OTHER-HAM']);
+
+      const deployments = loadDeployments(NETWORK, dir);
+      expect(deployments.map(d => d.poolRef)).to.deep.equal(['UNI-ETHHAM-V2', POOL_REF, 'OTHER-HAM']);
+      // The mainnet record predates the params.
+      deployments.slice(1).forEach(validateDeployment);
+      expect(deployments[2].deployment).to.equal(geysers[1]);
+      expect(deployments[2].stakingToken).to.equal(other.address);
+      expect(deployments[2].params).to.deep.equal({
+        maxUnlockSchedules: '10',
+        startBonus: '33',
+        bonusPeriodSec: '86400',
+        initialSharesPerToken: '1000000'
+      });
+      const receipt = await web3.eth.getTransactionReceipt(deployments[2].txHash);
+      expect(receipt.blockNumber).to.equal(deployments[2].blockNumber);
+    });
+    it('should record the current admin of each geyser as its owner', async function () {
+      await (await TokenGeyser.at(geysers[1])).acceptRole(Role.Admin, { from: admin });
+      await syncDeployments(web3, factory.address, NETWORK, { dir });
+      const deployments = loadDeployments(NETWORK, dir);
+      expect(deployments[0].owner).to.equal(factory.address);
+      expect(deployments[1].owner).to.equal(admin);
+    });
+    it('should record a poolRef once per staking token', async function () {
+      const r = await createGeyser(POOL_REF, { stakingToken: other.address });
+      const added = await syncDeployments(web3, factory.address, NETWORK, { dir });
+      expect(added.map(e => e.deployment)).to.deep.equal([geysers[0], geysers[1], createdGeyser(r)]);
+      expect(loadDeployments(NETWORK, dir).map(d => d.poolRef)).to.deep.equal([POOL_REF, 'OTHER-HAM', POOL_REF]);
+    });
+    it('should only append the missing geysers', async function () {
+      await syncDeployments(web3, factory.address, NETWORK, { dir });
+      expect(await syncDeployments(web3, factory.address, NETWORK, { dir })).to.deep.equal([]);
+      expect(loadDeployments(NETWORK, dir).length).to.equal(2);
+    });
+    it('should fail if a poolRef is recorded for another geyser', async function () {
+      fs.writeFileSync(path.join(dir, `${NETWORK}.yaml`),
+        fs.readFileSync(path.join(__dirname, '..', 'deployments', 'mainnet.yaml'), 'utf8')
+          .replace('UNI-ETHHAM-V2', POOL_REF)
+          .replace('0xc5be99A02C6857f9Eac67BbCE58DF5572498F40c', ham.address));
+      let error;
+      await syncDeployments(web3, factory.address, NETWORK, { dir }).catch(e => { error = e; });
+      expect(error.message).to.equal(`Deployment ${POOL_REF} of ${ham.address} on ${NETWORK} is ` +
+        `0xD36132E0c1141B26E62733e018f12Eb38A7b7678, but the registry has ${geysers[0]}`);
+      expect(loadDeployments(NETWORK, dir).length).to.equal(1);
+    });
+  });
+});
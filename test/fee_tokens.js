@@ -0,0 +1,156 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectEvent, BN } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const { encodeReferralCode } = _require('/util/referrals');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  checkHamAprox,
+  checkSharesAprox,
+  TimeController,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const MockFeeERC20 = contract.fromArtifact('MockFeeERC20');
+const InitialSharesPerToken = 10 ** 6;
+const FEE_BPS = 1000; // 10%
+
+const ONE_YEAR = 1 * 365 * 24 * 3600;
+
+function shares (hams) {
+  return $HAM(hams).mul(new BN(InitialSharesPerToken));
+}
+
+let ham, fee, owner, anotherAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+  fee = await MockFeeERC20.new($HAM(100000), FEE_BPS);
+
+  await linkGeyser(TokenGeyser);
+}
+
+function newGeyser (stakingToken, distributionToken) {
+  return TokenGeyser.new(stakingToken.address, distributionToken.address, 10, 50, 86400,
+    InitialSharesPerToken);
+}
+
+describe('fee-on-transfer tokens', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('as the staking token', function () {
+    let dist;
+    beforeEach(async function () {
+      dist = await newGeyser(fee, ham);
+      await fee.transfer(anotherAccount, $HAM(1000));
+      await fee.approve(dist.address, $HAM(1000), { from: anotherAccount });
+      await fee.approve(dist.address, $HAM(1000), { from: owner });
+    });
+
+    it('should mint the shares for what the staking pool received', async function () {
+      const r = await dist.stake($HAM(100), []);
+      expectEvent(r, 'Staked', {
+        user: owner,
+        amount: $HAM(90),
+        total: $HAM(90)
+      });
+      expect(await dist.totalStaked.call()).to.be.bignumber.equal($HAM(90));
+      expect(await dist.totalStakedFor.call(owner)).to.be.bignumber.equal($HAM(90));
+      expect(await dist.totalStakingShares.call()).to.be.bignumber.equal(shares(90));
+    });
+    it('should keep the shares per token for later stakes', async function () {
+      await dist.stake($HAM(100), []);
+      await dist.stake($HAM(200), [], { from: anotherAccount });
+      expect(await dist.totalStaked.call()).to.be.bignumber.equal($HAM(270));
+      expect(await dist.totalStakedFor.call(owner)).to.be.bignumber.equal($HAM(90));
+      expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(180));
+      expect(await dist.totalStakingShares.call()).to.be.bignumber.equal(shares(270));
+    });
+    it('should tally the referral code of a stake with what the staking pool received', async function () {
+      const partner = encodeReferralCode(web3, 'partner');
+      await dist.stake($HAM(100), partner);
+      await dist.stakeFor(anotherAccount, $HAM(100), partner);
+      const totals = await dist.referralTotals.call(partner);
+      expect(totals.staked).to.be.bignumber.equal($HAM(180));
+      expect(totals.unstaked).to.be.bignumber.equal($HAM(0));
+    });
+    it('should unstake what the staking pool holds', async function () {
+      await dist.stake($HAM(100), []);
+      await dist.stake($HAM(200), [], { from: anotherAccount });
+      await dist.unstake($HAM(180), [], { from: anotherAccount });
+      expect(await dist.totalStaked.call()).to.be.bignumber.equal($HAM(90));
+      expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(0));
+      expect(await dist.totalStakingShares.call()).to.be.bignumber.equal(shares(90));
+    });
+    it('should migrate what the successor received', async function () {
+      const nextDist = await newGeyser(fee, ham);
+      await nextDist.setPredecessor(dist.address);
+      await dist.setSuccessor(nextDist.address);
+      await dist.stake($HAM(100), []);
+
+      // 90 hams staked, 81 left after leaving the pool and 72.9 after entering the successor.
+      const r = await dist.migrate();
+      expectEvent(r, 'StakeMigrated', { user: owner, amount: $HAM(81) });
+      expect(await dist.totalStaked.call()).to.be.bignumber.equal($HAM(0));
+      expect(await nextDist.totalStaked.call()).to.be.bignumber.equal(new BN('72900000000'));
+      expect(await nextDist.totalStakedFor.call(owner)).to.be.bignumber.equal(new BN('72900000000'));
+    });
+  });
+
+  describe('as the distribution token', function () {
+    const timeController = new TimeController();
+    let dist;
+    beforeEach(async function () {
+      dist = await newGeyser(ham, fee);
+      await fee.transfer(anotherAccount, $HAM(1000));
+      await fee.approve(dist.address, $HAM(1000), { from: anotherAccount });
+      await fee.approve(dist.address, $HAM(1000), { from: owner });
+    });
+
+    it('should lock what the locked pool received', async function () {
+      const r = await dist.lockTokens($HAM(100), ONE_YEAR);
+      const l = r.logs.filter(l => l.event === 'TokensLocked')[0];
+      expect(l.args.amount).to.be.bignumber.equal($HAM(90));
+      expect(l.args.total).to.be.bignumber.equal($HAM(90));
+      expect(await dist.totalLocked.call()).to.be.bignumber.equal($HAM(90));
+      expect(await dist.totalLockedShares.call()).to.be.bignumber.equal(shares(90));
+    });
+    it('should unlock all of the locked tokens', async function () {
+      await timeController.initialize();
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      // Moving the tokens into the unlocked pool would take another fee.
+      await fee.setFeeBps(0);
+      await timeController.advanceTime(ONE_YEAR);
+      await dist.updateAccounting();
+      expect(await dist.totalLocked.call()).to.be.bignumber.equal($HAM(0));
+      expect(await dist.totalUnlocked.call()).to.be.bignumber.equal($HAM(90));
+      expect(await dist.totalLockedShares.call()).to.be.bignumber.equal('0');
+    });
+    it('should mint the shares of a scheduled donation for what the locked pool received', async function () {
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      const endAtSec = (await dist.unlockSchedules(0))[3];
+      const r = await dist.donateToSchedule(fee.address, 0, endAtSec, $HAM(100), { from: anotherAccount });
+      const l = r.logs.filter(l => l.event === 'TokensDonated')[0];
+      expect(l.args.amount).to.be.bignumber.equal($HAM(90));
+      checkSharesAprox(l.args.lockedShares, shares(90));
+      checkHamAprox(await dist.totalLocked.call(), 180);
+    });
+    it('should donate what the unlocked pool received', async function () {
+      const r = await dist.donate(fee.address, $HAM(100), { from: anotherAccount });
+      expectEvent(r, 'TokensDonated', { donor: anotherAccount, amount: $HAM(90) });
+      expect(await dist.totalUnlocked.call()).to.be.bignumber.equal($HAM(90));
+    });
+  });
+});
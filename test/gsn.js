@@ -0,0 +1,221 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, expectEvent, balance, ether } = require('@openzeppelin/test-helpers');
+const { deployRelayHub, fundRecipient } = require('@openzeppelin/gsn-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  checkHamAprox,
+  TimeController,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_YEAR = 1 * 365 * 24 * 3600;
+
+// The dev relayer of test-environment.config.js asks for a fee of 70%.
+const MAX_RELAY_FEE = 70;
+const MAX_RELAY_GAS_PRICE = web3.utils.toWei('100', 'gwei');
+
+// acceptRelayedCall rejects with 11, the rejection code of the RelayHub, plus the reason.
+const ACCEPTED = '0';
+const FUNCTION_NOT_RELAYED = '11';
+const FEE_TOO_HIGH = '12';
+const GAS_PRICE_TOO_HIGH = '13';
+
+// The dev relayer of test-environment.config.js relays from accounts[9].
+let ham, dist, owner, user, relayer;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  user = web3.utils.toChecksumAddress(accounts[3]);
+  relayer = web3.utils.toChecksumAddress(accounts[9]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400,
+    InitialSharesPerToken);
+  await fundRecipient(web3, { recipient: dist.address, amount: ether('1') });
+  await dist.setRelayLimits(MAX_RELAY_FEE, MAX_RELAY_GAS_PRICE);
+
+  await ham.transfer(user, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: user });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+}
+
+describe('relayed calls', function () {
+  before('deploy the relay hub', async function () {
+    await deployRelayHub(web3);
+  });
+
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  it('should use the default relay hub', async function () {
+    expect(await dist.getHubAddr.call()).to.equal('0xD216153c06E857cD7f72665E0aF1d7D82172F494');
+  });
+
+  it('should be paid for by the geyser, not the sender', async function () {
+    const tracker = await balance.tracker(user);
+    await dist.stake($HAM(100), [], { from: user, useGSN: true });
+    expect(await tracker.delta()).to.be.bignumber.equal('0');
+  });
+
+  describe('stake', function () {
+    it('should credit the sender', async function () {
+      const { tx } = await dist.stake($HAM(100), [], { from: user, useGSN: true });
+      await expectEvent.inTransaction(tx, TokenGeyser, 'Staked', {
+        user: user,
+        amount: $HAM(100),
+        total: $HAM(100)
+      });
+      expect(await dist.totalStakedFor.call(user)).to.be.bignumber.equal($HAM(100));
+      expect(await dist.totalStakedFor.call(relayer)).to.be.bignumber.equal($HAM(0));
+    });
+  });
+
+  describe('unstake', function () {
+    // 100 hams locked for 1 year, user stakes 50 hams through the relayer,
+    // and unstakes them through the relayer after 1 year.
+    const timeController = new TimeController();
+    beforeEach(async function () {
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await timeController.initialize();
+      await dist.stake($HAM(50), [], { from: user, useGSN: true });
+      await timeController.advanceTime(ONE_YEAR);
+    });
+    it('should return the stake and pay the rewards to the sender', async function () {
+      const _b = await ham.balanceOf.call(user);
+      const { tx } = await dist.unstake($HAM(50), [], { from: user, useGSN: true });
+      await expectEvent.inTransaction(tx, TokenGeyser, 'Unstaked', {
+        user: user,
+        amount: $HAM(50),
+        total: $HAM(0)
+      });
+      const b = await ham.balanceOf.call(user);
+      checkHamAprox(b.sub(_b), 150);
+      expect(await ham.balanceOf.call(relayer)).to.be.bignumber.equal($HAM(0));
+    });
+  });
+
+  describe('updateAccounting', function () {
+    // 100 hams locked for 1 year, user stakes 50 hams and updates the accounting through the
+    // relayer half way through, claiming the rest through the relayer at the end.
+    const timeController = new TimeController();
+    beforeEach(async function () {
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await timeController.initialize();
+      await dist.stake($HAM(50), [], { from: user, useGSN: true });
+      await timeController.advanceTime(ONE_YEAR / 2);
+    });
+    it('should account for the sender', async function () {
+      const { tx } = await dist.updateAccounting({ from: user, useGSN: true });
+      await expectEvent.inTransaction(tx, TokenGeyser, 'TokensUnlocked');
+      await timeController.advanceTime(ONE_YEAR / 2);
+      const _b = await ham.balanceOf.call(user);
+      await dist.claim({ from: user, useGSN: true });
+      const b = await ham.balanceOf.call(user);
+      checkHamAprox(b.sub(_b), 100);
+    });
+  });
+
+  describe('acceptRelayedCall', function () {
+    async function relayCode (encodedFunction, transactionFee, gasPrice) {
+      const r = await dist.acceptRelayedCall.call(relayer, user, encodedFunction, transactionFee, gasPrice,
+        1000000, 0, '0x', ether('0.1'));
+      return r[0].toString();
+    }
+    function calldata (method, ...args) {
+      return dist.contract.methods[method](...args).encodeABI();
+    }
+
+    it('should accept stake, unstake, updateAccounting and claim', async function () {
+      for (const encodedFunction of [
+        calldata('stake', $HAM(1).toString(), '0x'),
+        calldata('unstake', $HAM(1).toString(), '0x'),
+        calldata('updateAccounting'),
+        calldata('claim')
+      ]) {
+        expect(await relayCode(encodedFunction, MAX_RELAY_FEE, MAX_RELAY_GAS_PRICE)).to.equal(ACCEPTED);
+      }
+    });
+    it('should reject other functions', async function () {
+      for (const encodedFunction of [
+        calldata('stakeFor', owner, $HAM(1).toString(), '0x'),
+        calldata('emergencyUnstake'),
+        calldata('migrate'),
+        calldata('lockTokens', $HAM(1).toString(), ONE_YEAR),
+        calldata('transferRole', 0, user),
+        '0x',
+        '0x4e71d9'
+      ]) {
+        expect(await relayCode(encodedFunction, MAX_RELAY_FEE, MAX_RELAY_GAS_PRICE)).to.equal(FUNCTION_NOT_RELAYED);
+      }
+    });
+    it('should reject a fee above the limit', async function () {
+      expect(await relayCode(calldata('claim'), MAX_RELAY_FEE + 1, MAX_RELAY_GAS_PRICE)).to.equal(FEE_TOO_HIGH);
+    });
+    it('should reject a gas price above the limit', async function () {
+      const gasPrice = web3.utils.toBN(MAX_RELAY_GAS_PRICE).addn(1);
+      expect(await relayCode(calldata('claim'), MAX_RELAY_FEE, gasPrice)).to.equal(GAS_PRICE_TOO_HIGH);
+    });
+    it('should reject any fee and gas price with the limits at zero', async function () {
+      await dist.setRelayLimits(0, 0);
+      expect(await relayCode(calldata('claim'), 1, 0)).to.equal(FEE_TOO_HIGH);
+      expect(await relayCode(calldata('claim'), 0, 1)).to.equal(GAS_PRICE_TOO_HIGH);
+    });
+  });
+
+  describe('setRelayLimits', function () {
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        dist.setRelayLimits(100, MAX_RELAY_GAS_PRICE, { from: user }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should set the limits', async function () {
+      const r = await dist.setRelayLimits(10, 1000);
+      expectEvent(r, 'RelayLimitsSet', { maxRelayFee: '10', maxRelayGasPrice: '1000' });
+      expect(await dist.maxRelayFee.call()).to.be.bignumber.equal('10');
+      expect(await dist.maxRelayGasPrice.call()).to.be.bignumber.equal('1000');
+    });
+  });
+
+  describe('setRelayHub', function () {
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        dist.setRelayHub(relayer, { from: user }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should set the relay hub', async function () {
+      const r = await dist.setRelayHub(relayer);
+      expectEvent(r, 'RelayHubChanged', { newRelayHub: relayer });
+      expect(await dist.getHubAddr.call()).to.equal(relayer);
+    });
+  });
+
+  describe('withdrawDeposits', function () {
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        dist.withdrawDeposits(ether('1'), user, { from: user }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should withdraw the deposit of the geyser', async function () {
+      const tracker = await balance.tracker(user);
+      await dist.withdrawDeposits(ether('1'), user);
+      expect(await tracker.delta()).to.be.bignumber.equal(ether('1'));
+    });
+  });
+});
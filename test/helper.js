@@ -1,12 +1,21 @@
 const { BN } = require('@openzeppelin/test-helpers');
 const { promisify } = require('util');
 const { time } = require('@openzeppelin/test-helpers');
-const { web3 } = require('@openzeppelin/test-environment');
+const { contract, web3 } = require('@openzeppelin/test-environment');
 const { expect } = require('chai');
 
+const _require = require('app-root-path').require;
+const { inspectGeyser, formatStatus } = _require('/util/geyser_inspector');
+
+const Distributions = contract.fromArtifact('Distributions');
+const Stakes = contract.fromArtifact('Stakes');
+
 const PERC_DECIMALS = 2;
 const HAM_DECIMALS = 9;
 
+// The AccessRoles.Role enum.
+const Role = { Admin: 0, Funder: 1, Pauser: 2 };
+
 function $HAM (x) {
   return new BN(x * (10 ** HAM_DECIMALS));
 }
@@ -68,25 +77,31 @@ class TimeController {
   }
 }
 
+// TokenGeyser calls into the Distributions and Stakes libraries, which are deployed once and
+// linked into every TokenGeyser contract abstraction before it deploys a geyser.
+let distributions, stakes;
+async function linkGeyser (TokenGeyser) {
+  if (!distributions) {
+    distributions = await Distributions.new();
+    stakes = await Stakes.new();
+  }
+  await TokenGeyser.detectNetwork();
+  TokenGeyser.link('Distributions', distributions.address);
+  TokenGeyser.link('Stakes', stakes.address);
+}
+
+// Hands the role of the contract over to the account, on behalf of the admin.
+async function grantRole (contract, role, account) {
+  await contract.transferRole(role, account);
+  await contract.acceptRole(role, { from: account });
+}
+
 async function printMethodOutput (r) {
   console.log(r.logs);
 }
 
-async function printStatus (dist) {
-  console.log('Total Locked: ', await dist.totalLocked.call().toString());
-  console.log('Total UnLocked: ', await dist.totalUnlocked.call().toString());
-  const c = (await dist.unlockScheduleCount.call()).toNumber();
-  console.log(await dist.unlockScheduleCount.call().toString());
-
-  for (let i = 0; i < c; i++) {
-    console.log(await dist.unlockSchedules.call(i).toString());
-  }
-  // TODO: Print the following variables:
-  // await dist.totalLocked.call()
-  // await dist.totalUnlocked.call()
-  // await dist.unlockScheduleCount.call()
-  // dist.updateAccounting.call() // and all the logs
-  // dist.unlockSchedules.call(1)
+async function printStatus (dist, user) {
+  console.log(formatStatus(web3, await inspectGeyser(web3, dist.address, { user })));
 }
 
 async function increaseTimeForNextTransaction (diff) {
@@ -110,4 +125,4 @@ async function setTimeForNextTransaction (target) {
   increaseTimeForNextTransaction(diff);
 }
 
-module.exports = {checkHamAprox: checkHamAprox, checkSharesAprox, invokeRebase, $HAM: $HAM, setTimeForNextTransaction, TimeController, printMethodOutput, printStatus};
+module.exports = {checkHamAprox: checkHamAprox, checkSharesAprox, invokeRebase, $HAM: $HAM, setTimeForNextTransaction, TimeController, printMethodOutput, printStatus, linkGeyser, Role, grantRole};
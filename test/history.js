@@ -0,0 +1,163 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, BN, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  invokeRebase,
+  checkHamAprox,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const GeyserReceiptToken = contract.fromArtifact('GeyserReceiptToken');
+const InitialSharesPerToken = 10 ** 6;
+
+let ham, dist, owner, anotherAccount, thirdAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  thirdAccount = web3.utils.toChecksumAddress(accounts[7]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400,
+    InitialSharesPerToken);
+
+  await ham.transfer(anotherAccount, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+}
+
+function $SHARES (x) {
+  return $HAM(x).mul(new BN(InitialSharesPerToken));
+}
+
+// Waits for the transaction, and mines one more block so that its block can be queried.
+async function blockOf (tx) {
+  const r = await tx;
+  await time.advanceBlock();
+  return r.receipt.blockNumber;
+}
+
+describe('staking history', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  it('should be zero before the first stake', async function () {
+    const b = await blockOf(dist.stake($HAM(100), [], { from: anotherAccount }));
+    expect(await dist.totalStakedForAt.call(anotherAccount, b - 1)).to.be.bignumber.equal($HAM(0));
+    expect(await dist.totalStakedAt.call(b - 1)).to.be.bignumber.equal($HAM(0));
+    expect(await dist.totalStakingSharesForAt.call(anotherAccount, b - 1)).to.be.bignumber.equal($SHARES(0));
+    expect(await dist.totalStakingSharesAt.call(b - 1)).to.be.bignumber.equal($SHARES(0));
+  });
+
+  it('should not be available for blocks not yet mined', async function () {
+    await dist.stake($HAM(100), [], { from: anotherAccount });
+    const latest = await web3.eth.getBlockNumber();
+    await expectRevert(
+      dist.totalStakedForAt.call(anotherAccount, latest + 1),
+      'TokenGeyser: block not yet mined'
+    );
+    await expectRevert(
+      dist.totalStakedAt.call(latest + 1),
+      'TokenGeyser: block not yet mined'
+    );
+  });
+
+  it('should record stakes and unstakes at their blocks', async function () {
+    const b1 = await blockOf(dist.stake($HAM(100), [], { from: anotherAccount }));
+    const b2 = await blockOf(dist.stake($HAM(50), [], { from: owner }));
+    const b3 = await blockOf(dist.unstake($HAM(40), [], { from: anotherAccount }));
+    const b4 = await blockOf(dist.stakeFor(anotherAccount, $HAM(10), [], { from: owner }));
+
+    expect(await dist.totalStakedForAt.call(anotherAccount, b1)).to.be.bignumber.equal($HAM(100));
+    expect(await dist.totalStakedForAt.call(owner, b1)).to.be.bignumber.equal($HAM(0));
+    expect(await dist.totalStakedAt.call(b1)).to.be.bignumber.equal($HAM(100));
+
+    expect(await dist.totalStakedForAt.call(anotherAccount, b2)).to.be.bignumber.equal($HAM(100));
+    expect(await dist.totalStakedForAt.call(owner, b2)).to.be.bignumber.equal($HAM(50));
+    expect(await dist.totalStakedAt.call(b2)).to.be.bignumber.equal($HAM(150));
+
+    expect(await dist.totalStakedForAt.call(anotherAccount, b3)).to.be.bignumber.equal($HAM(60));
+    expect(await dist.totalStakedAt.call(b3)).to.be.bignumber.equal($HAM(110));
+    expect(await dist.totalStakingSharesForAt.call(anotherAccount, b3)).to.be.bignumber.equal($SHARES(60));
+
+    expect(await dist.totalStakedForAt.call(anotherAccount, b4)).to.be.bignumber.equal($HAM(70));
+    expect(await dist.totalStakedForAt.call(owner, b4)).to.be.bignumber.equal($HAM(50));
+    expect(await dist.totalStakedAt.call(b4)).to.be.bignumber.equal($HAM(120));
+    expect(await dist.totalStakingSharesAt.call(b4)).to.be.bignumber.equal($SHARES(120));
+  });
+
+  it('should keep the value of the latest checkpoint for blocks in between', async function () {
+    const b1 = await blockOf(dist.stake($HAM(100), [], { from: anotherAccount }));
+    await time.advanceBlock();
+    await time.advanceBlock();
+    const b2 = await blockOf(dist.unstake($HAM(100), [], { from: anotherAccount }));
+    expect(await dist.totalStakedForAt.call(anotherAccount, b1 + 2)).to.be.bignumber.equal($HAM(100));
+    expect(await dist.totalStakedForAt.call(anotherAccount, b2)).to.be.bignumber.equal($HAM(0));
+    expect(await dist.totalStakedAt.call(b2)).to.be.bignumber.equal($HAM(0));
+  });
+
+  it('should record emergency unstakes', async function () {
+    const b1 = await blockOf(dist.stake($HAM(100), [], { from: anotherAccount }));
+    const b2 = await blockOf(dist.emergencyUnstake({ from: anotherAccount }));
+    expect(await dist.totalStakedForAt.call(anotherAccount, b1)).to.be.bignumber.equal($HAM(100));
+    expect(await dist.totalStakedForAt.call(anotherAccount, b2)).to.be.bignumber.equal($HAM(0));
+    expect(await dist.totalStakingSharesAt.call(b2)).to.be.bignumber.equal($SHARES(0));
+  });
+
+  it('should record receipt token transfers for both users', async function () {
+    const receipt = await GeyserReceiptToken.new('Geyser HAM', 'gHAM', 15);
+    await receipt.transferOwnership(dist.address);
+    await dist.setReceiptToken(receipt.address);
+
+    const b1 = await blockOf(dist.stake($HAM(100), [], { from: anotherAccount }));
+    const b2 = await blockOf(receipt.transfer(thirdAccount, $SHARES(30), { from: anotherAccount }));
+    expect(await dist.totalStakedForAt.call(thirdAccount, b1)).to.be.bignumber.equal($HAM(0));
+    expect(await dist.totalStakedForAt.call(anotherAccount, b2)).to.be.bignumber.equal($HAM(70));
+    expect(await dist.totalStakedForAt.call(thirdAccount, b2)).to.be.bignumber.equal($HAM(30));
+    expect(await dist.totalStakedAt.call(b2)).to.be.bignumber.equal($HAM(100));
+  });
+
+  describe('when the staking token rebases', function () {
+    // Shares are exact at every block. Token amounts are as of the latest checkpoint, and only
+    // reflect a rebase from the next stake, unstake or transfer on.
+    let b1;
+    beforeEach(async function () {
+      b1 = await blockOf(dist.stake($HAM(100), [], { from: anotherAccount }));
+      await invokeRebase(ham, 100);
+      await time.advanceBlock();
+    });
+    it('should not reflect the rebase until the next checkpoint', async function () {
+      const latest = (await web3.eth.getBlockNumber()) - 1;
+      checkHamAprox(await dist.totalStakedFor.call(anotherAccount), 200);
+      checkHamAprox(await dist.totalStakedForAt.call(anotherAccount, b1), 100);
+      checkHamAprox(await dist.totalStakedForAt.call(anotherAccount, latest), 100);
+      checkHamAprox(await dist.totalStakedAt.call(latest), 100);
+    });
+    it('should not change the shares', async function () {
+      const latest = (await web3.eth.getBlockNumber()) - 1;
+      expect(await dist.totalStakingSharesForAt.call(anotherAccount, b1)).to.be.bignumber.equal($SHARES(100));
+      expect(await dist.totalStakingSharesForAt.call(anotherAccount, latest)).to.be.bignumber.equal($SHARES(100));
+      expect(await dist.totalStakingSharesAt.call(latest)).to.be.bignumber.equal($SHARES(100));
+    });
+    it('should reflect the rebase from the next checkpoint on', async function () {
+      const b2 = await blockOf(dist.stake($HAM(50), [], { from: owner }));
+      checkHamAprox(await dist.totalStakedForAt.call(anotherAccount, b1), 100);
+      checkHamAprox(await dist.totalStakedForAt.call(anotherAccount, b2), 200);
+      checkHamAprox(await dist.totalStakedForAt.call(owner, b2), 50);
+      checkHamAprox(await dist.totalStakedAt.call(b2), 250);
+      expect(await dist.totalStakingSharesForAt.call(owner, b2)).to.be.bignumber.equal($SHARES(25));
+    });
+  });
+});
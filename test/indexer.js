@@ -0,0 +1,316 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { BN, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const { GeyserIndexer, JsonStore, findCreation } = _require('/util/geyser_indexer');
+const { encodeReferralCode } = _require('/util/referrals');
+const {
+  $HAM,
+  invokeRebase,
+  TimeController,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const GeyserReceiptToken = contract.fromArtifact('GeyserReceiptToken');
+const TokenGeyserV1 = contract.fromArtifact('TokenGeyserV1');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_YEAR = 1 * 365 * 24 * 3600;
+
+let ham, dist, owner, anotherAccount, startBlock;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400, InitialSharesPerToken);
+  startBlock = (await web3.eth.getTransactionReceipt(dist.transactionHash)).blockNumber;
+
+  await ham.transfer(anotherAccount, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+}
+
+function newIndexer (store, rebasing) {
+  return new GeyserIndexer(web3, dist.address, {
+    initialSharesPerToken: InitialSharesPerToken,
+    startBlock: startBlock,
+    store: store,
+    chunkSize: 5,
+    rebasing: rebasing
+  });
+}
+
+function plain (x) {
+  return JSON.parse(JSON.stringify(x));
+}
+
+function sharesOf (indexer, user) {
+  return indexer.stakesOf(user).reduce((sum, s) => sum.add(s.stakingShares), new BN(0));
+}
+
+// The indexed lots must add up to what the contract reports for every user.
+async function checkAgainstChain (indexer) {
+  const totals = indexer.state.totals;
+  const totalStakingShares = await dist.totalStakingShares.call();
+  const totalStaked = await dist.totalStaked.call();
+  expect(totals.totalStakingShares).to.be.bignumber.equal(totalStakingShares);
+  for (const user of [owner, anotherAccount]) {
+    const staked = totalStakingShares.gt(new BN(0))
+      ? totalStaked.mul(sharesOf(indexer, user)).div(totalStakingShares) : new BN(0);
+    expect(staked).to.be.bignumber.equal(await dist.totalStakedFor.call(user));
+  }
+  expect(totals.totalLocked).to.be.bignumber.equal(await dist.totalLocked.call());
+}
+
+describe('GeyserIndexer', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('when single user performs unstake many times', function () {
+    // user stakes 10 hams, waits 1 year, stakes 10 hams, waits 1 year,
+    // unstakes 5 ham, unstakes 5 ham, unstakes 5 ham
+    // the last lot gets consumed first, the 1st lot is left with 5 hams
+    const timeController = new TimeController();
+    beforeEach(async function () {
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await timeController.initialize();
+      await dist.stake($HAM(10), [], { from: anotherAccount });
+      await timeController.advanceTime(ONE_YEAR);
+      await dist.stake($HAM(10), [], { from: anotherAccount });
+      await timeController.advanceTime(ONE_YEAR);
+      await dist.unstake($HAM(5), [], { from: anotherAccount });
+      await dist.unstake($HAM(5), [], { from: anotherAccount });
+      await dist.unstake($HAM(5), [], { from: anotherAccount });
+    });
+    it('should consume the most recent lots first', async function () {
+      const indexer = newIndexer();
+      await indexer.run();
+      const lots = indexer.stakesOf(anotherAccount);
+      expect(lots.length).to.equal(1);
+      expect(lots[0].stakingShares).to.be.bignumber.equal($HAM(5).mul(new BN(InitialSharesPerToken)));
+      await checkAgainstChain(indexer);
+    });
+    it('should track the claimed rewards and locks', async function () {
+      const indexer = newIndexer();
+      await indexer.run();
+      const user = indexer.state.users[anotherAccount.toLowerCase()];
+      const claimed = (await dist.getPastEvents('TokensClaimed', { fromBlock: startBlock }))
+        .reduce((sum, e) => sum.add(e.args.amount), new BN(0));
+      expect(user.claimed).to.be.bignumber.equal(claimed);
+      expect(user.staked).to.be.bignumber.equal($HAM(5));
+      expect(indexer.state.locks.length).to.equal(1);
+      expect(indexer.state.locks[0].amount).to.be.bignumber.equal($HAM(100));
+      expect(indexer.state.locks[0].durationSec).to.be.bignumber.equal(`${ONE_YEAR}`);
+      expect(indexer.state.totals.cumulativeUnlocked).to.be.bignumber.equal($HAM(100));
+    });
+  });
+
+  describe('when multiple users stake many times with rebases', function () {
+    const timeController = new TimeController();
+    beforeEach(async function () {
+      await dist.lockTokens($HAM(10000), ONE_YEAR);
+      await dist.stake($HAM(5000), [], { from: anotherAccount });
+      await timeController.initialize();
+      await timeController.advanceTime(ONE_YEAR / 4);
+      await dist.stake($HAM(5000), []);
+      await invokeRebase(ham, 50);
+      await timeController.advanceTime(ONE_YEAR / 4);
+      await dist.stake($HAM(5000), [], { from: anotherAccount });
+      await dist.stakeFor(anotherAccount, $HAM(3000), []);
+      await invokeRebase(ham, -30);
+      await timeController.advanceTime(ONE_YEAR / 4);
+      await dist.unstake($HAM(4000), [], { from: anotherAccount });
+      await dist.unstake($HAM(1000), []);
+    });
+    it('should match the contract totals', async function () {
+      const indexer = newIndexer(undefined, true);
+      await indexer.run();
+      expect(indexer.stakesOf(anotherAccount).length).to.equal(2);
+      expect(indexer.stakesOf(owner).length).to.equal(1);
+      await checkAgainstChain(indexer);
+    });
+  });
+
+  describe('when a user migrates to a successor', function () {
+    let nextDist;
+    beforeEach(async function () {
+      nextDist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400, InitialSharesPerToken);
+      await dist.setSuccessor(nextDist.address);
+      await nextDist.setPredecessor(dist.address);
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await dist.stake($HAM(10), [], { from: anotherAccount });
+      await time.increase(ONE_YEAR / 4);
+      await dist.stake($HAM(10), [], { from: anotherAccount });
+      await time.increase(ONE_YEAR / 4);
+      await dist.migrate({ from: anotherAccount });
+    });
+    it('should remove the lots from the geyser', async function () {
+      const indexer = newIndexer();
+      await indexer.run();
+      expect(indexer.stakesOf(anotherAccount).length).to.equal(0);
+      await checkAgainstChain(indexer);
+    });
+    it('should keep the original timestamps in the successor', async function () {
+      const indexer = newIndexer();
+      await indexer.run();
+      const next = new GeyserIndexer(web3, nextDist.address, {
+        initialSharesPerToken: InitialSharesPerToken,
+        startBlock: startBlock
+      });
+      await next.run();
+      const stakedAt = await Promise.all((await dist.getPastEvents('Staked', { fromBlock: startBlock }))
+        .map(async e => parseInt((await web3.eth.getBlock(e.blockNumber)).timestamp)));
+      expect(next.stakesOf(anotherAccount).map(s => s.timestampSec)).to.deep.equal(stakedAt);
+    });
+  });
+
+  describe('when users stake and unstake with referral codes', function () {
+    const partner = encodeReferralCode(web3, 'partner-1');
+    const other = encodeReferralCode(web3, 'partner-2');
+    beforeEach(async function () {
+      await dist.stake($HAM(10), partner, { from: anotherAccount });
+      await dist.stakeFor(anotherAccount, $HAM(20), partner);
+      await dist.stake($HAM(5), '0x1234');
+      await dist.unstake($HAM(15), other, { from: anotherAccount });
+    });
+    it('should tally the codes like the geyser', async function () {
+      const indexer = newIndexer();
+      await indexer.run();
+      const referrals = indexer.state.referrals;
+      expect(Object.keys(referrals).sort()).to.deep.equal([partner, other].sort());
+      for (const code of [partner, other]) {
+        const totals = await dist.referralTotals.call(code);
+        expect(referrals[code].staked).to.be.bignumber.equal(totals.staked);
+        expect(referrals[code].unstaked).to.be.bignumber.equal(totals.unstaked);
+      }
+      expect(referrals[partner].stakes).to.equal(2);
+      expect(referrals[other].unstakes).to.equal(1);
+    });
+  });
+
+  describe('when receipts are transferred', function () {
+    // user stakes 10 hams, then 10 hams 1/4 year later, and transfers 15 hams worth of receipts:
+    // the latest lot moves and 5 hams of the first one.
+    beforeEach(async function () {
+      const receipt = await GeyserReceiptToken.new('Geyser HAM', 'gHAM', 15);
+      await receipt.transferOwnership(dist.address);
+      await dist.setReceiptToken(receipt.address);
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await dist.stake($HAM(10), [], { from: anotherAccount });
+      await time.increase(ONE_YEAR / 4);
+      await dist.stake($HAM(10), [], { from: anotherAccount });
+      await receipt.transfer(owner, $HAM(15).mul(new BN(InitialSharesPerToken)), { from: anotherAccount });
+    });
+    it('should move the lots with their timestamps', async function () {
+      const indexer = newIndexer();
+      await indexer.run();
+      const sent = indexer.stakesOf(anotherAccount);
+      const received = indexer.stakesOf(owner);
+      expect(sent.length).to.equal(1);
+      expect(received.length).to.equal(2);
+      expect(received[1].timestampSec).to.equal(sent[0].timestampSec);
+      expect(received[0].timestampSec).to.be.above(sent[0].timestampSec);
+      await checkAgainstChain(indexer);
+    });
+  });
+
+  describe('when resuming from a checkpoint', function () {
+    let dir;
+    beforeEach(async function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geyser-indexer-'));
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await dist.stake($HAM(10), [], { from: anotherAccount });
+      await time.increase(ONE_YEAR / 2);
+      await dist.stake($HAM(10), []);
+    });
+    it('should produce the same result as a single run', async function () {
+      const file = path.join(dir, 'state.json');
+      const first = newIndexer(new JsonStore(file));
+      await first.run();
+      const checkpoint = first.state.lastProcessedBlock;
+
+      await time.increase(ONE_YEAR / 4);
+      await dist.unstake($HAM(5), [], { from: anotherAccount });
+      await dist.stake($HAM(20), [], { from: anotherAccount });
+
+      const resumed = newIndexer(new JsonStore(file));
+      expect(resumed.state.lastProcessedBlock).to.equal(checkpoint);
+      await resumed.run();
+
+      const single = newIndexer();
+      await single.run();
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).lastProcessedBlock)
+        .to.equal(single.state.lastProcessedBlock);
+      expect(plain(resumed.stakesOf(anotherAccount))).to.deep.equal(plain(single.stakesOf(anotherAccount)));
+      expect(plain(resumed.state.totals)).to.deep.equal(plain(single.state.totals));
+      await checkAgainstChain(resumed);
+    });
+    it('should refuse a checkpoint of another geyser', async function () {
+      const file = path.join(dir, 'state.json');
+      await newIndexer(new JsonStore(file)).run();
+      expect(() => new GeyserIndexer(web3, ham.address, { store: new JsonStore(file) }))
+        .to.throw(`Checkpoint belongs to geyser ${dist.address}, not ${ham.address}`);
+    });
+  });
+
+  describe('when the geyser predates the upgrades', function () {
+    // 100 hams locked for 1 year, a user stakes 10 hams with a referral code, and unstakes 5 hams
+    // half way through.
+    const timeController = new TimeController();
+    const code = encodeReferralCode(web3, 'partner');
+    beforeEach(async function () {
+      dist = await TokenGeyserV1.new(ham.address, ham.address, 10, 50, 86400, InitialSharesPerToken);
+      startBlock = (await web3.eth.getTransactionReceipt(dist.transactionHash)).blockNumber;
+      await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+      await ham.approve(dist.address, $HAM(50000), { from: owner });
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await timeController.initialize();
+      await dist.stake($HAM(10), code, { from: anotherAccount });
+      await timeController.advanceTime(ONE_YEAR / 2);
+      await dist.unstake($HAM(5), [], { from: anotherAccount });
+    });
+    it('should decode its events', async function () {
+      const indexer = newIndexer();
+      await indexer.run();
+      const lock = indexer.state.locks[0];
+      const lockedAt = (await dist.unlockSchedules.call(0))[3].subn(ONE_YEAR).toNumber();
+      expect(lock.amount).to.be.bignumber.equal($HAM(100));
+      expect(lock.startAtSec).to.equal(lockedAt);
+      expect(lock.cliffSec).to.be.bignumber.equal('0');
+      const claimed = (await dist.getPastEvents('TokensClaimed', { fromBlock: startBlock }))
+        .reduce((sum, e) => sum.add(e.args.amount), new BN(0));
+      expect(claimed).to.be.bignumber.gt('0');
+      expect(indexer.state.users[anotherAccount.toLowerCase()].claimed).to.be.bignumber.equal(claimed);
+      expect(indexer.state.totals.cumulativeUnlocked).to.be.bignumber.gt('0');
+      await checkAgainstChain(indexer);
+    });
+    it('should tally a referral code without a predecessor to check', async function () {
+      const indexer = newIndexer();
+      await indexer.run();
+      expect(indexer.state.referrals[code].staked).to.be.bignumber.equal($HAM(10));
+      expect(indexer.stakesOf(anotherAccount)[0].stakingShares)
+        .to.be.bignumber.equal($HAM(5).mul(new BN(InitialSharesPerToken)));
+    });
+    it('should find the block and initialSharesPerToken it was created with', async function () {
+      expect(await findCreation(web3, dist.address)).to.deep.equal({
+        blockNumber: startBlock,
+        initialSharesPerToken: `${InitialSharesPerToken}`
+      });
+    });
+  });
+});
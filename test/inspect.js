@@ -0,0 +1,204 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { BN, constants } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const { inspectGeyser, formatStatus, formatUnits, formatDuration } = _require('/util/geyser_inspector');
+const {
+  $HAM,
+  TimeController,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const TokenGeyserV1 = contract.fromArtifact('TokenGeyserV1');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_YEAR = 365 * 24 * 3600;
+
+let ham, dist, owner, anotherAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400, InitialSharesPerToken);
+
+  await ham.transfer(anotherAccount, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+}
+
+describe('geyser inspector', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('formatUnits', function () {
+    it('should format fixed point amounts', async function () {
+      expect(formatUnits(web3, $HAM(100), 9)).to.equal('100');
+      expect(formatUnits(web3, new BN(1), 9)).to.equal('0.000000001');
+      expect(formatUnits(web3, $HAM(1.5), 9)).to.equal('1.5');
+      expect(formatUnits(web3, new BN(123), 0)).to.equal('123');
+    });
+  });
+
+  describe('formatDuration', function () {
+    it('should format seconds', async function () {
+      expect(formatDuration(0)).to.equal('0s');
+      expect(formatDuration(90061)).to.equal('1d 1h 1m 1s');
+      expect(formatDuration(3600)).to.equal('1h');
+    });
+  });
+
+  describe('when nothing is locked or staked', function () {
+    it('should report an empty geyser', async function () {
+      const s = await inspectGeyser(web3, dist.address);
+      expect(s.stakingToken).to.equal(ham.address);
+      expect(s.distributionToken).to.equal(ham.address);
+      expect(s.totalLocked).to.equal('0');
+      expect(s.totalUnlocked).to.equal('0');
+      expect(s.totalStaked).to.equal('0');
+      expect(s.unlockSchedules).to.deep.equal([]);
+      expect(s.paused).to.equal(false);
+      expect(s.admin).to.equal(owner);
+      expect(s.pauser).to.equal(constants.ZERO_ADDRESS);
+      expect(s.successor).to.equal(constants.ZERO_ADDRESS);
+      expect(s.extraDistributions).to.deep.equal([]);
+      expect(s.accounting).to.be.undefined;
+    });
+  });
+
+  describe('when tokens are locked and staked', function () {
+    const timeController = new TimeController();
+    beforeEach(async function () {
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await timeController.initialize();
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await timeController.advanceTime(ONE_YEAR / 4);
+      await dist.updateAccounting({ from: anotherAccount });
+    });
+
+    it('should report the global state', async function () {
+      const s = await inspectGeyser(web3, dist.address);
+      expect(s.totalLocked).to.equal((await dist.totalLocked.call()).toString());
+      expect(s.totalUnlocked).to.equal((await dist.totalUnlocked.call()).toString());
+      expect(s.totalStaked).to.equal($HAM(50).toString());
+      expect(s.totalStakingShares).to.equal((await dist.totalStakingShares.call()).toString());
+      expect(s.totalLockedShares).to.equal((await dist.totalLockedShares.call()).toString());
+      expect(s.stakingDecimals).to.equal(9);
+      expect(s.distributionDecimals).to.equal(9);
+    });
+
+    it('should report the unlock schedules', async function () {
+      const s = await inspectGeyser(web3, dist.address);
+      expect(s.unlockSchedules.length).to.equal(1);
+      const schedule = s.unlockSchedules[0];
+      const onChain = await dist.unlockSchedules.call(0);
+      expect(schedule.initialLockedShares).to.equal(onChain[0].toString());
+      expect(schedule.unlockedShares).to.equal(onChain[1].toString());
+      expect(schedule.endAtSec).to.equal(onChain[3].toString());
+      expect(schedule.percentComplete).to.be.at.least(24.9).and.at.most(25.1);
+      expect(schedule.remainingSec).to.equal(onChain[3].toNumber() - s.timestamp);
+    });
+
+    it('should report the accounting for a user', async function () {
+      const s = await inspectGeyser(web3, dist.address, { user: anotherAccount });
+      const r = await dist.updateAccounting.call({ from: anotherAccount });
+      expect(s.accounting.user).to.equal(anotherAccount);
+      expect(s.accounting.totalLocked).to.equal(r[0].toString());
+      expect(s.accounting.totalUnlocked).to.equal(r[1].toString());
+      expect(new BN(s.accounting.userRewards)).to.be.bignumber.at.least($HAM(24.9)).and.bignumber.at.most($HAM(25.1));
+    });
+
+    it('should produce JSON output', async function () {
+      const s = await inspectGeyser(web3, dist.address, { user: anotherAccount });
+      expect(JSON.parse(JSON.stringify(s))).to.deep.equal(s);
+    });
+
+    it('should produce human readable output', async function () {
+      const s = await inspectGeyser(web3, dist.address, { user: anotherAccount });
+      const text = formatStatus(web3, s);
+      expect(text).to.include(`Geyser ${dist.address}`);
+      expect(text).to.include('Total staked:          50');
+      expect(text).to.include('Paused:                no');
+      expect(text).to.include('Unlock schedules (1)');
+      expect(text).to.include(`Accounting for ${anotherAccount}`);
+    });
+  });
+
+  describe('when a schedule has finished', function () {
+    it('should report it as complete', async function () {
+      await dist.lockTokens($HAM(100), 3600);
+      const timeController = new TimeController();
+      await timeController.initialize();
+      // Unlocking would retire the schedule.
+      await timeController.advanceTime(7200);
+      const s = await inspectGeyser(web3, dist.address);
+      expect(s.unlockSchedules[0].percentComplete).to.equal(100);
+      expect(s.unlockSchedules[0].remainingSec).to.equal(0);
+      expect(formatStatus(web3, s)).to.include('#0 linear, 100% complete, finished');
+    });
+  });
+
+  describe('when the geyser predates the upgrades', function () {
+    const timeController = new TimeController();
+    let v1;
+    beforeEach(async function () {
+      v1 = await TokenGeyserV1.new(ham.address, ham.address, 10, 50, 86400, InitialSharesPerToken);
+      await ham.approve(v1.address, $HAM(50000), { from: anotherAccount });
+      await ham.approve(v1.address, $HAM(50000), { from: owner });
+      await v1.lockTokens($HAM(100), ONE_YEAR);
+      await timeController.initialize();
+      await v1.stake($HAM(50), [], { from: anotherAccount });
+      await timeController.advanceTime(ONE_YEAR / 4);
+    });
+
+    it('should report the methods it lacks as null', async function () {
+      const s = await inspectGeyser(web3, v1.address);
+      expect(s.totalStaked).to.equal($HAM(50).toString());
+      expect(s.paused).to.be.null;
+      expect(s.pauser).to.be.null;
+      expect(s.successor).to.be.null;
+      expect(s.predecessor).to.be.null;
+      expect(s.receiptToken).to.be.null;
+      expect(s.extraDistributions).to.deep.equal([]);
+    });
+    it('should report the owner as the admin and the funder', async function () {
+      const s = await inspectGeyser(web3, v1.address);
+      expect(s.admin).to.equal(owner);
+      expect(s.funder).to.equal(owner);
+    });
+    it('should report the unlock schedules as linear and without a cliff', async function () {
+      const s = await inspectGeyser(web3, v1.address);
+      expect(s.unlockSchedules.length).to.equal(1);
+      const schedule = s.unlockSchedules[0];
+      const onChain = await v1.unlockSchedules.call(0);
+      expect(schedule.initialLockedShares).to.equal(onChain[0].toString());
+      expect(schedule.endAtSec).to.equal(onChain[3].toString());
+      expect(schedule.durationSec).to.equal(`${ONE_YEAR}`);
+      expect(schedule.cliffAtSec).to.equal(schedule.startAtSec);
+      expect(schedule.curve).to.equal('linear');
+      expect(schedule.percentComplete).to.be.at.least(24.9).and.at.most(25.1);
+    });
+    it('should report the accounting for a user', async function () {
+      const s = await inspectGeyser(web3, v1.address, { user: anotherAccount });
+      expect(new BN(s.accounting.userRewards)).to.be.bignumber.at.least($HAM(24.9)).and.bignumber.at.most($HAM(25.1));
+    });
+    it('should leave what it lacks out of the human readable output', async function () {
+      const text = formatStatus(web3, await inspectGeyser(web3, v1.address));
+      expect(text).to.include(`Admin:                 ${owner}`);
+      expect(text).to.include('#0 linear, ');
+      expect(text).to.not.include('Paused:');
+      expect(text).to.not.include('Successor:');
+    });
+  });
+});
@@ -0,0 +1,228 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, expectEvent, constants } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  checkHamAprox,
+  invokeRebase,
+  TimeController,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const MockRevertingERC20 = contract.fromArtifact('MockRevertingERC20');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_HOUR = 3600;
+
+let ham, dist, nextDist, owner, anotherAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  const startBonus = 50; // 50%
+  const bonusPeriod = 86400; // 1 Day
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, startBonus, bonusPeriod,
+    InitialSharesPerToken);
+  nextDist = await TokenGeyser.new(ham.address, ham.address, 10, startBonus, bonusPeriod,
+    InitialSharesPerToken);
+
+  await ham.transfer(anotherAccount, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+  await ham.approve(nextDist.address, $HAM(50000), { from: owner });
+}
+
+function claimedAmount (r) {
+  return r.logs.filter(l => l.event === 'TokensClaimed')[0].args.amount;
+}
+
+describe('migration', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('setSuccessor', function () {
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        dist.setSuccessor(nextDist.address, { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should not accept a geyser with another staking token', async function () {
+      const other = await MockRevertingERC20.new($HAM(1));
+      const otherDist = await TokenGeyser.new(other.address, ham.address, 10, 50, 86400,
+        InitialSharesPerToken);
+      await expectRevert(
+        dist.setSuccessor(otherDist.address),
+        'TokenGeyser: successor has a different staking token'
+      );
+    });
+    it('should set the successor and log SuccessorChanged', async function () {
+      expect(await dist.successor.call()).to.equal(constants.ZERO_ADDRESS);
+      const r = await dist.setSuccessor(nextDist.address);
+      expectEvent(r, 'SuccessorChanged', {
+        previousSuccessor: constants.ZERO_ADDRESS,
+        newSuccessor: nextDist.address
+      });
+      expect(await dist.successor.call()).to.equal(nextDist.address);
+    });
+    it('should allow to remove the successor', async function () {
+      await dist.setSuccessor(nextDist.address);
+      await dist.setSuccessor(constants.ZERO_ADDRESS);
+      expect(await dist.successor.call()).to.equal(constants.ZERO_ADDRESS);
+    });
+  });
+
+  describe('setPredecessor', function () {
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        nextDist.setPredecessor(dist.address, { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should set the predecessor and log PredecessorChanged', async function () {
+      const r = await nextDist.setPredecessor(dist.address);
+      expectEvent(r, 'PredecessorChanged', {
+        previousPredecessor: constants.ZERO_ADDRESS,
+        newPredecessor: dist.address
+      });
+      expect(await nextDist.predecessor.call()).to.equal(dist.address);
+    });
+  });
+
+  describe('migrate', function () {
+    it('should fail without a successor', async function () {
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await expectRevert(
+        dist.migrate({ from: anotherAccount }),
+        'TokenGeyser: no successor'
+      );
+    });
+    it('should fail without a stake', async function () {
+      await dist.setSuccessor(nextDist.address);
+      await expectRevert(
+        dist.migrate({ from: anotherAccount }),
+        'TokenGeyser: no stake to migrate'
+      );
+    });
+
+    describe('when the user has staked many times', function () {
+      // Start bonus = 50%, Bonus Period = 1 Day.
+      // 100 hams locked for 1 hour in the old geyser and 1000 hams in the new one.
+      // user stakes 50 hams, then 50 hams 12 hours later, and migrates another 12 hours later,
+      // claiming 2/3 * 100 with the full bonus and 1/3 * 100 with a 75% bonus ~ 91.67 hams.
+      const timeController = new TimeController();
+      beforeEach(async function () {
+        await dist.lockTokens($HAM(100), ONE_HOUR);
+        await nextDist.lockTokens($HAM(1000), ONE_HOUR);
+        await dist.setSuccessor(nextDist.address);
+        await timeController.initialize();
+        await dist.stake($HAM(50), [], { from: anotherAccount });
+        await timeController.advanceTime(12 * ONE_HOUR);
+        await dist.stake($HAM(50), [], { from: anotherAccount });
+        await timeController.advanceTime(12 * ONE_HOUR);
+      });
+      it('should move the stake to the successor', async function () {
+        await nextDist.setPredecessor(dist.address);
+        await dist.migrate({ from: anotherAccount });
+        expect(await dist.totalStaked.call()).to.be.bignumber.equal($HAM(0));
+        expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(0));
+        expect(await dist.totalStakingShares.call()).to.be.bignumber.equal($HAM(0));
+        expect(await nextDist.totalStaked.call()).to.be.bignumber.equal($HAM(100));
+        expect(await nextDist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(100));
+      });
+      it('should pay the rewards earned so far', async function () {
+        await nextDist.setPredecessor(dist.address);
+        const _b = await ham.balanceOf.call(anotherAccount);
+        const r = await dist.migrate({ from: anotherAccount });
+        checkHamAprox(claimedAmount(r), 91.6666);
+        const b = await ham.balanceOf.call(anotherAccount);
+        checkHamAprox(b.sub(_b), 91.6666);
+      });
+      it('should log StakeMigrated and return the migrated amount', async function () {
+        await nextDist.setPredecessor(dist.address);
+        expect(await dist.migrate.call({ from: anotherAccount })).to.be.bignumber.equal($HAM(100));
+        const r = await dist.migrate({ from: anotherAccount });
+        expectEvent(r, 'StakeMigrated', {
+          user: anotherAccount,
+          successor: nextDist.address,
+          amount: $HAM(100)
+        });
+      });
+      it('should keep the time-bonus of every stake', async function () {
+        // After 1 more hour, the stakes are 25 and 13 hours old.
+        // user unstakes 500 * 100% + 500 * 77% = 885 hams of rewards.
+        await nextDist.setPredecessor(dist.address);
+        await dist.migrate({ from: anotherAccount });
+        await timeController.advanceTime(ONE_HOUR);
+        const r = await nextDist.unstake($HAM(100), [], { from: anotherAccount });
+        checkHamAprox(claimedAmount(r), 885);
+      });
+      it('should restart the time-bonus when the successor does not know the geyser', async function () {
+        // Both stakes are 1 hour old, user unstakes 1000 * 52% = 520 hams of rewards.
+        await dist.migrate({ from: anotherAccount });
+        await timeController.advanceTime(ONE_HOUR);
+        const r = await nextDist.unstake($HAM(100), [], { from: anotherAccount });
+        checkHamAprox(claimedAmount(r), 520);
+      });
+    });
+
+    describe('when a stake is too small to mint shares in the successor', function () {
+      // The successor mints 1 share per token, and after a 50% rebase 1 share per 1.5 tokens, so a
+      // stake of 1 token unit (1.5 after the rebase) mints no shares on its own.
+      const timeController = new TimeController();
+      let smallDist, stakedAt;
+      beforeEach(async function () {
+        smallDist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400, 1);
+        await ham.approve(smallDist.address, $HAM(1000), { from: owner });
+        await smallDist.stake($HAM(1000), []);
+        await smallDist.setPredecessor(dist.address);
+        await dist.setSuccessor(smallDist.address);
+        await timeController.initialize();
+        await dist.stake(1, [], { from: anotherAccount });
+        await timeController.advanceTime(ONE_HOUR);
+        const r = await dist.stake($HAM(50), [], { from: anotherAccount });
+        stakedAt = (await web3.eth.getBlock(r.receipt.blockNumber)).timestamp;
+        await invokeRebase(ham, 50);
+      });
+      it('should merge it into the next stake', async function () {
+        const staked = await dist.totalStakedFor.call(anotherAccount);
+        const r = await dist.migrate({ from: anotherAccount });
+        expectEvent(r, 'StakeMigrated', { user: anotherAccount, amount: staked });
+        const events = await smallDist.getPastEvents('Staked', { fromBlock: r.receipt.blockNumber });
+        expect(events.length).to.equal(1);
+        expect(events[0].returnValues.amount).to.equal(staked.toString());
+        expect(events[0].returnValues.data).to.equal(web3.eth.abi.encodeParameter('uint256', stakedAt));
+        expect(await smallDist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal(staked);
+      });
+    });
+  });
+
+  describe('stakeFor with a timestamp', function () {
+    it('should be ignored when not called by the predecessor', async function () {
+      // user backdates the stake by a day, but still gets 1000 * 52% = 520 hams of rewards.
+      await nextDist.lockTokens($HAM(1000), ONE_HOUR);
+      await nextDist.setPredecessor(dist.address);
+      await ham.approve(nextDist.address, $HAM(50), { from: anotherAccount });
+      const timeController = new TimeController();
+      await timeController.initialize();
+      const data = web3.eth.abi.encodeParameter('uint256', timeController.currentTime.subn(86400).toString());
+      await nextDist.stakeFor(anotherAccount, $HAM(50), data, { from: anotherAccount });
+      await timeController.advanceTime(ONE_HOUR);
+      const r = await nextDist.unstake($HAM(50), [], { from: anotherAccount });
+      checkHamAprox(claimedAmount(r), 520);
+    });
+  });
+});
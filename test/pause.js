@@ -0,0 +1,167 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, expectEvent } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  checkHamAprox,
+  TimeController,
+  linkGeyser,
+  Role,
+  grantRole
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_YEAR = 1 * 365 * 24 * 3600;
+
+let ham, dist, owner, anotherAccount, pauser;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  pauser = web3.utils.toChecksumAddress(accounts[7]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400,
+    InitialSharesPerToken);
+
+  await ham.transfer(anotherAccount, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+}
+
+describe('pausing', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('pause', function () {
+    beforeEach(async function () {
+      await grantRole(dist, Role.Pauser, pauser);
+    });
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        dist.pause({ from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should be callable by the admin', async function () {
+      const r = await dist.pause();
+      expectEvent(r, 'Paused', { account: owner });
+      expect(await dist.paused.call()).to.equal(true);
+    });
+    it('should be callable by the pauser', async function () {
+      const r = await dist.pause({ from: pauser });
+      expectEvent(r, 'Paused', { account: pauser });
+      expect(await dist.paused.call()).to.equal(true);
+    });
+    it('should not be callable by a revoked pauser', async function () {
+      await dist.revokeRole(Role.Pauser);
+      await expectRevert(
+        dist.pause({ from: pauser }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should fail when already paused', async function () {
+      await dist.pause();
+      await expectRevert(dist.pause(), 'TokenGeyser: paused');
+    });
+  });
+
+  describe('unpause', function () {
+    beforeEach(async function () {
+      await grantRole(dist, Role.Pauser, pauser);
+      await dist.pause({ from: pauser });
+    });
+    it('should not be callable by the pauser', async function () {
+      await expectRevert(
+        dist.unpause({ from: pauser }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should be callable by the admin', async function () {
+      const r = await dist.unpause();
+      expectEvent(r, 'Unpaused', { account: owner });
+      expect(await dist.paused.call()).to.equal(false);
+    });
+    it('should fail when not paused', async function () {
+      await dist.unpause();
+      await expectRevert(dist.unpause(), 'TokenGeyser: not paused');
+    });
+    it('should allow staking and locking again', async function () {
+      await dist.unpause();
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await dist.stakeFor(anotherAccount, $HAM(50), []);
+      expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(100));
+      expect(await dist.totalLocked.call()).to.be.bignumber.equal($HAM(100));
+    });
+  });
+
+  describe('when paused', function () {
+    // 100 hams locked for 1 year, user stakes 50 hams, geyser is paused after 1/2 year.
+    // the stake keeps earning rewards and can be withdrawn while paused.
+    const timeController = new TimeController();
+    beforeEach(async function () {
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await timeController.initialize();
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await timeController.advanceTime(ONE_YEAR / 2);
+      await dist.pause();
+    });
+    it('should not allow to stake', async function () {
+      await expectRevert(
+        dist.stake($HAM(50), [], { from: anotherAccount }),
+        'TokenGeyser: paused'
+      );
+    });
+    it('should not allow to stakeFor', async function () {
+      await expectRevert(
+        dist.stakeFor(anotherAccount, $HAM(50), []),
+        'TokenGeyser: paused'
+      );
+    });
+    it('should not allow to lock tokens', async function () {
+      await expectRevert(
+        dist.lockTokens($HAM(100), ONE_YEAR),
+        'TokenGeyser: paused'
+      );
+    });
+    it('should allow to update accounting and unlock tokens', async function () {
+      await timeController.advanceTime(ONE_YEAR / 2);
+      await dist.unlockTokens();
+      await dist.updateAccounting({ from: anotherAccount });
+      checkHamAprox(await dist.totalUnlocked.call(), 100);
+      checkHamAprox(await dist.totalLocked.call(), 0);
+    });
+    it('should allow to unstake with rewards', async function () {
+      const _b = await ham.balanceOf.call(anotherAccount);
+      const r = await dist.unstake($HAM(50), [], { from: anotherAccount });
+      expectEvent(r, 'Unstaked', { user: anotherAccount, amount: $HAM(50) });
+      const b = await ham.balanceOf.call(anotherAccount);
+      checkHamAprox(b.sub(_b), 100);
+    });
+    it('should allow to query unstake', async function () {
+      checkHamAprox(await dist.unstakeQuery.call($HAM(50), { from: anotherAccount }), 50);
+    });
+    it('should allow to claim', async function () {
+      const r = await dist.claim({ from: anotherAccount });
+      checkHamAprox(r.logs.filter(l => l.event === 'TokensClaimed')[0].args.amount, 50);
+      expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(50));
+    });
+    it('should allow to withdraw in an emergency', async function () {
+      await dist.emergencyUnstake({ from: anotherAccount });
+      expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(0));
+    });
+  });
+});
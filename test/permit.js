@@ -0,0 +1,146 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, expectEvent, time, constants } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const { permitTypedData, permitDigest, domainSeparator, signPermit } = _require('/util/permit');
+const {
+  $HAM,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const MockPermitERC20 = contract.fromArtifact('MockPermitERC20');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_HOUR = 3600;
+
+let token, dist, owner, anotherAccount, thirdAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  thirdAccount = web3.utils.toChecksumAddress(accounts[7]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  token = await MockPermitERC20.new($HAM(100000), await web3.eth.getChainId());
+
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(token.address, token.address, 10, 50, 86400,
+    InitialSharesPerToken);
+
+  await token.transfer(anotherAccount, $HAM(50000));
+}
+
+async function deadlineIn (sec) {
+  return (await time.latest()).addn(sec);
+}
+
+describe('staking with permit', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('permit helpers', function () {
+    it('should compute the domain separator of the token', async function () {
+      const typedData = await permitTypedData(web3, token.address, anotherAccount, dist.address, $HAM(1), 0);
+      expect(domainSeparator(web3, typedData)).to.equal(await token.DOMAIN_SEPARATOR.call());
+    });
+    it('should read the nonce of the owner', async function () {
+      const deadline = await deadlineIn(ONE_HOUR);
+      const { v, r, s } = await signPermit(web3, token.address, anotherAccount, dist.address, $HAM(1), deadline);
+      await token.permit(anotherAccount, dist.address, $HAM(1), deadline, v, r, s);
+      const typedData = await permitTypedData(web3, token.address, anotherAccount, dist.address, $HAM(1), deadline);
+      expect(typedData.message.nonce).to.equal('1');
+    });
+    it('should produce distinct digests for distinct permits', async function () {
+      const a = await permitTypedData(web3, token.address, anotherAccount, dist.address, $HAM(1), 0);
+      const b = await permitTypedData(web3, token.address, anotherAccount, dist.address, $HAM(2), 0);
+      expect(permitDigest(web3, a)).to.not.equal(permitDigest(web3, b));
+    });
+  });
+
+  describe('stakeWithPermit', function () {
+    it('should stake without a prior approval', async function () {
+      expect(await token.allowance.call(anotherAccount, dist.address)).to.be.bignumber.equal($HAM(0));
+      const deadline = await deadlineIn(ONE_HOUR);
+      const { v, r, s } = await signPermit(web3, token.address, anotherAccount, dist.address, $HAM(100), deadline);
+      const tx = await dist.stakeWithPermit($HAM(100), deadline, v, r, s, { from: anotherAccount });
+      expectEvent(tx, 'Staked', {
+        user: anotherAccount,
+        amount: $HAM(100),
+        total: $HAM(100)
+      });
+      expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(100));
+      expect(await token.allowance.call(anotherAccount, dist.address)).to.be.bignumber.equal($HAM(0));
+      expect(await token.nonces.call(anotherAccount)).to.be.bignumber.equal('1');
+    });
+    it('should fail with a permit signed by someone else', async function () {
+      const deadline = await deadlineIn(ONE_HOUR);
+      const { v, r, s } = await signPermit(web3, token.address, owner, dist.address, $HAM(100), deadline);
+      await expectRevert(
+        dist.stakeWithPermit($HAM(100), deadline, v, r, s, { from: anotherAccount }),
+        'MockPermitERC20: invalid signature'
+      );
+    });
+    it('should fail with a permit for less than the amount', async function () {
+      const deadline = await deadlineIn(ONE_HOUR);
+      const { v, r, s } = await signPermit(web3, token.address, anotherAccount, dist.address, $HAM(50), deadline);
+      await expectRevert(
+        dist.stakeWithPermit($HAM(100), deadline, v, r, s, { from: anotherAccount }),
+        'MockPermitERC20: invalid signature'
+      );
+    });
+    it('should fail with an expired permit', async function () {
+      const deadline = await deadlineIn(ONE_HOUR);
+      const { v, r, s } = await signPermit(web3, token.address, anotherAccount, dist.address, $HAM(100), deadline);
+      await time.increase(2 * ONE_HOUR);
+      await expectRevert(
+        dist.stakeWithPermit($HAM(100), deadline, v, r, s, { from: anotherAccount }),
+        'MockPermitERC20: expired deadline'
+      );
+    });
+    it('should not accept a permit twice', async function () {
+      const deadline = await deadlineIn(ONE_HOUR);
+      const { v, r, s } = await signPermit(web3, token.address, anotherAccount, dist.address, $HAM(100), deadline);
+      await dist.stakeWithPermit($HAM(100), deadline, v, r, s, { from: anotherAccount });
+      await expectRevert(
+        dist.stakeWithPermit($HAM(100), deadline, v, r, s, { from: anotherAccount }),
+        'MockPermitERC20: invalid signature'
+      );
+    });
+    it('should stake when the permit was already submitted by someone else', async function () {
+      const deadline = await deadlineIn(ONE_HOUR);
+      const { v, r, s } = await signPermit(web3, token.address, anotherAccount, dist.address, $HAM(100), deadline);
+      await token.permit(anotherAccount, dist.address, $HAM(100), deadline, v, r, s, { from: thirdAccount });
+      await dist.stakeWithPermit($HAM(100), deadline, v, r, s, { from: anotherAccount });
+      expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(100));
+    });
+    it('should not need a permit when already approved', async function () {
+      await token.approve(dist.address, $HAM(100), { from: anotherAccount });
+      await dist.stakeWithPermit($HAM(100), 0, 0, constants.ZERO_BYTES32, constants.ZERO_BYTES32,
+        { from: anotherAccount });
+      expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(100));
+      expect(await token.nonces.call(anotherAccount)).to.be.bignumber.equal('0');
+    });
+    it('should fail when paused', async function () {
+      const deadline = await deadlineIn(ONE_HOUR);
+      const { v, r, s } = await signPermit(web3, token.address, anotherAccount, dist.address, $HAM(100), deadline);
+      await dist.pause();
+      await expectRevert(
+        dist.stakeWithPermit($HAM(100), deadline, v, r, s, { from: anotherAccount }),
+        'TokenGeyser: paused'
+      );
+    });
+    it('should fail when the staking token does not support permits', async function () {
+      const ham = await HamErc20.new();
+      await ham.initialize(owner);
+      const hamDist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400, InitialSharesPerToken);
+      await expectRevert.unspecified(
+        hamDist.stakeWithPermit($HAM(100), 0, 0, constants.ZERO_BYTES32, constants.ZERO_BYTES32)
+      );
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, expectEvent, BN, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  TimeController,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_YEAR = 1 * 365 * 24 * 3600;
+const ONE_HOUR = 3600;
+
+let ham, dist, owner, anotherAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  const startBonus = 50; // 50%
+  const bonusPeriod = 86400; // 1 Day
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, startBonus, bonusPeriod,
+    InitialSharesPerToken);
+
+  await ham.transfer(anotherAccount, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+}
+
+// The queries are compared with the mutating functions executed at exactly the queried time,
+// so they must match to the wei.
+describe('view queries', function () {
+  const timeController = new TimeController();
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('accountingQuery', function () {
+    // 100 hams locked for 1 year, user stakes 50 hams, owner stakes 150 hams a month later.
+    let lockedAt;
+    beforeEach(async function () {
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await timeController.initialize();
+      lockedAt = timeController.currentTime;
+      await timeController.advanceTime(ONE_HOUR);
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await timeController.advanceTime(ONE_YEAR / 12);
+      await dist.stake($HAM(150), []);
+    });
+    it('should fail for a time in the past', async function () {
+      const past = (await time.latest()).sub(new BN(1));
+      await expectRevert(
+        dist.accountingQuery.call(anotherAccount, past),
+        'TokenGeyser: timestamp is in the past'
+      );
+    });
+    it('should include the pending unlocks', async function () {
+      const t = timeController.currentTime.add(new BN(ONE_YEAR / 4));
+      const q = await dist.accountingQuery.call(anotherAccount, t);
+      const unlocked = $HAM(100).mul(t.sub(lockedAt)).div(new BN(ONE_YEAR));
+      expect(q[1].sub(unlocked).abs()).to.be.bignumber.lte('1');
+      expect(q[0].add(q[1])).to.be.bignumber.equal(await dist.totalLocked.call());
+      expect(q[5]).to.be.bignumber.equal(t);
+      expect(await dist.totalUnlocked.call()).to.be.bignumber.equal($HAM(0));
+    });
+    it('should match the accounting of a claim at that time', async function () {
+      await timeController.advanceTime(ONE_YEAR / 12);
+      await dist.claim({ from: anotherAccount });
+      const t = timeController.currentTime.add(new BN(ONE_YEAR / 4));
+      const q = await dist.accountingQuery.call(anotherAccount, t);
+      await timeController.advanceTime(ONE_YEAR / 4);
+      const r = await dist.claim({ from: anotherAccount });
+      expectEvent(r, 'TokensClaimed', { user: anotherAccount, amount: q[4] });
+      expect(await dist.totalLocked.call()).to.be.bignumber.equal(q[0]);
+      expect(await dist.totalUnlocked.call()).to.be.bignumber.equal(q[1].sub(q[4]));
+    });
+    it('should project the stakingShare-seconds', async function () {
+      const t = timeController.currentTime.add(new BN(ONE_YEAR / 12));
+      const q = await dist.accountingQuery.call(anotherAccount, t);
+      const userShares = $HAM(50).mul(new BN(InitialSharesPerToken));
+      const elapsed = t.sub(timeController.currentTime);
+      expect(q[2]).to.be.bignumber.equal(userShares.mul(elapsed.add(new BN(ONE_YEAR / 12))));
+      expect(q[3]).to.be.bignumber.equal(q[2].add($HAM(150).mul(new BN(InitialSharesPerToken)).mul(elapsed)));
+      expect(q[4]).to.be.bignumber.equal(q[1].mul(q[2]).div(q[3]));
+    });
+    it('should be the same as accountingQueryOf the first distribution token', async function () {
+      const t = timeController.currentTime.add(new BN(ONE_YEAR / 12));
+      const q = await dist.accountingQuery.call(anotherAccount, t);
+      const qOf = await dist.accountingQueryOf.call(ham.address, anotherAccount, t);
+      for (let i = 0; i < 6; i++) {
+        expect(qOf[i]).to.be.bignumber.equal(q[i]);
+      }
+    });
+  });
+
+  describe('unstakeQueryAt', function () {
+    // 100 hams locked for 1 year, user stakes 20 hams and, half a day later, 30 hams.
+    beforeEach(async function () {
+      await dist.lockTokens($HAM(100), ONE_YEAR);
+      await timeController.initialize();
+      await timeController.advanceTime(ONE_HOUR);
+      await dist.stake($HAM(20), [], { from: anotherAccount });
+      await timeController.advanceTime(12 * ONE_HOUR);
+      await dist.stake($HAM(30), [], { from: anotherAccount });
+    });
+    it('should fail for a time in the past', async function () {
+      const past = (await time.latest()).sub(new BN(1));
+      await expectRevert(
+        dist.unstakeQueryAt.call(anotherAccount, $HAM(10), past),
+        'TokenGeyser: timestamp is in the past'
+      );
+    });
+    it('should fail like unstake', async function () {
+      const t = timeController.currentTime.add(new BN(ONE_HOUR));
+      await expectRevert(
+        dist.unstakeQueryAt.call(anotherAccount, $HAM(0), t),
+        'TokenGeyser: unstake amount is zero'
+      );
+      await expectRevert(
+        dist.unstakeQueryAt.call(anotherAccount, $HAM(51), t),
+        'TokenGeyser: unstake amount is greater than total user stakes'
+      );
+      await expectRevert(
+        dist.unstakeQueryAt.call(owner, $HAM(1), t),
+        'TokenGeyser: unstake amount is greater than total user stakes'
+      );
+    });
+    it('should match the rewards of an unstake during the bonus period', async function () {
+      const t = timeController.currentTime.add(new BN(6 * ONE_HOUR));
+      const q = await dist.unstakeQueryAt.call(anotherAccount, $HAM(40), t);
+      await timeController.advanceTime(6 * ONE_HOUR);
+      const r = await dist.unstake($HAM(40), [], { from: anotherAccount });
+      expectEvent(r, 'TokensClaimed', { user: anotherAccount, amount: q });
+    });
+    it('should match the rewards of an unstake after the bonus period', async function () {
+      const t = timeController.currentTime.add(new BN(ONE_YEAR / 2));
+      const q = await dist.unstakeQueryAt.call(anotherAccount, $HAM(40), t);
+      await timeController.advanceTime(ONE_YEAR / 2);
+      const r = await dist.unstake($HAM(40), [], { from: anotherAccount });
+      expectEvent(r, 'TokensClaimed', { user: anotherAccount, amount: q });
+    });
+    it('should match the rewards of an unstake after a claim', async function () {
+      await timeController.advanceTime(ONE_YEAR / 12);
+      await dist.claim({ from: anotherAccount });
+      const t = timeController.currentTime.add(new BN(ONE_YEAR / 12));
+      const q = await dist.unstakeQueryAt.call(anotherAccount, $HAM(50), t);
+      await timeController.advanceTime(ONE_YEAR / 12);
+      const r = await dist.unstake($HAM(50), [], { from: anotherAccount });
+      expectEvent(r, 'TokensClaimed', { user: anotherAccount, amount: q });
+    });
+    it('should not change any state', async function () {
+      const t = timeController.currentTime.add(new BN(ONE_YEAR / 2));
+      await dist.unstakeQueryAt(anotherAccount, $HAM(50), t);
+      expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(50));
+      expect(await dist.totalUnlocked.call()).to.be.bignumber.equal($HAM(0));
+    });
+  });
+});
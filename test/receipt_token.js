@@ -0,0 +1,242 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, expectEvent, BN } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  invokeRebase,
+  checkHamAprox,
+  TimeController,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const GeyserReceiptToken = contract.fromArtifact('GeyserReceiptToken');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_YEAR = 1 * 365 * 24 * 3600;
+const ONE_HOUR = 3600;
+
+let ham, dist, receipt, owner, anotherAccount, thirdAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  thirdAccount = web3.utils.toChecksumAddress(accounts[7]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400,
+    InitialSharesPerToken);
+  receipt = await GeyserReceiptToken.new('Geyser HAM', 'gHAM', 15);
+  await receipt.transferOwnership(dist.address);
+
+  await ham.transfer(anotherAccount, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+}
+
+function $SHARES (x) {
+  return $HAM(x).mul(new BN(InitialSharesPerToken));
+}
+
+function claimedAmount (r) {
+  return r.logs.filter(l => l.event === 'TokensClaimed')[0].args.amount;
+}
+
+async function totalRewardsFor (account) {
+  return (await dist.updateAccounting.call({ from: account }))[4];
+}
+
+describe('receipt token', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('setReceiptToken', function () {
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        dist.setReceiptToken(receipt.address, { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should set the receipt token and log ReceiptTokenSet', async function () {
+      const r = await dist.setReceiptToken(receipt.address);
+      expectEvent(r, 'ReceiptTokenSet', { receiptToken: receipt.address });
+      expect(await dist.receiptToken.call()).to.equal(receipt.address);
+    });
+    it('should only be set once', async function () {
+      await dist.setReceiptToken(receipt.address);
+      await expectRevert(
+        dist.setReceiptToken(receipt.address),
+        'TokenGeyser: receipt token already set'
+      );
+    });
+    it('should fail once something is staked', async function () {
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await expectRevert(
+        dist.setReceiptToken(receipt.address),
+        'TokenGeyser: receipt token must be set before staking'
+      );
+    });
+    it('should fail for a receipt token not owned by the geyser', async function () {
+      const other = await GeyserReceiptToken.new('Geyser HAM', 'gHAM', 15);
+      await expectRevert(
+        dist.setReceiptToken(other.address),
+        'TokenGeyser: receipt token must be owned by the geyser and unminted'
+      );
+    });
+  });
+
+  describe('when not set', function () {
+    it('should stake without receipts', async function () {
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(50));
+      expect(await receipt.totalSupply.call()).to.be.bignumber.equal('0');
+    });
+  });
+
+  describe('when set', function () {
+    beforeEach(async function () {
+      await dist.setReceiptToken(receipt.address);
+    });
+
+    it('should mint receipts for the staking shares', async function () {
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await dist.stakeFor(thirdAccount, $HAM(25), []);
+      expect(await receipt.balanceOf.call(anotherAccount)).to.be.bignumber.equal($SHARES(50));
+      expect(await receipt.balanceOf.call(thirdAccount)).to.be.bignumber.equal($SHARES(25));
+      expect(await receipt.balanceOf.call(owner)).to.be.bignumber.equal('0');
+      expect(await receipt.totalSupply.call()).to.be.bignumber.equal(await dist.totalStakingShares.call());
+    });
+    it('should burn receipts on unstake', async function () {
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await dist.unstake($HAM(20), [], { from: anotherAccount });
+      expect(await receipt.balanceOf.call(anotherAccount)).to.be.bignumber.equal($SHARES(30));
+      await dist.emergencyUnstake({ from: anotherAccount });
+      expect(await receipt.balanceOf.call(anotherAccount)).to.be.bignumber.equal('0');
+      expect(await receipt.totalSupply.call()).to.be.bignumber.equal('0');
+    });
+    it('should not let others move staking shares', async function () {
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await expectRevert(
+        dist.transferStakingShares(anotherAccount, owner, $SHARES(50), { from: anotherAccount }),
+        'TokenGeyser: caller is not the receipt token'
+      );
+    });
+    it('should not transfer more than the balance', async function () {
+      await dist.stake($HAM(50), [], { from: anotherAccount });
+      await expectRevert(
+        receipt.transfer(thirdAccount, $SHARES(51), { from: anotherAccount }),
+        'ERC20: transfer amount exceeds balance'
+      );
+    });
+
+    describe('when receipts are transferred', function () {
+      // 100 hams locked for 1 year, userA stakes 50 hams, transfers half of the receipts to userB
+      // after 1/2 year. userB takes over 25 hams of the stake along with its share-seconds, so
+      // after 1 year both users are eligible for 50 hams.
+      const timeController = new TimeController();
+      beforeEach(async function () {
+        await dist.lockTokens($HAM(100), ONE_YEAR);
+        await timeController.initialize();
+        await dist.stake($HAM(50), [], { from: anotherAccount });
+        await timeController.advanceTime(ONE_YEAR / 2);
+        await receipt.transfer(thirdAccount, $SHARES(25), { from: anotherAccount });
+      });
+      it('should move the stake', async function () {
+        expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(25));
+        expect(await dist.totalStakedFor.call(thirdAccount)).to.be.bignumber.equal($HAM(25));
+        expect(await dist.totalStaked.call()).to.be.bignumber.equal($HAM(50));
+        expect(await receipt.balanceOf.call(thirdAccount)).to.be.bignumber.equal($SHARES(25));
+      });
+      it('should move the share-seconds with the shares', async function () {
+        const a = await dist.updateAccounting.call({ from: anotherAccount });
+        const b = await dist.updateAccounting.call({ from: thirdAccount });
+        expect(a[2]).to.be.bignumber.equal(b[2]);
+        expect(a[2].add(b[2])).to.be.bignumber.equal(a[3]);
+        await timeController.advanceTime(ONE_YEAR / 2);
+        await dist.updateAccounting({ from: anotherAccount });
+        checkHamAprox(await totalRewardsFor(anotherAccount), 50);
+        checkHamAprox(await totalRewardsFor(thirdAccount), 50);
+      });
+      it('should let the recipient unstake with the rewards', async function () {
+        await timeController.advanceTime(ONE_YEAR / 2);
+        const _b = await ham.balanceOf.call(thirdAccount);
+        const r = await dist.unstake($HAM(25), [], { from: thirdAccount });
+        checkHamAprox(claimedAmount(r), 50);
+        const b = await ham.balanceOf.call(thirdAccount);
+        checkHamAprox(b.sub(_b), 75);
+        expect(await receipt.balanceOf.call(thirdAccount)).to.be.bignumber.equal('0');
+      });
+      it('should log StakeTransferred', async function () {
+        const r = await receipt.transfer(thirdAccount, $SHARES(5), { from: anotherAccount });
+        expectEvent(r, 'Transfer', { from: anotherAccount, to: thirdAccount, value: $SHARES(5) });
+        await expectEvent.inTransaction(r.tx, TokenGeyser, 'StakeTransferred', {
+          from: anotherAccount,
+          to: thirdAccount,
+          stakingShares: $SHARES(5)
+        });
+      });
+      it('should keep the receipts unchanged by a rebase', async function () {
+        await invokeRebase(ham, 100);
+        expect(await receipt.balanceOf.call(thirdAccount)).to.be.bignumber.equal($SHARES(25));
+        expect(await dist.totalStakedFor.call(thirdAccount)).to.be.bignumber.equal($HAM(50));
+      });
+    });
+
+    describe('when receipts of a bonused stake are transferred', function () {
+      // Start bonus = 50%, Bonus Period = 1 Day.
+      // 1000 hams locked for 1 hour, userA stakes 500 hams, transfers all receipts to userB
+      // after 12 hours. userB unstakes after another 12 hours, with the stake 1 day old.
+      const timeController = new TimeController();
+      beforeEach(async function () {
+        await dist.lockTokens($HAM(1000), ONE_HOUR);
+        await timeController.initialize();
+        await dist.stake($HAM(500), [], { from: anotherAccount });
+        await timeController.advanceTime(12 * ONE_HOUR);
+        await receipt.transfer(thirdAccount, $SHARES(500), { from: anotherAccount });
+        await timeController.advanceTime(12 * ONE_HOUR);
+      });
+      it('should keep the time-bonus of the stake', async function () {
+        const r = await dist.unstake($HAM(500), [], { from: thirdAccount });
+        checkHamAprox(claimedAmount(r), 1000);
+      });
+      it('should leave nothing to the sender', async function () {
+        expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal('0');
+        const r = await dist.claim({ from: anotherAccount });
+        checkHamAprox(claimedAmount(r), 0);
+      });
+    });
+
+    describe('when the sender has many stakes', function () {
+      // userA stakes 30 hams, then 20 hams a day later, and transfers 30 hams worth of receipts:
+      // the latest stake moves first, then 10 hams of the earlier one.
+      const timeController = new TimeController();
+      beforeEach(async function () {
+        await dist.lockTokens($HAM(1000), ONE_HOUR);
+        await timeController.initialize();
+        await dist.stake($HAM(30), [], { from: anotherAccount });
+        await timeController.advanceTime(24 * ONE_HOUR);
+        await dist.stake($HAM(20), [], { from: anotherAccount });
+        await receipt.transfer(thirdAccount, $SHARES(30), { from: anotherAccount });
+      });
+      it('should move the most recent stakes first', async function () {
+        expect(await dist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(20));
+        expect(await dist.totalStakedFor.call(thirdAccount)).to.be.bignumber.equal($HAM(30));
+        // Almost all share-seconds are of the earlier stake, of which the sender keeps 20 hams
+        // and the recipient gets 10.
+        const a = await dist.updateAccounting.call({ from: anotherAccount });
+        const b = await dist.updateAccounting.call({ from: thirdAccount });
+        expect(a[2].muln(100).div(b[2]).toNumber()).to.be.within(199, 201);
+      });
+    });
+  });
+});
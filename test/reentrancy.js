@@ -0,0 +1,100 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, BN } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const MockReentrantERC20 = contract.fromArtifact('MockReentrantERC20');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_YEAR = 1 * 365 * 24 * 3600;
+
+let ham, hook, owner;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+  hook = await MockReentrantERC20.new($HAM(100000));
+
+  await linkGeyser(TokenGeyser);
+}
+
+function newGeyser (stakingToken, distributionToken) {
+  return TokenGeyser.new(stakingToken.address, distributionToken.address, 10, 50, 86400,
+    InitialSharesPerToken);
+}
+
+describe('reentrancy', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('through the staking token', function () {
+    let dist;
+    beforeEach(async function () {
+      dist = await newGeyser(hook, ham);
+      await hook.approve(dist.address, $HAM(1000));
+    });
+
+    it('should not let a stake call back into stake', async function () {
+      await hook.setReentry(dist.address, dist.contract.methods.stake($HAM(1).toString(), '0x').encodeABI());
+      await expectRevert(
+        dist.stake($HAM(100), []),
+        'TokenGeyser: reentrant call'
+      );
+      expect(await dist.totalStakingShares.call()).to.be.bignumber.equal('0');
+    });
+    it('should not let an unstake call back into stake', async function () {
+      await dist.stake($HAM(100), []);
+      await hook.setReentry(dist.address, dist.contract.methods.stake($HAM(1).toString(), '0x').encodeABI());
+      await expectRevert(
+        dist.unstake($HAM(50), []),
+        'TokenGeyser: reentrant call'
+      );
+      expect(await dist.totalStakedFor.call(owner)).to.be.bignumber.equal($HAM(100));
+    });
+    it('should mint the shares once for a stake', async function () {
+      await dist.stake($HAM(100), []);
+      expect(await dist.totalStakingShares.call()).to.be.bignumber.equal(
+        $HAM(100).mul(new BN(InitialSharesPerToken)));
+    });
+  });
+
+  describe('through the distribution token', function () {
+    let dist;
+    beforeEach(async function () {
+      dist = await newGeyser(ham, hook);
+      await hook.approve(dist.address, $HAM(1000));
+    });
+
+    it('should not let a lock call back into donate', async function () {
+      await hook.setReentry(dist.address,
+        dist.contract.methods.donate(hook.address, $HAM(1).toString()).encodeABI());
+      await expectRevert(
+        dist.lockTokens($HAM(100), ONE_YEAR),
+        'TokenGeyser: reentrant call'
+      );
+      expect(await dist.totalLocked.call()).to.be.bignumber.equal('0');
+    });
+    it('should not let a donation call back into donate', async function () {
+      await hook.setReentry(dist.address,
+        dist.contract.methods.donate(hook.address, $HAM(1).toString()).encodeABI());
+      await expectRevert(
+        dist.donate(hook.address, $HAM(100)),
+        'TokenGeyser: reentrant call'
+      );
+      expect(await dist.totalUnlocked.call()).to.be.bignumber.equal('0');
+    });
+  });
+});
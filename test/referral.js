@@ -0,0 +1,167 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectEvent, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const { encodeReferralCode, decodeReferralCode, formatReferrals } = _require('/util/referrals');
+const {
+  $HAM,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_YEAR = 1 * 365 * 24 * 3600;
+
+let ham, dist, owner, anotherAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400,
+    InitialSharesPerToken);
+
+  await ham.transfer(anotherAccount, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+}
+
+async function expectTotals (code, staked, unstaked) {
+  const totals = await dist.referralTotals.call(code);
+  expect(totals.staked).to.be.bignumber.equal(staked);
+  expect(totals.unstaked).to.be.bignumber.equal(unstaked);
+}
+
+describe('referral codes', function () {
+  const partner = encodeReferralCode(web3, 'partner-1');
+  const other = encodeReferralCode(web3, 'partner-2');
+
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('encoding', function () {
+    it('should right-pad text to 32 bytes', function () {
+      expect(partner).to.equal(web3.utils.padRight(web3.utils.utf8ToHex('partner-1'), 64));
+      expect(decodeReferralCode(web3, partner)).to.equal('partner-1');
+    });
+    it('should keep hex codes', function () {
+      const code = web3.utils.padLeft('0x2a', 64);
+      expect(encodeReferralCode(web3, code)).to.equal(code);
+      expect(decodeReferralCode(web3, code)).to.equal(code);
+    });
+    it('should refuse codes longer than 32 bytes', function () {
+      expect(() => encodeReferralCode(web3, 'a'.repeat(33)))
+        .to.throw(`Referral code longer than 32 bytes: ${'a'.repeat(33)}`);
+    });
+    it('should not decode data of another length', function () {
+      expect(decodeReferralCode(web3, null)).to.equal(null);
+      expect(decodeReferralCode(web3, '0x')).to.equal(null);
+      expect(decodeReferralCode(web3, '0x1234')).to.equal(null);
+    });
+  });
+
+  describe('stake', function () {
+    it('should echo the code in the Staked event and tally it', async function () {
+      const r = await dist.stake($HAM(100), partner, { from: anotherAccount });
+      expectEvent(r, 'Staked', {
+        user: anotherAccount,
+        amount: $HAM(100),
+        total: $HAM(100),
+        data: partner
+      });
+      await expectTotals(partner, $HAM(100), $HAM(0));
+      await expectTotals(other, $HAM(0), $HAM(0));
+    });
+    it('should tally the stakes of every user with the same code', async function () {
+      await dist.stake($HAM(100), partner, { from: anotherAccount });
+      await dist.stake($HAM(50), partner);
+      await dist.stake($HAM(25), other);
+      await expectTotals(partner, $HAM(150), $HAM(0));
+      await expectTotals(other, $HAM(25), $HAM(0));
+    });
+    it('should echo other data without tallying it', async function () {
+      const r = await dist.stake($HAM(100), '0x1234', { from: anotherAccount });
+      expectEvent(r, 'Staked', { data: '0x1234' });
+      await expectTotals(web3.utils.padRight('0x1234', 64), $HAM(0), $HAM(0));
+    });
+  });
+
+  describe('stakeFor', function () {
+    it('should echo the code in the Staked event and tally it', async function () {
+      const r = await dist.stakeFor(anotherAccount, $HAM(100), partner);
+      expectEvent(r, 'Staked', {
+        user: anotherAccount,
+        amount: $HAM(100),
+        data: partner
+      });
+      await expectTotals(partner, $HAM(100), $HAM(0));
+    });
+  });
+
+  describe('unstake', function () {
+    beforeEach(async function () {
+      await dist.stake($HAM(100), partner, { from: anotherAccount });
+    });
+    it('should echo the code in the Unstaked event and tally it', async function () {
+      const r = await dist.unstake($HAM(40), other, { from: anotherAccount });
+      expectEvent(r, 'Unstaked', {
+        user: anotherAccount,
+        amount: $HAM(40),
+        total: $HAM(60),
+        data: other
+      });
+      await expectTotals(partner, $HAM(100), $HAM(0));
+      await expectTotals(other, $HAM(0), $HAM(40));
+    });
+  });
+
+  describe('when a stake is migrated', function () {
+    let nextDist;
+    beforeEach(async function () {
+      nextDist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400, InitialSharesPerToken);
+      await dist.setSuccessor(nextDist.address);
+      await nextDist.setPredecessor(dist.address);
+      await dist.stake($HAM(100), partner, { from: anotherAccount });
+      await time.increase(ONE_YEAR / 4);
+    });
+    it('should not tally the timestamp in the data as a code', async function () {
+      const { tx } = await dist.migrate({ from: anotherAccount });
+      const stakedAt = (await dist.getPastEvents('Staked', { fromBlock: 0 }))[0].blockNumber;
+      const data = web3.eth.abi.encodeParameter('uint256', (await web3.eth.getBlock(stakedAt)).timestamp);
+      await expectEvent.inTransaction(tx, TokenGeyser, 'Staked', {
+        user: anotherAccount,
+        amount: $HAM(100),
+        data: data
+      });
+      expect(await nextDist.totalStakedFor.call(anotherAccount)).to.be.bignumber.equal($HAM(100));
+      const totals = await nextDist.referralTotals.call(data);
+      expect(totals.staked).to.be.bignumber.equal($HAM(0));
+    });
+  });
+
+  describe('formatReferrals', function () {
+    it('should list the codes by staked amount', async function () {
+      const BN = web3.utils.BN;
+      const report = formatReferrals(web3, {
+        [other]: { staked: new BN(5), unstaked: new BN(0), stakes: 1, unstakes: 0 },
+        [partner]: { staked: new BN(30), unstaked: new BN(10), stakes: 2, unstakes: 1 }
+      });
+      expect(report).to.equal([
+        'Referral codes (2)',
+        '  partner-1: staked 30 in 2 stakes, unstaked 10 in 1 unstakes',
+        '  partner-2: staked 5 in 1 stakes, unstaked 0 in 0 unstakes'
+      ].join('\n'));
+    });
+  });
+});
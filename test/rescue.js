@@ -0,0 +1,242 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, expectEvent, constants, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const TokenPool = contract.fromArtifact('TokenPool');
+const MockRevertingERC20 = contract.fromArtifact('MockRevertingERC20');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_YEAR = 1 * 365 * 24 * 3600;
+const ONE_DAY = 24 * 3600;
+
+let ham, stray, dist, owner, anotherAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  // A token which has nothing to do with the geyser.
+  stray = await MockRevertingERC20.new($HAM(1000));
+
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400,
+    InitialSharesPerToken);
+
+  await ham.transfer(anotherAccount, $HAM(50000));
+  await ham.approve(dist.address, $HAM(50000), { from: anotherAccount });
+  await ham.approve(dist.address, $HAM(50000), { from: owner });
+}
+
+// The pools the geyser creates have no getter, so they are found from the transfers into them.
+async function transferredTo (r, from) {
+  const blockNumber = r.receipt.blockNumber;
+  const events = await ham.getPastEvents('Transfer', { fromBlock: blockNumber, toBlock: blockNumber });
+  return events.filter(e => e.args.from === from)[0].args.to;
+}
+
+describe('recovery', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('rescueFunds', function () {
+    it('should not be callable by others', async function () {
+      await stray.transfer(dist.address, $HAM(100));
+      await expectRevert(
+        dist.rescueFunds(constants.ZERO_ADDRESS, stray.address, anotherAccount, $HAM(100),
+          { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+
+    describe('from the geyser', function () {
+      it('should transfer the tokens', async function () {
+        await stray.transfer(dist.address, $HAM(100));
+        const r = await dist.rescueFunds(constants.ZERO_ADDRESS, stray.address, anotherAccount, $HAM(100));
+        expectEvent(r, 'FundsRescued', {
+          token: stray.address,
+          to: anotherAccount,
+          amount: $HAM(100)
+        });
+        expect(await stray.balanceOf.call(anotherAccount)).to.be.bignumber.equal($HAM(100));
+        expect(await stray.balanceOf.call(dist.address)).to.be.bignumber.equal($HAM(0));
+      });
+    });
+
+    describe('from the staking pool', function () {
+      let stakingPool;
+      beforeEach(async function () {
+        const r = await dist.stake($HAM(100), [], { from: anotherAccount });
+        stakingPool = await transferredTo(r, anotherAccount);
+        await stray.transfer(stakingPool, $HAM(100));
+      });
+      it('should transfer the stray tokens', async function () {
+        const r = await dist.rescueFunds(stakingPool, stray.address, owner, $HAM(100));
+        expectEvent(r, 'FundsRescued', {
+          token: stray.address,
+          to: owner,
+          amount: $HAM(100)
+        });
+        expect(await stray.balanceOf.call(stakingPool)).to.be.bignumber.equal($HAM(0));
+      });
+      it('should not touch the staked tokens', async function () {
+        await expectRevert(
+          dist.rescueFunds(stakingPool, ham.address, owner, $HAM(1)),
+          'TokenPool: Cannot claim token held by the contract'
+        );
+        expect(await dist.totalStaked.call()).to.be.bignumber.equal($HAM(100));
+      });
+      it('should only be callable through the geyser', async function () {
+        await expectRevert(
+          (await TokenPool.at(stakingPool)).rescueFunds(stray.address, owner, $HAM(100)),
+          'AccessRoles: caller does not have the role'
+        );
+      });
+    });
+
+    describe('from the distribution pools', function () {
+      let lockedPool, unlockedPool;
+      beforeEach(async function () {
+        const r = await dist.lockTokens($HAM(100), ONE_YEAR);
+        lockedPool = await transferredTo(r, owner);
+        await dist.stake($HAM(100), [], { from: anotherAccount });
+        await time.increase(ONE_YEAR / 2);
+        unlockedPool = await transferredTo(await dist.updateAccounting(), lockedPool);
+      });
+      it('should transfer the stray tokens', async function () {
+        await stray.transfer(lockedPool, $HAM(100));
+        await dist.rescueFunds(lockedPool, stray.address, owner, $HAM(100));
+        expect(await stray.balanceOf.call(lockedPool)).to.be.bignumber.equal($HAM(0));
+        expect(await stray.balanceOf.call(owner)).to.be.bignumber.equal($HAM(1000));
+      });
+      it('should not touch the locked or unlocked tokens', async function () {
+        const locked = await dist.totalLocked.call();
+        const unlocked = await dist.totalUnlocked.call();
+        await expectRevert(
+          dist.rescueFunds(lockedPool, ham.address, owner, $HAM(1)),
+          'TokenPool: Cannot claim token held by the contract'
+        );
+        await expectRevert(
+          dist.rescueFunds(unlockedPool, ham.address, owner, $HAM(1)),
+          'TokenPool: Cannot claim token held by the contract'
+        );
+        expect(await dist.totalLocked.call()).to.be.bignumber.equal(locked);
+        expect(await dist.totalUnlocked.call()).to.be.bignumber.equal(unlocked);
+      });
+    });
+  });
+
+  describe('reclaimTokens', function () {
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        dist.reclaimTokens(ham.address, owner, { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should fail for other tokens', async function () {
+      await expectRevert(
+        dist.reclaimTokens(stray.address, owner),
+        'TokenGeyser: not a distribution token'
+      );
+    });
+
+    describe('while a schedule is unlocking and users are staking', function () {
+      beforeEach(async function () {
+        await dist.lockTokens($HAM(100), ONE_YEAR);
+        await dist.stake($HAM(100), [], { from: anotherAccount });
+        await time.increase(ONE_YEAR / 2);
+        await dist.updateAccounting();
+      });
+      it('should have nothing to reclaim', async function () {
+        await expectRevert(
+          dist.reclaimTokens(ham.address, owner),
+          'TokenGeyser: no unallocated tokens'
+        );
+      });
+    });
+
+    describe('when every schedule has unlocked', function () {
+      // 100 hams locked for 1 day and fully unlocked to a staker, then 10 hams sent to the
+      // locked pool.
+      let lockedPool;
+      beforeEach(async function () {
+        const r = await dist.lockTokens($HAM(100), ONE_DAY);
+        lockedPool = await transferredTo(r, owner);
+        await dist.stake($HAM(100), [], { from: anotherAccount });
+        await time.increase(2 * ONE_DAY);
+        await dist.updateAccounting();
+        await ham.transfer(lockedPool, $HAM(10));
+      });
+      it('should leave the locked pool to the staker', async function () {
+        expect(await dist.totalLockedShares.call()).to.be.bignumber.equal('0');
+        const unlocked = await dist.totalUnlocked.call();
+        await expectRevert(
+          dist.reclaimTokens(ham.address, owner),
+          'TokenGeyser: no unallocated tokens'
+        );
+        await dist.updateAccounting();
+        expect(await dist.totalLocked.call()).to.be.bignumber.equal($HAM(0));
+        expect(await dist.totalUnlocked.call()).to.be.bignumber.equal(unlocked.add($HAM(10)));
+      });
+      it('should reclaim the locked pool once nothing is staked', async function () {
+        await dist.unstake($HAM(100), [], { from: anotherAccount });
+        await ham.transfer(lockedPool, $HAM(10));
+        const unlocked = await dist.totalUnlocked.call();
+        const r = await dist.reclaimTokens(ham.address, owner);
+        expectEvent(r, 'TokensReclaimed', {
+          lockedAmount: $HAM(10),
+          unlockedAmount: unlocked,
+          to: owner,
+          token: ham.address
+        });
+        expect(await dist.totalLocked.call()).to.be.bignumber.equal($HAM(0));
+        expect(await dist.totalUnlocked.call()).to.be.bignumber.equal($HAM(0));
+      });
+    });
+
+    describe('when nothing is staked', function () {
+      // 100 hams locked for 1 year, and a user who unstakes within the bonus period, leaving
+      // the forfeited bonus in the unlocked pool.
+      beforeEach(async function () {
+        await dist.lockTokens($HAM(100), ONE_YEAR);
+        await dist.stake($HAM(100), [], { from: anotherAccount });
+        await time.increase(ONE_DAY / 2);
+        await dist.unstake($HAM(100), [], { from: anotherAccount });
+      });
+      it('should reclaim the unlocked pool only', async function () {
+        const locked = await dist.totalLocked.call();
+        const unlocked = await dist.totalUnlocked.call();
+        expect(unlocked).to.be.bignumber.gt('0');
+        const r = await dist.reclaimTokens(ham.address, owner);
+        expectEvent(r, 'TokensReclaimed', {
+          lockedAmount: $HAM(0),
+          unlockedAmount: unlocked,
+          to: owner
+        });
+        expect(await dist.totalLocked.call()).to.be.bignumber.equal(locked);
+        expect(await dist.totalUnlocked.call()).to.be.bignumber.equal($HAM(0));
+      });
+      it('should leave the unlocked pool to a new staker', async function () {
+        await dist.stake($HAM(100), [], { from: anotherAccount });
+        await expectRevert(
+          dist.reclaimTokens(ham.address, owner),
+          'TokenGeyser: no unallocated tokens'
+        );
+      });
+    });
+  });
+});
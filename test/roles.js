@@ -0,0 +1,270 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { expectRevert, expectEvent, constants } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  linkGeyser,
+  Role,
+  grantRole
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+const TokenPool = contract.fromArtifact('TokenPool');
+const InitialSharesPerToken = 10 ** 6;
+
+const ONE_YEAR = 1 * 365 * 24 * 3600;
+
+let ham, dist, owner, funder, pauser, anotherAccount;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  funder = web3.utils.toChecksumAddress(accounts[6]);
+  pauser = web3.utils.toChecksumAddress(accounts[7]);
+  anotherAccount = web3.utils.toChecksumAddress(accounts[8]);
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, 10, 50, 86400,
+    InitialSharesPerToken);
+
+  await ham.transfer(funder, $HAM(1000));
+  await ham.approve(dist.address, $HAM(1000), { from: funder });
+  await ham.approve(dist.address, $HAM(1000), { from: owner });
+}
+
+describe('roles', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  it('should make the deployer the admin', async function () {
+    expect(await dist.roleHolder.call(Role.Admin)).to.equal(owner);
+    expect(await dist.roleHolder.call(Role.Funder)).to.equal(constants.ZERO_ADDRESS);
+    expect(await dist.roleHolder.call(Role.Pauser)).to.equal(constants.ZERO_ADDRESS);
+  });
+
+  describe('transferRole', function () {
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        dist.transferRole(Role.Funder, funder, { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should not be callable by the holder of another role', async function () {
+      await grantRole(dist, Role.Pauser, pauser);
+      await expectRevert(
+        dist.transferRole(Role.Pauser, anotherAccount, { from: pauser }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should only start the hand-over', async function () {
+      const r = await dist.transferRole(Role.Funder, funder);
+      expectEvent(r, 'RoleTransferStarted', {
+        role: `${Role.Funder}`,
+        holder: constants.ZERO_ADDRESS,
+        pendingHolder: funder
+      });
+      expect(await dist.roleHolder.call(Role.Funder)).to.equal(constants.ZERO_ADDRESS);
+      expect(await dist.pendingRoleHolder.call(Role.Funder)).to.equal(funder);
+      await expectRevert(
+        dist.lockTokens($HAM(100), ONE_YEAR, { from: funder }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should be cancelled with the zero address', async function () {
+      await dist.transferRole(Role.Funder, funder);
+      await dist.transferRole(Role.Funder, constants.ZERO_ADDRESS);
+      await expectRevert(
+        dist.acceptRole(Role.Funder, { from: funder }),
+        'AccessRoles: caller is not the pending holder'
+      );
+    });
+  });
+
+  describe('acceptRole', function () {
+    beforeEach(async function () {
+      await dist.transferRole(Role.Funder, funder);
+    });
+    it('should only be callable by the pending holder', async function () {
+      await expectRevert(
+        dist.acceptRole(Role.Funder, { from: anotherAccount }),
+        'AccessRoles: caller is not the pending holder'
+      );
+      await expectRevert(
+        dist.acceptRole(Role.Pauser, { from: funder }),
+        'AccessRoles: caller is not the pending holder'
+      );
+    });
+    it('should complete the hand-over', async function () {
+      const r = await dist.acceptRole(Role.Funder, { from: funder });
+      expectEvent(r, 'RoleTransferred', {
+        role: `${Role.Funder}`,
+        previousHolder: constants.ZERO_ADDRESS,
+        newHolder: funder
+      });
+      expect(await dist.roleHolder.call(Role.Funder)).to.equal(funder);
+      expect(await dist.pendingRoleHolder.call(Role.Funder)).to.equal(constants.ZERO_ADDRESS);
+      await dist.lockTokens($HAM(100), ONE_YEAR, { from: funder });
+      expect(await dist.totalLocked.call()).to.be.bignumber.equal($HAM(100));
+    });
+    it('should take the role from the previous holder', async function () {
+      await dist.acceptRole(Role.Funder, { from: funder });
+      await dist.transferRole(Role.Funder, anotherAccount);
+      await dist.acceptRole(Role.Funder, { from: anotherAccount });
+      await expectRevert(
+        dist.lockTokens($HAM(100), ONE_YEAR, { from: funder }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+  });
+
+  describe('revokeRole', function () {
+    beforeEach(async function () {
+      await grantRole(dist, Role.Pauser, pauser);
+    });
+    it('should not be callable by others', async function () {
+      await expectRevert(
+        dist.revokeRole(Role.Pauser, { from: pauser }),
+        'AccessRoles: caller does not have the role'
+      );
+    });
+    it('should take the role away and cancel the pending hand-over', async function () {
+      await dist.transferRole(Role.Pauser, anotherAccount);
+      const r = await dist.revokeRole(Role.Pauser);
+      expectEvent(r, 'RoleTransferred', {
+        role: `${Role.Pauser}`,
+        previousHolder: pauser,
+        newHolder: constants.ZERO_ADDRESS
+      });
+      expect(await dist.roleHolder.call(Role.Pauser)).to.equal(constants.ZERO_ADDRESS);
+      expect(await dist.pendingRoleHolder.call(Role.Pauser)).to.equal(constants.ZERO_ADDRESS);
+    });
+  });
+
+  describe('when the roles are handed out', function () {
+    beforeEach(async function () {
+      await grantRole(dist, Role.Funder, funder);
+      await grantRole(dist, Role.Pauser, pauser);
+    });
+
+    describe('the funder', function () {
+      it('should lock tokens', async function () {
+        await dist.lockTokens($HAM(100), ONE_YEAR, { from: funder });
+        await dist.lockTokensWithSchedule($HAM(100), ONE_YEAR, 0, 0, { from: funder });
+        expect(await dist.unlockScheduleCount.call()).to.be.bignumber.equal('2');
+      });
+      it('should not pause', async function () {
+        await expectRevert(
+          dist.pause({ from: funder }),
+          'AccessRoles: caller does not have the role'
+        );
+      });
+      it('should not call the admin functions', async function () {
+        await expectRevert(
+          dist.setStakingCaps($HAM(1000), 0, { from: funder }),
+          'AccessRoles: caller does not have the role'
+        );
+        await expectRevert(
+          dist.transferRole(Role.Funder, anotherAccount, { from: funder }),
+          'AccessRoles: caller does not have the role'
+        );
+      });
+    });
+
+    describe('the pauser', function () {
+      it('should pause', async function () {
+        await dist.pause({ from: pauser });
+        expect(await dist.paused.call()).to.equal(true);
+      });
+      it('should not lock tokens', async function () {
+        await expectRevert(
+          dist.lockTokens($HAM(100), ONE_YEAR, { from: pauser }),
+          'AccessRoles: caller does not have the role'
+        );
+      });
+      it('should not call the admin functions', async function () {
+        await dist.pause({ from: pauser });
+        await expectRevert(
+          dist.unpause({ from: pauser }),
+          'AccessRoles: caller does not have the role'
+        );
+        await expectRevert(
+          dist.setSuccessor(constants.ZERO_ADDRESS, { from: pauser }),
+          'AccessRoles: caller does not have the role'
+        );
+      });
+    });
+
+    describe('others', function () {
+      it('should call none of the functions guarded by a role', async function () {
+        await expectRevert(
+          dist.lockTokens($HAM(100), ONE_YEAR, { from: anotherAccount }),
+          'AccessRoles: caller does not have the role'
+        );
+        await expectRevert(
+          dist.pause({ from: anotherAccount }),
+          'AccessRoles: caller does not have the role'
+        );
+        await expectRevert(
+          dist.setAllowlistOnly(true, { from: anotherAccount }),
+          'AccessRoles: caller does not have the role'
+        );
+      });
+    });
+
+    describe('the admin', function () {
+      it('should also lock tokens and pause', async function () {
+        await dist.lockTokens($HAM(100), ONE_YEAR);
+        await dist.pause();
+        expect(await dist.paused.call()).to.equal(true);
+      });
+      it('should lose every role once handed over', async function () {
+        await grantRole(dist, Role.Admin, anotherAccount);
+        expect(await dist.roleHolder.call(Role.Admin)).to.equal(anotherAccount);
+        await expectRevert(
+          dist.lockTokens($HAM(100), ONE_YEAR),
+          'AccessRoles: caller does not have the role'
+        );
+        await expectRevert(
+          dist.transferRole(Role.Admin, owner),
+          'AccessRoles: caller does not have the role'
+        );
+        await dist.setStakingCaps($HAM(1000), 0, { from: anotherAccount });
+      });
+    });
+  });
+
+  describe('TokenPool', function () {
+    let pool;
+    beforeEach(async function () {
+      pool = await TokenPool.new(ham.address);
+      await ham.transfer(pool.address, $HAM(100));
+    });
+    it('should only let the admin transfer', async function () {
+      await expectRevert(
+        pool.transfer(anotherAccount, $HAM(100), { from: anotherAccount }),
+        'AccessRoles: caller does not have the role'
+      );
+      await pool.transfer(anotherAccount, $HAM(100));
+      expect(await ham.balanceOf.call(anotherAccount)).to.be.bignumber.equal($HAM(100));
+    });
+    it('should hand over the admin role in two steps', async function () {
+      await pool.transferRole(Role.Admin, anotherAccount);
+      await pool.transfer(owner, $HAM(50));
+      await pool.acceptRole(Role.Admin, { from: anotherAccount });
+      await expectRevert(
+        pool.transfer(owner, $HAM(50)),
+        'AccessRoles: caller does not have the role'
+      );
+      await pool.transfer(owner, $HAM(50), { from: anotherAccount });
+    });
+  });
+});
@@ -0,0 +1,290 @@
+const { contract, web3 } = require('@openzeppelin/test-environment');
+const { BN, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+
+const _require = require('app-root-path').require;
+const BlockchainCaller = _require('/util/blockchain_caller');
+const GeyserSimulator = _require('/util/geyser_simulator');
+const chain = new BlockchainCaller(web3);
+const {
+  $HAM,
+  invokeRebase,
+  linkGeyser
+} = _require('/test/helper');
+
+const HamErc20 = contract.fromArtifact('UFragments');
+const TokenGeyser = contract.fromArtifact('TokenGeyser');
+
+const ONE_DAY = 24 * 3600;
+const ONE_YEAR = 365 * ONE_DAY;
+const PARAMS = {
+  maxUnlockSchedules: 5,
+  startBonus: 33,
+  bonusPeriodSec: 30 * ONE_DAY,
+  initialSharesPerToken: 10 ** 6
+};
+// uFragments holds balances in gons, a fixed TOTAL_GONS of which make up the total supply.
+const MAX_UINT256 = new BN(2).pow(new BN(256)).subn(1);
+const INITIAL_FRAGMENTS_SUPPLY = new BN(50).mul(new BN(10).pow(new BN(6 + 9)));
+const TOTAL_GONS = MAX_UINT256.sub(MAX_UINT256.mod(INITIAL_FRAGMENTS_SUPPLY));
+const SCENARIO_SEEDS = [1, 7, 42, 1337, 65537, 2020];
+const OPS_PER_SCENARIO = 12;
+
+let ham, dist, sim, owner, users;
+async function setupContractAndAccounts () {
+  const accounts = await chain.getUserAccounts();
+  owner = web3.utils.toChecksumAddress(accounts[0]);
+  users = [owner, accounts[6], accounts[7], accounts[8]].map(a => web3.utils.toChecksumAddress(a));
+
+  ham = await HamErc20.new();
+  await ham.initialize(owner);
+  await ham.setMonetaryPolicy(owner);
+
+  await linkGeyser(TokenGeyser);
+  dist = await TokenGeyser.new(ham.address, ham.address, PARAMS.maxUnlockSchedules,
+    PARAMS.startBonus, PARAMS.bonusPeriodSec, PARAMS.initialSharesPerToken);
+  const receipt = await web3.eth.getTransactionReceipt(dist.transactionHash);
+  sim = new GeyserSimulator(Object.assign({ unitsPerToken: await gonsPerFragment() }, PARAMS),
+    await blockTimestamp(receipt.blockNumber));
+
+  for (const u of users.slice(1)) {
+    await ham.transfer(u, $HAM(100000));
+  }
+  for (const u of users) {
+    await ham.approve(dist.address, $HAM(1000000), { from: u });
+  }
+}
+
+async function gonsPerFragment () {
+  return TOTAL_GONS.div(await ham.totalSupply.call());
+}
+
+async function blockTimestamp (blockNumber) {
+  return new BN((await web3.eth.getBlock(blockNumber)).timestamp);
+}
+
+async function txTimestamp (r) {
+  return blockTimestamp(r.receipt.blockNumber);
+}
+
+// Small deterministic PRNG (mulberry32), so failing scenarios can be replayed by seed.
+function random (seed) {
+  let t = seed;
+  return function () {
+    t = (t + 0x6D2B79F5) | 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomInt (rand, min, max) {
+  return min + Math.floor(rand() * (max - min + 1));
+}
+
+async function checkState () {
+  expect(await dist.totalStaked.call()).to.be.bignumber.equal(sim.totalStaked());
+  expect(await dist.totalLocked.call()).to.be.bignumber.equal(sim.totalLocked());
+  expect(await dist.totalUnlocked.call()).to.be.bignumber.equal(sim.totalUnlocked());
+  expect(await dist.totalStakingShares.call()).to.be.bignumber.equal(sim.totalStakingShares);
+  expect(await dist.totalLockedShares.call()).to.be.bignumber.equal(sim.totalLockedShares);
+  expect(await dist.bonusParamsCount.call()).to.be.bignumber.equal(`${sim.bonusParamsHistory.length}`);
+
+  const count = (await dist.unlockScheduleCount.call()).toNumber();
+  expect(count).to.equal(sim.unlockScheduleCount());
+  for (let i = 0; i < count; i++) {
+    const s = await dist.unlockSchedules.call(i);
+    const e = sim.unlockSchedules[i];
+    expect(s[0]).to.be.bignumber.equal(e.initialLockedShares);
+    expect(s[1]).to.be.bignumber.equal(e.unlockedShares);
+    expect(s[2]).to.be.bignumber.equal(e.lastUnlockTimestampSec);
+    expect(s[3]).to.be.bignumber.equal(e.endAtSec);
+    expect(s[4]).to.be.bignumber.equal(e.durationSec);
+    expect(s[5]).to.be.bignumber.equal(e.cliffAtSec);
+    expect(s[6]).to.be.bignumber.equal(`${e.curve}`);
+  }
+
+  for (const u of users) {
+    expect(await dist.totalStakedFor.call(u)).to.be.bignumber.equal(sim.totalStakedFor(u));
+    // The returned tuple carries the timestamp it was evaluated at, so the model can be
+    // queried at exactly the same moment.
+    const r = await dist.updateAccounting.call({ from: u });
+    const e = sim.clone().updateAccounting(u, r[5]);
+    for (let i = 0; i < e.length; i++) {
+      expect(r[i]).to.be.bignumber.equal(e[i]);
+    }
+  }
+}
+
+async function runOperation (rand) {
+  const user = users[randomInt(rand, 0, users.length - 1)];
+  const op = randomInt(rand, 0, 10);
+  if (op === 0) {
+    // Schedules which have ended are retired before the limit is checked.
+    const latest = await time.latest();
+    const unfinished = sim.unlockSchedules.filter(s => s.endAtSec.gt(latest)).length;
+    if (unfinished >= PARAMS.maxUnlockSchedules) {
+      return;
+    }
+    const amount = $HAM(randomInt(rand, 1, 1000));
+    const duration = randomInt(rand, 3600, ONE_YEAR);
+    const kind = randomInt(rand, 0, 2);
+    if (kind === 0) {
+      const r = await dist.lockTokens(amount, duration);
+      sim.lockTokens(owner, amount, duration, await txTimestamp(r));
+    } else if (kind === 1) {
+      const startAt = latest.add(new BN(randomInt(rand, 0, 60 * ONE_DAY)));
+      const cliff = randomInt(rand, 0, duration);
+      const r = await dist.lockTokensWithSchedule(amount, duration, startAt, cliff);
+      sim.lockTokensWithSchedule(owner, amount, duration, startAt, cliff, await txTimestamp(r));
+    } else {
+      const startAt = latest.add(new BN(randomInt(rand, 0, 60 * ONE_DAY)));
+      const curve = randomInt(rand, 1, 2);
+      const n = randomInt(rand, 1, 4);
+      const offsets = [];
+      const fractions = [];
+      for (let i = 0; i < n; i++) {
+        offsets.push(randomInt(rand, i === 0 ? 1 : offsets[i - 1] + 1, duration - n + i));
+        fractions.push(randomInt(rand, i === 0 ? 0 : fractions[i - 1], 10000));
+      }
+      const r = await dist.lockTokensWithCurve(amount, duration, startAt, 0, curve, offsets, fractions);
+      sim.lockTokensWithCurve(owner, amount, duration, startAt, 0, curve, offsets, fractions,
+        await txTimestamp(r));
+    }
+  } else if (op === 1) {
+    const amount = $HAM(randomInt(rand, 1, 500));
+    const r = await dist.stake(amount, [], { from: user });
+    sim.stake(user, amount, await txTimestamp(r));
+  } else if (op === 2) {
+    const beneficiary = users[randomInt(rand, 0, users.length - 1)];
+    const amount = $HAM(randomInt(rand, 1, 500));
+    const r = await dist.stakeFor(beneficiary, amount, [], { from: user });
+    sim.stakeFor(user, beneficiary, amount, await txTimestamp(r));
+  } else if (op === 3) {
+    const amount = sim.totalStakedFor(user).mul(new BN(randomInt(rand, 1, 100))).div(new BN(100));
+    if (amount.lt($HAM(1))) {
+      return;
+    }
+    // Make sure some share-seconds exist, even if the stake happened in the previous block
+    await time.increase(1);
+    const r = await dist.unstake(amount, [], { from: user });
+    const reward = sim.unstake(user, amount, await txTimestamp(r));
+    const l = r.logs.filter(l => l.event === 'TokensClaimed')[0];
+    expect(l.args.amount).to.be.bignumber.equal(reward);
+  } else if (op === 4) {
+    const r = await dist.updateAccounting({ from: user });
+    sim.updateAccounting(user, await txTimestamp(r));
+  } else if (op === 5) {
+    // The pool balances are checked against the model's after every operation.
+    await invokeRebase(ham, randomInt(rand, -50, 100));
+    sim.rebase(await gonsPerFragment());
+  } else if (op === 6) {
+    await time.increase(1);
+    const r = await dist.claim({ from: user });
+    const reward = sim.claim(user, await txTimestamp(r));
+    const l = r.logs.filter(l => l.event === 'TokensClaimed')[0];
+    expect(l.args.amount).to.be.bignumber.equal(reward);
+  } else if (op === 7) {
+    if (sim.totalStakedFor(user).isZero()) {
+      return;
+    }
+    const r = await dist.emergencyUnstake({ from: user });
+    const amount = sim.emergencyUnstake(user, await txTimestamp(r));
+    const l = r.logs.filter(l => l.event === 'EmergencyUnstaked')[0];
+    expect(l.args.amount).to.be.bignumber.equal(amount);
+  } else if (op === 8) {
+    // Cancels the pending bonus params change if there is one, or else schedules one.
+    const latest = await time.latest();
+    const effectiveAtSec = sim.bonusParamsHistory[sim.bonusParamsHistory.length - 1].effectiveAtSec;
+    if (effectiveAtSec.gt(latest.addn(60))) {
+      const r = await dist.cancelBonusParams();
+      sim.cancelBonusParams(await txTimestamp(r));
+    } else if (effectiveAtSec.lte(latest)) {
+      const startBonus = randomInt(rand, 0, 100);
+      const bonusPeriod = randomInt(rand, 1, 60 * ONE_DAY);
+      const r = await dist.scheduleBonusParams(startBonus, bonusPeriod);
+      sim.scheduleBonusParams(startBonus, bonusPeriod, await txTimestamp(r));
+    }
+  } else if (op === 9) {
+    // Donates to a schedule which is still unlocking, or else to the unlocked pool.
+    const latest = await time.latest();
+    const unfinished = [];
+    sim.unlockSchedules.forEach((s, i) => {
+      if (s.endAtSec.gt(latest.addn(60))) unfinished.push(i);
+    });
+    const amount = $HAM(randomInt(rand, 1, 100));
+    if (unfinished.length > 0 && randomInt(rand, 0, 1) === 1) {
+      const s = unfinished[randomInt(rand, 0, unfinished.length - 1)];
+      const endAtSec = sim.unlockSchedules[s].endAtSec;
+      const r = await dist.donateToSchedule(ham.address, s, endAtSec, amount, { from: user });
+      const shares = sim.donateToSchedule(user, s, endAtSec, amount, await txTimestamp(r));
+      const l = r.logs.filter(l => l.event === 'TokensDonated')[0];
+      expect(l.args.lockedShares).to.be.bignumber.equal(shares);
+    } else {
+      const r = await dist.donate(ham.address, amount, { from: user });
+      sim.donate(user, amount, await txTimestamp(r));
+    }
+  } else {
+    await time.increase(randomInt(rand, 1, 60 * ONE_DAY));
+  }
+}
+
+describe('GeyserSimulator', function () {
+  beforeEach('setup contracts', async function () {
+    await setupContractAndAccounts();
+  });
+
+  describe('when replaying randomized scenarios', function () {
+    SCENARIO_SEEDS.forEach(function (seed) {
+      it(`should match the contract state (seed ${seed})`, async function () {
+        const rand = random(seed);
+        for (let i = 0; i < OPS_PER_SCENARIO; i++) {
+          await runOperation(rand);
+          await checkState();
+        }
+      });
+    });
+  });
+
+  describe('unstakeQuery', function () {
+    beforeEach(async function () {
+      const r1 = await dist.lockTokens($HAM(100), ONE_YEAR);
+      sim.lockTokens(owner, $HAM(100), ONE_YEAR, await txTimestamp(r1));
+      const r2 = await dist.stake($HAM(50), [], { from: users[1] });
+      sim.stake(users[1], $HAM(50), await txTimestamp(r2));
+      await time.increase(ONE_YEAR / 2);
+    });
+    it('should match the contract and not change the simulated state', async function () {
+      // A call runs at a timestamp which cannot be read back, so the query is sent as a
+      // transaction, which unstakes on chain, and the model is queried at its block.
+      const r = await dist.unstakeQuery($HAM(30), { from: users[1] });
+      const t = await txTimestamp(r);
+      const l = r.logs.filter(l => l.event === 'TokensClaimed')[0];
+      expect(sim.unstakeQuery(users[1], $HAM(30), t)).to.be.bignumber.equal(l.args.amount);
+      expect(sim.totalStakedFor(users[1])).to.be.bignumber.equal($HAM(50));
+
+      sim.unstake(users[1], $HAM(30), t);
+      await checkState();
+    });
+    it('should match unstakeQueryAt at a later time', async function () {
+      const t = (await time.latest()).addn(ONE_YEAR / 4);
+      const reward = await dist.unstakeQueryAt.call(users[1], $HAM(30), t);
+      expect(sim.unstakeQuery(users[1], $HAM(30), t)).to.be.bignumber.equal(reward);
+      await checkState();
+    });
+  });
+
+  describe('when an operation reverts', function () {
+    it('should throw the same reason and leave the state untouched', async function () {
+      const r = await dist.stake($HAM(50), [], { from: users[1] });
+      const t = await txTimestamp(r);
+      sim.stake(users[1], $HAM(50), t);
+      expect(() => sim.unstake(users[1], $HAM(51), t.addn(10)))
+        .to.throw('TokenGeyser: unstake amount is greater than total user stakes');
+      expect(() => sim.stake(users[1], 0, t.addn(10)))
+        .to.throw('TokenGeyser: stake amount is zero');
+      expect(sim.totalStakedFor(users[1])).to.be.bignumber.equal($HAM(50));
+      await checkState();
+    });
+  });
+});
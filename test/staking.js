@@ -7,7 +7,8 @@ const BlockchainCaller = _require('/util/blockchain_caller');
 const chain = new BlockchainCaller(web3);
 const {
   $HAM,
-  invokeRebase
+  invokeRebase,
+  linkGeyser
 } = _require('/test/helper');
 
 const HamErc20 = contract.fromArtifact('UFragments');
@@ -27,6 +28,7 @@ describe('staking', function () {
 
     const startBonus = 50;
     const bonusPeriod = 86400;
+    await linkGeyser(TokenGeyser);
     dist = await TokenGeyser.new(ham.address, ham.address, 10, startBonus, bonusPeriod,
       InitialSharesPerToken);
   });
@@ -59,7 +61,7 @@ describe('staking', function () {
 
   describe('supportsHistory', function () {
     it('should return supportsHistory', async function () {
-      expect(await dist.supportsHistory.call()).to.be.false;
+      expect(await dist.supportsHistory.call()).to.be.true;
     });
   });
 
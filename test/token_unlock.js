@@ -11,7 +11,8 @@ const {
   checkHamAprox,
   checkSharesAprox,
   setTimeForNextTransaction,
-  TimeController
+  TimeController,
+  linkGeyser
 } = _require('/test/helper');
 
 const HamErc20 = contract.fromArtifact('UFragments');
@@ -32,6 +33,7 @@ async function setupContractAndAccounts () {
   await ham.initialize(owner);
   await ham.setMonetaryPolicy(owner);
 
+  await linkGeyser(TokenGeyser);
   dist = await TokenGeyser.new(ham.address, ham.address, 10, START_BONUS, BONUS_PERIOD,
     InitialSharesPerToken);
 }
@@ -76,6 +78,63 @@ describe('LockedPool', function () {
       });
     });
 
+    describe('when some of the maxUnlockSchedules have finished', function () {
+      let d;
+      const timeController = new TimeController();
+      beforeEach(async function () {
+        d = await TokenGeyser.new(ham.address, ham.address, 3, START_BONUS, BONUS_PERIOD, InitialSharesPerToken);
+        await ham.approve(d.address, $HAM(100));
+        await d.lockTokens($HAM(10), ONE_YEAR / 10);
+        await timeController.initialize();
+        await d.lockTokens($HAM(10), ONE_YEAR);
+        await d.lockTokens($HAM(10), ONE_YEAR / 2);
+        await timeController.advanceTime(ONE_YEAR / 5);
+      });
+      it('should retire the finished schedule and add the new one', async function () {
+        await d.lockTokens($HAM(10), ONE_YEAR);
+        expect(await d.unlockScheduleCount.call()).to.be.bignumber.equal('3');
+        // remaining schedules keep their order, the new one is last
+        expect((await d.unlockSchedules(0))[4]).to.be.bignumber.equal(`${ONE_YEAR}`);
+        expect((await d.unlockSchedules(1))[4]).to.be.bignumber.equal(`${ONE_YEAR / 2}`);
+        expect((await d.unlockSchedules(2))[4]).to.be.bignumber.equal(`${ONE_YEAR}`);
+        expect((await d.unlockSchedules(2))[1]).to.be.bignumber.equal('0');
+      });
+      it('should retire the finished schedule on the next unlock', async function () {
+        await d.updateAccounting();
+        expect(await d.unlockScheduleCount.call()).to.be.bignumber.equal('2');
+        expect((await d.unlockSchedules(0))[4]).to.be.bignumber.equal(`${ONE_YEAR}`);
+        expect((await d.unlockSchedules(1))[4]).to.be.bignumber.equal(`${ONE_YEAR / 2}`);
+      });
+      it('should not change the unlocked amount', async function () {
+        await d.lockTokens($HAM(10), ONE_YEAR);
+        checkHamAprox(await d.totalUnlocked.call(), 10 + 10 * 0.2 + 10 * 0.4);
+        checkHamAprox(await d.totalLocked.call(), 10 * 0.8 + 10 * 0.6 + 10);
+      });
+      it('should fail once the new schedules are all active', async function () {
+        await d.lockTokens($HAM(10), ONE_YEAR);
+        await expectRevert(d.lockTokens($HAM(10), ONE_YEAR),
+          'TokenGeyser: reached maximum unlock schedules');
+      });
+    });
+
+    describe('when funding more than maxUnlockSchedules rounds over time', function () {
+      // 12 rounds of 10 hams unlocking over 1 month each, with at most 2 concurrent schedules
+      it('should keep accepting new schedules', async function () {
+        const d = await TokenGeyser.new(ham.address, ham.address, 2, START_BONUS, BONUS_PERIOD, InitialSharesPerToken);
+        await ham.approve(d.address, $HAM(120));
+        const timeController = new TimeController();
+        await timeController.initialize();
+        for (let i = 0; i < 12; i++) {
+          await d.lockTokens($HAM(10), ONE_YEAR / 12);
+          expect(await d.unlockScheduleCount.call()).to.be.bignumber.at.most('2');
+          await timeController.advanceTime(ONE_YEAR / 12);
+        }
+        await d.updateAccounting();
+        checkHamAprox(await d.totalUnlocked.call(), 120);
+        checkHamAprox(await d.totalLocked.call(), 0);
+      });
+    });
+
     describe('when totalLocked=0', function () {
       beforeEach(async function () {
         checkHamAprox(await dist.totalLocked.call(), 0);
@@ -104,7 +163,7 @@ describe('LockedPool', function () {
       it('should be protected', async function () {
         await ham.approve(dist.address, $HAM(100));
         await expectRevert(dist.lockTokens($HAM(50), ONE_YEAR, { from: anotherAccount }),
-          'Ownable: caller is not the owner');
+          'AccessRoles: caller does not have the role');
         await dist.lockTokens($HAM(50), ONE_YEAR);
       });
     });
@@ -145,6 +204,7 @@ describe('LockedPool', function () {
         // 2   uint256 lastUnlockTimestampSec;
         // 3   uint256 endAtSec;
         // 4   uint256 durationSec;
+        // 5   uint256 cliffAtSec;
         // }
         checkSharesAprox(s[0], $HAM(50).mul(new BN(InitialSharesPerToken)));
         checkSharesAprox(s[1], new BN(0));
@@ -237,6 +297,148 @@ describe('LockedPool', function () {
     });
   });
 
+  describe('lockTokensWithSchedule', function () {
+    beforeEach(async function () {
+      await ham.approve(dist.address, $HAM(100));
+    });
+    describe('when the cliff is longer than the duration', function () {
+      it('should fail', async function () {
+        const startAt = (await time.latest()).add(new BN(ONE_YEAR / 12));
+        await expectRevert(dist.lockTokensWithSchedule($HAM(100), ONE_YEAR, startAt, ONE_YEAR + 1),
+          'TokenGeyser: cliff is longer than duration');
+      });
+    });
+
+    describe('when the start is in the future', function () {
+      let startAt;
+      beforeEach(async function () {
+        startAt = (await time.latest()).add(new BN(ONE_YEAR / 12));
+      });
+      it('should create a delayed schedule', async function () {
+        await dist.lockTokensWithSchedule($HAM(100), ONE_YEAR, startAt, ONE_YEAR / 4);
+        const s = await dist.unlockSchedules.call(0);
+        expect(s[0]).to.be.bignumber.equal($HAM(100).mul(new BN(InitialSharesPerToken)));
+        expect(s[1]).to.be.bignumber.equal($HAM(0));
+        expect(s[2]).to.be.bignumber.equal(startAt);
+        expect(s[3]).to.be.bignumber.equal(startAt.add(new BN(ONE_YEAR)));
+        expect(s[4]).to.be.bignumber.equal(`${ONE_YEAR}`);
+        expect(s[5]).to.be.bignumber.equal(startAt.add(new BN(ONE_YEAR / 4)));
+      });
+      it('should log TokensLocked with the start and cliff', async function () {
+        const r = await dist.lockTokensWithSchedule($HAM(100), ONE_YEAR, startAt, ONE_YEAR / 4);
+        const l = r.logs.filter(l => l.event === 'TokensLocked')[0];
+        checkHamAprox(l.args.amount, 100);
+        checkHamAprox(l.args.total, 100);
+        expect(l.args.durationSec).to.be.bignumber.equal(`${ONE_YEAR}`);
+        expect(l.args.startAtSec).to.be.bignumber.equal(startAt);
+        expect(l.args.cliffSec).to.be.bignumber.equal(`${ONE_YEAR / 4}`);
+      });
+      it('should be protected', async function () {
+        await expectRevert(
+          dist.lockTokensWithSchedule($HAM(50), ONE_YEAR, startAt, 0, { from: anotherAccount }),
+          'AccessRoles: caller does not have the role');
+      });
+    });
+
+    describe('when the start is in the past', function () {
+      it('should start unlocking now', async function () {
+        const r = await dist.lockTokensWithSchedule($HAM(100), ONE_YEAR, 1, 0);
+        const now = (await web3.eth.getBlock(r.receipt.blockNumber)).timestamp;
+        const s = await dist.unlockSchedules.call(0);
+        expect(s[2]).to.be.bignumber.equal(`${now}`);
+        expect(s[5]).to.be.bignumber.equal(`${now}`);
+        const l = r.logs.filter(l => l.event === 'TokensLocked')[0];
+        expect(l.args.startAtSec).to.be.bignumber.equal(`${now}`);
+      });
+    });
+  });
+
+  describe('lockTokensWithCurve', function () {
+    const PIECEWISE_LINEAR = 1;
+    const STEP = 2;
+    beforeEach(async function () {
+      await ham.approve(dist.address, $HAM(100));
+    });
+    describe('when the curve is invalid', function () {
+      it('should fail when offsets and fractions differ in length', async function () {
+        await expectRevert(
+          dist.lockTokensWithCurve($HAM(100), ONE_YEAR, 0, 0, STEP, [100, 200], [5000]),
+          'TokenGeyser: curve offsets and fractions differ in length');
+      });
+      it('should fail when there are too many points', async function () {
+        const offsets = [...Array(17).keys()].map(i => i + 1);
+        const fractions = offsets.map(i => i * 100);
+        await expectRevert(
+          dist.lockTokensWithCurve($HAM(100), ONE_YEAR, 0, 0, STEP, offsets, fractions),
+          'TokenGeyser: too many curve points');
+      });
+      it('should fail when a linear curve has points', async function () {
+        await expectRevert(
+          dist.lockTokensWithCurve($HAM(100), ONE_YEAR, 0, 0, 0, [100], [5000]),
+          'TokenGeyser: only non-linear curves have points');
+      });
+      it('should fail when a non-linear curve has no points', async function () {
+        await expectRevert(
+          dist.lockTokensWithCurve($HAM(100), ONE_YEAR, 0, 0, PIECEWISE_LINEAR, [], []),
+          'TokenGeyser: only non-linear curves have points');
+      });
+      it('should fail when the offsets do not increase', async function () {
+        await expectRevert(
+          dist.lockTokensWithCurve($HAM(100), ONE_YEAR, 0, 0, STEP, [200, 200], [1000, 2000]),
+          'TokenGeyser: curve offsets must increase within the duration');
+        await expectRevert(
+          dist.lockTokensWithCurve($HAM(100), ONE_YEAR, 0, 0, STEP, [0], [1000]),
+          'TokenGeyser: curve offsets must increase within the duration');
+      });
+      it('should fail when an offset is beyond the duration', async function () {
+        await expectRevert(
+          dist.lockTokensWithCurve($HAM(100), ONE_YEAR, 0, 0, STEP, [ONE_YEAR], [5000]),
+          'TokenGeyser: curve offsets must increase within the duration');
+      });
+      it('should fail when the fractions decrease', async function () {
+        await expectRevert(
+          dist.lockTokensWithCurve($HAM(100), ONE_YEAR, 0, 0, STEP, [100, 200], [5000, 4000]),
+          'TokenGeyser: curve fractions must increase up to 100%');
+      });
+      it('should fail when a fraction is more than 100%', async function () {
+        await expectRevert(
+          dist.lockTokensWithCurve($HAM(100), ONE_YEAR, 0, 0, PIECEWISE_LINEAR, [100], [10001]),
+          'TokenGeyser: curve fractions must increase up to 100%');
+      });
+    });
+
+    describe('when the curve is valid', function () {
+      it('should create a schedule with the curve', async function () {
+        await dist.lockTokensWithCurve($HAM(100), ONE_YEAR, 0, 0, STEP, [100, 200], [2500, 5000]);
+        const s = await dist.unlockSchedules.call(0);
+        expect(s[0]).to.be.bignumber.equal($HAM(100).mul(new BN(InitialSharesPerToken)));
+        expect(s[4]).to.be.bignumber.equal(`${ONE_YEAR}`);
+        expect(s[6]).to.be.bignumber.equal(`${STEP}`);
+        const c = await dist.unlockScheduleCurve.call(0);
+        expect(c[0]).to.be.bignumber.equal(`${STEP}`);
+        expect(c[1].map(x => x.toNumber())).to.deep.equal([100, 200]);
+        expect(c[2].map(x => x.toNumber())).to.deep.equal([2500, 5000]);
+      });
+      it('should log TokensLocked and UnlockCurveSet', async function () {
+        const r = await dist.lockTokensWithCurve($HAM(100), ONE_YEAR, 0, 0, PIECEWISE_LINEAR,
+          [100], [5000]);
+        let l = r.logs.filter(l => l.event === 'TokensLocked')[0];
+        checkHamAprox(l.args.amount, 100);
+        expect(l.args.durationSec).to.be.bignumber.equal(`${ONE_YEAR}`);
+        l = r.logs.filter(l => l.event === 'UnlockCurveSet')[0];
+        expect(l.args.curve).to.be.bignumber.equal(`${PIECEWISE_LINEAR}`);
+        expect(l.args.offsetsSec.map(x => x.toNumber())).to.deep.equal([100]);
+        expect(l.args.unlockedFractions.map(x => x.toNumber())).to.deep.equal([5000]);
+      });
+      it('should be protected', async function () {
+        await expectRevert(
+          dist.lockTokensWithCurve($HAM(100), ONE_YEAR, 0, 0, STEP, [100], [5000],
+            { from: anotherAccount }),
+          'AccessRoles: caller does not have the role');
+      });
+    });
+  });
+
   describe('unlockTokens', function () {
     describe('single schedule', function () {
       describe('after waiting for 1/2 the duration', function () {
@@ -334,9 +536,11 @@ describe('LockedPool', function () {
           const l = r.logs.filter(l => l.event === 'TokensUnlocked')[0];
           checkHamAprox(l.args.amount, 100);
           checkHamAprox(l.args.total, 0);
-          const s = await dist.unlockSchedules(0);
-          expect(s[0]).to.be.bignumber.equal($HAM(100).mul(new BN(InitialSharesPerToken)));
-          expect(s[1]).to.be.bignumber.equal($HAM(100).mul(new BN(InitialSharesPerToken)));
+          expect(await dist.totalLockedShares.call()).to.be.bignumber.equal('0');
+        });
+        it('should retire the finished schedule', async function () {
+          await dist.updateAccounting();
+          expect(await dist.unlockScheduleCount.call()).to.be.bignumber.equal('0');
         });
       });
 
@@ -416,6 +620,144 @@ describe('LockedPool', function () {
         await checkAvailableToUnlock(dist, 0);
       });
     });
+
+    describe('multi schedule with curves', function () {
+      // 100 hams front-loaded: 40% unlock linearly over the first 1/4 year, the rest linearly
+      // over the remaining 3/4 year.
+      // 100 hams locked 1/2 year later, released in 4 steps of 25% every 1/4 year.
+      const timeController = new TimeController();
+      beforeEach(async function () {
+        await ham.approve(dist.address, $HAM(200));
+        await dist.lockTokensWithCurve($HAM(100), ONE_YEAR, 0, 0, 1, [ONE_YEAR / 4], [4000]);
+        await timeController.initialize();
+        await timeController.advanceTime(ONE_YEAR / 2);
+        await dist.lockTokensWithCurve($HAM(100), ONE_YEAR, 0, 0, 2,
+          [ONE_YEAR / 4, ONE_YEAR / 2, 3 * ONE_YEAR / 4], [2500, 5000, 7500]);
+        await timeController.advanceTime(ONE_YEAR / 10);
+      });
+      it('should return the remaining unlock value', async function () {
+        await time.advanceBlock();
+        checkHamAprox(await dist.totalLocked.call(), 140);
+        checkHamAprox(await dist.totalUnlocked.call(), 60);
+        // 8 from the first schedule for the period of ONE_YEAR / 10, none from the second
+
+        await checkAvailableToUnlock(dist, 8);
+      });
+      it('should transfer tokens to unlocked pool', async function () {
+        await dist.updateAccounting();
+        checkHamAprox(await dist.totalLocked.call(), 132);
+        checkHamAprox(await dist.totalUnlocked.call(), 68);
+        await checkAvailableToUnlock(dist, 0);
+      });
+      it('should log TokensUnlocked and update state', async function () {
+        const r = await dist.updateAccounting();
+
+        const l = r.logs.filter(l => l.event === 'TokensUnlocked')[0];
+        checkHamAprox(l.args.amount, 8);
+        checkHamAprox(l.args.total, 132);
+
+        const s1 = await dist.unlockSchedules(0);
+        checkSharesAprox(s1[0], $HAM(100).mul(new BN(InitialSharesPerToken)));
+        checkSharesAprox(s1[1], $HAM(68).mul(new BN(InitialSharesPerToken)));
+        const s2 = await dist.unlockSchedules(1);
+        checkSharesAprox(s2[0], $HAM(100).mul(new BN(InitialSharesPerToken)));
+        expect(s2[1]).to.be.bignumber.equal('0');
+      });
+      it('should continue the unlock along the curves', async function () {
+        await dist.updateAccounting();
+        await timeController.advanceTime(ONE_YEAR / 5);
+        await dist.updateAccounting();
+
+        // 84 from the first schedule, the first step of the second
+        checkHamAprox(await dist.totalLocked.call(), 91);
+        checkHamAprox(await dist.totalUnlocked.call(), 109);
+        await checkAvailableToUnlock(dist, 0);
+        await timeController.advanceTime(ONE_YEAR / 5);
+        await dist.updateAccounting();
+
+        checkHamAprox(await dist.totalLocked.call(), 50);
+        checkHamAprox(await dist.totalUnlocked.call(), 150);
+        await checkAvailableToUnlock(dist, 0);
+      });
+      it('should unlock the dust at the end', async function () {
+        await timeController.advanceTime(ONE_YEAR);
+        await dist.updateAccounting();
+        expect(await dist.totalLocked.call()).to.be.bignumber.equal($HAM(0));
+        expect(await dist.totalUnlocked.call()).to.be.bignumber.equal($HAM(200));
+      });
+    });
+
+    describe('delayed start schedule', function () {
+      // 100 hams locked for 1 year, starting in 1/2 year
+      const timeController = new TimeController();
+      beforeEach(async function () {
+        await ham.approve(dist.address, $HAM(100));
+        await timeController.initialize();
+        const startAt = timeController.currentTime.add(new BN(ONE_YEAR / 2));
+        await dist.lockTokensWithSchedule($HAM(100), ONE_YEAR, startAt, 0);
+      });
+      it('should not unlock before the start', async function () {
+        await timeController.advanceTime(ONE_YEAR / 4);
+        await checkAvailableToUnlock(dist, 0);
+        await timeController.advanceTime(ONE_YEAR / 4 - 3600);
+        await dist.updateAccounting();
+        expect(await dist.totalLocked.call()).to.be.bignumber.equal($HAM(100));
+        expect(await dist.totalUnlocked.call()).to.be.bignumber.equal($HAM(0));
+      });
+      it('should unlock linearly after the start', async function () {
+        await timeController.advanceTime(ONE_YEAR);
+        await dist.updateAccounting();
+        checkHamAprox(await dist.totalLocked.call(), 50);
+        checkHamAprox(await dist.totalUnlocked.call(), 50);
+        await timeController.advanceTime(ONE_YEAR / 4);
+        await dist.updateAccounting();
+        checkHamAprox(await dist.totalLocked.call(), 25);
+        checkHamAprox(await dist.totalUnlocked.call(), 75);
+      });
+      it('should unlock everything at the end', async function () {
+        await timeController.advanceTime(2 * ONE_YEAR);
+        await dist.updateAccounting();
+        expect(await dist.totalLocked.call()).to.be.bignumber.equal($HAM(0));
+        expect(await dist.totalUnlocked.call()).to.be.bignumber.equal($HAM(100));
+      });
+    });
+
+    describe('cliff schedule', function () {
+      // 100 hams locked for 1 year with a cliff of 1/4 year
+      const timeController = new TimeController();
+      beforeEach(async function () {
+        await ham.approve(dist.address, $HAM(100));
+        await dist.lockTokensWithSchedule($HAM(100), ONE_YEAR, 0, ONE_YEAR / 4);
+        await timeController.initialize();
+      });
+      it('should not unlock during the cliff', async function () {
+        await timeController.advanceTime(ONE_YEAR / 5);
+        await dist.updateAccounting();
+        expect(await dist.totalLocked.call()).to.be.bignumber.equal($HAM(100));
+        expect(await dist.totalUnlocked.call()).to.be.bignumber.equal($HAM(0));
+      });
+      it('should unlock the cliff at once', async function () {
+        await timeController.advanceTime(ONE_YEAR / 5);
+        await dist.updateAccounting();
+        await timeController.advanceTime(ONE_YEAR / 10);
+        const r = await dist.updateAccounting();
+        const l = r.logs.filter(l => l.event === 'TokensUnlocked')[0];
+        checkHamAprox(l.args.amount, 30);
+        checkHamAprox(l.args.total, 70);
+      });
+      it('should continue linear the unlock after the cliff', async function () {
+        await timeController.advanceTime(ONE_YEAR / 2);
+        await dist.updateAccounting();
+        checkHamAprox(await dist.totalUnlocked.call(), 50);
+        await timeController.advanceTime(ONE_YEAR / 4);
+        await dist.updateAccounting();
+        checkHamAprox(await dist.totalUnlocked.call(), 75);
+        await timeController.advanceTime(ONE_YEAR / 2);
+        await dist.updateAccounting();
+        expect(await dist.totalLocked.call()).to.be.bignumber.equal($HAM(0));
+        expect(await dist.totalUnlocked.call()).to.be.bignumber.equal($HAM(100));
+      });
+    });
   });
 
   describe('updateAccounting', function () {
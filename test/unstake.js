@@ -9,7 +9,8 @@ const {
   $HAM,
   invokeRebase,
   checkHamAprox,
-  TimeController
+  TimeController,
+  linkGeyser
 } = _require('/test/helper');
 
 const HamErc20 = contract.fromArtifact('UFragments');
@@ -30,6 +31,7 @@ async function setupContractAndAccounts () {
 
   const startBonus = 50; // 50%
   const bonusPeriod = 86400; // 1 Day
+  await linkGeyser(TokenGeyser);
   dist = await TokenGeyser.new(ham.address, ham.address, 10, startBonus, bonusPeriod,
     InitialSharesPerToken);
 
@@ -0,0 +1,94 @@
+// Reads and writes the per-network deployment records kept under deployments/<network>.yaml
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+
+const ADDRESS = { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' };
+const UINT = { type: 'string', pattern: '^[0-9]+$' };
+
+const DEPLOYMENT_SCHEMA = {
+  type: 'object',
+  required: ['poolRef', 'stakingToken', 'distToken', 'deployment', 'owner', 'params',
+    'blockNumber', 'txHash'],
+  additionalProperties: false,
+  properties: {
+    poolRef: { type: 'string', minLength: 1 },
+    stakingToken: ADDRESS,
+    distToken: ADDRESS,
+    deployment: ADDRESS,
+    owner: ADDRESS,
+    distributions: ADDRESS,
+    stakes: ADDRESS,
+    params: {
+      type: 'object',
+      required: ['maxUnlockSchedules', 'startBonus', 'bonusPeriodSec', 'initialSharesPerToken'],
+      additionalProperties: false,
+      properties: {
+        maxUnlockSchedules: UINT,
+        startBonus: UINT,
+        bonusPeriodSec: UINT,
+        initialSharesPerToken: UINT
+      }
+    },
+    blockNumber: { type: 'integer', minimum: 0 },
+    txHash: { type: 'string', pattern: '^0x[0-9a-fA-F]{64}$' }
+  }
+};
+
+const validate = new Ajv({ allErrors: true }).compile(DEPLOYMENT_SCHEMA);
+
+function deploymentsFile (network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}.yaml`);
+}
+
+function loadDeployments (network, dir = DEPLOYMENTS_DIR) {
+  const file = deploymentsFile(network, dir);
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return yaml.safeLoad(fs.readFileSync(file, 'utf8')) || [];
+}
+
+function validateDeployment (entry) {
+  if (!validate(entry)) {
+    const errors = validate.errors.map(e => `${e.dataPath || 'entry'} ${e.message}`);
+    throw new Error(`Invalid deployment entry: ${errors.join(', ')}`);
+  }
+}
+
+// Returns the record of the pool, which like in the GeyserFactory registry is named by poolRef
+// uniquely per staking token.
+function findDeployment (deployments, stakingToken, poolRef) {
+  return deployments.find(d => d.poolRef === poolRef &&
+    d.stakingToken.toLowerCase() === stakingToken.toLowerCase());
+}
+
+// Appends the entry to the network's file, leaving the existing records untouched.
+function appendDeployment (network, entry, dir = DEPLOYMENTS_DIR) {
+  validateDeployment(entry);
+  if (findDeployment(loadDeployments(network, dir), entry.stakingToken, entry.poolRef)) {
+    throw new Error(`Deployment ${entry.poolRef} already exists on ${network}`);
+  }
+
+  const file = deploymentsFile(network, dir);
+  let prefix = '';
+  if (fs.existsSync(file)) {
+    const current = fs.readFileSync(file, 'utf8');
+    prefix = (current.length > 0 && !current.endsWith('\n')) ? '\n' : '';
+  }
+  fs.appendFileSync(file, prefix + yaml.safeDump([entry]));
+  return file;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  DEPLOYMENT_SCHEMA,
+  deploymentsFile,
+  loadDeployments,
+  validateDeployment,
+  findDeployment,
+  appendDeployment
+};
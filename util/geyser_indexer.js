@@ -0,0 +1,366 @@
+// Rebuilds per-user staking history of a TokenGeyser from its events.
+//
+// The geyser keeps no per-user stake list that can be read from outside, so the indexer replays
+// Staked/Unstaked/EmergencyUnstaked events into Stake lots (shares + timestamp), burning shares
+// from the most recent lot backwards the same way _unstake does. Share amounts are recomputed
+// from the staking totals, which start at zero in the block the geyser was created in and are
+// carried from event to event, so no past state is read from the chain. A rebase of the staking
+// token changes the totals without an event though, so for a rebasing staking token the totals are
+// read at the end of the previous block instead, which takes an archive node.
+// Stakes migrated in from the predecessor geyser, as set by the last PredecessorChanged event,
+// keep the original timestamp carried in their data, and stakes moved by receipt token transfers
+// keep theirs.
+// The staking tokens staked and unstaked with each referral code in the data of Staked and Unstaked
+// events are tallied the same way the geyser does, by the bytes32 code and with the amounts of the
+// events, which for stakes are what the staking pool received (see util/referrals.js).
+// Progress is checkpointed to a JSON file after every chunk of blocks, so runs can be resumed.
+// Claims, locks and unlocks are only tallied for the geyser's first distribution token.
+// Geysers deployed before the distribution tokens were named in the events, and before unlock
+// schedules had a start and a cliff, emit the shorter events in V1_EVENTS, which are decoded too.
+const fs = require('fs');
+const BN = require('bn.js');
+const _require = require('app-root-path').require;
+
+const ZERO = new BN(0);
+const EVENTS = ['Staked', 'Unstaked', 'EmergencyUnstaked', 'StakeMigrated', 'StakeTransferred',
+  'TokensClaimed', 'TokensLocked', 'UnlockCurveSet', 'TokensUnlocked', 'TokensDonated', 'PredecessorChanged'];
+
+function eventAbi (name, inputs) {
+  return {
+    anonymous: false,
+    inputs: inputs.map(([type, name, indexed]) => ({ indexed: !!indexed, name, type })),
+    name,
+    type: 'event'
+  };
+}
+
+const V1_EVENTS = [
+  eventAbi('TokensClaimed', [['address', 'user', true], ['uint256', 'amount']]),
+  eventAbi('TokensLocked', [['uint256', 'amount'], ['uint256', 'durationSec'], ['uint256', 'total']]),
+  eventAbi('TokensUnlocked', [['uint256', 'amount'], ['uint256', 'total']])
+];
+
+function emptyState (geyser, initialSharesPerToken, startBlock) {
+  return {
+    geyser: geyser,
+    initialSharesPerToken: new BN(initialSharesPerToken),
+    lastProcessedBlock: startBlock - 1,
+    predecessor: null,
+    totals: {
+      totalStaked: ZERO,
+      totalStakingShares: ZERO,
+      totalLocked: ZERO,
+      cumulativeLocked: ZERO,
+      cumulativeUnlocked: ZERO,
+      cumulativeClaimed: ZERO,
+      cumulativeDonated: ZERO
+    },
+    locks: [],
+    users: {},
+    referrals: {}
+  };
+}
+
+// Converts every BN in the state to a decimal string, and back.
+function serialize (value) {
+  if (BN.isBN(value)) return value.toString();
+  if (Array.isArray(value)) return value.map(serialize);
+  if (value && typeof value === 'object') {
+    const out = {};
+    Object.keys(value).forEach(k => { out[k] = serialize(value[k]); });
+    return out;
+  }
+  return value;
+}
+
+const NUMERIC_KEYS = ['initialSharesPerToken', 'totalStaked', 'totalStakingShares', 'totalLocked',
+  'cumulativeLocked', 'cumulativeUnlocked', 'cumulativeClaimed', 'cumulativeDonated', 'stakingShares',
+  'amount', 'durationSec', 'cliffSec', 'staked', 'unstaked', 'claimed'];
+
+function deserialize (value) {
+  if (Array.isArray(value)) return value.map(deserialize);
+  if (value && typeof value === 'object') {
+    const out = {};
+    Object.keys(value).forEach(k => {
+      out[k] = (NUMERIC_KEYS.includes(k) && typeof value[k] === 'string')
+        ? new BN(value[k]) : deserialize(value[k]);
+    });
+    return out;
+  }
+  return value;
+}
+
+class JsonStore {
+  constructor (file) {
+    this.file = file;
+  }
+  load () {
+    return fs.existsSync(this.file) ? deserialize(JSON.parse(fs.readFileSync(this.file, 'utf8'))) : null;
+  }
+  save (state) {
+    // Write and rename, so an interrupted run never leaves a half-written checkpoint behind.
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(serialize(state), null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+class GeyserIndexer {
+  // options: { initialSharesPerToken, startBlock, store, chunkSize, artifact, rebasing }
+  // startBlock is the block the geyser was created in. With rebasing, the staking totals are read
+  // from an archive node rather than carried from event to event.
+  constructor (web3, geyserAddress, options) {
+    const artifact = options.artifact || _require('/build/contracts/TokenGeyser.json');
+    this._web3 = web3;
+    this._geyser = new web3.eth.Contract(artifact.abi.concat(V1_EVENTS), geyserAddress);
+    this._store = options.store;
+    this._chunkSize = options.chunkSize || 1000;
+    this._rebasing = !!options.rebasing;
+    this.state = (this._store && this._store.load()) ||
+      emptyState(geyserAddress, options.initialSharesPerToken, options.startBlock || 0);
+    if (this.state.geyser.toLowerCase() !== geyserAddress.toLowerCase()) {
+      throw new Error(`Checkpoint belongs to geyser ${this.state.geyser}, not ${geyserAddress}`);
+    }
+    // Checkpoints written before referral codes and the predecessor were tracked have neither.
+    this.state.referrals = this.state.referrals || {};
+    this.state.predecessor = this.state.predecessor || null;
+  }
+
+  // Indexes all blocks after the last checkpoint, up to toBlock (default: latest).
+  async run (toBlock) {
+    if (toBlock === undefined) {
+      toBlock = await this._web3.eth.getBlockNumber();
+    }
+    if (!this._distributionToken) {
+      this._distributionToken = (await this._geyser.methods.getDistributionToken().call()).toLowerCase();
+    }
+    while (this.state.lastProcessedBlock < toBlock) {
+      const from = this.state.lastProcessedBlock + 1;
+      const to = Math.min(from + this._chunkSize - 1, toBlock);
+      const events = (await this._geyser.getPastEvents('allEvents', { fromBlock: from, toBlock: to }))
+        .filter(e => EVENTS.includes(e.event));
+
+      let block = null;
+      for (const e of events) {
+        if (e.blockNumber !== block) {
+          block = e.blockNumber;
+          await this._startBlock(block);
+        }
+        if (e.event === 'Staked') {
+          e.migratedTimestampSec = await this._migratedTimestamp(e.returnValues.data, e.transactionHash);
+        }
+        this._apply(e);
+      }
+      this.state.lastProcessedBlock = to;
+      if (this._store) {
+        this._store.save(this.state);
+      }
+    }
+    return this.state;
+  }
+
+  async _startBlock (blockNumber) {
+    if (this._rebasing) {
+      const m = this._geyser.methods;
+      const totals = this.state.totals;
+      totals.totalStaked = new BN(await m.totalStaked().call({}, blockNumber - 1));
+      totals.totalStakingShares = new BN(await m.totalStakingShares().call({}, blockNumber - 1));
+    }
+    this._timestamp = new BN((await this._web3.eth.getBlock(blockNumber)).timestamp);
+  }
+
+  // Returns the original timestamp of a stake migrated in from the predecessor, or null.
+  async _migratedTimestamp (data, transactionHash) {
+    const predecessor = this.state.predecessor;
+    if (!predecessor || !data || data.length !== 66) {
+      return null;
+    }
+    const tx = await this._web3.eth.getTransaction(transactionHash);
+    if (!tx.to || tx.to.toLowerCase() !== predecessor.toLowerCase()) {
+      return null;
+    }
+    const timestampSec = parseInt(this._web3.eth.abi.decodeParameter('uint256', data));
+    return Math.min(timestampSec, this._timestamp.toNumber());
+  }
+
+  _user (addr) {
+    const key = addr.toLowerCase();
+    if (!this.state.users[key]) {
+      this.state.users[key] = { lots: [], staked: ZERO, claimed: ZERO };
+    }
+    return this.state.users[key];
+  }
+
+  // Returns the referral tallies of the data of a stake or unstake, or null if it has no code.
+  _referral (data) {
+    if (!data || data.length !== 66) {
+      return null;
+    }
+    const code = data.toLowerCase();
+    if (!this.state.referrals[code]) {
+      this.state.referrals[code] = { staked: ZERO, unstaked: ZERO, stakes: 0, unstakes: 0 };
+    }
+    return this.state.referrals[code];
+  }
+
+  _apply (e) {
+    const totals = this.state.totals;
+    const v = e.returnValues;
+    if (v.token && v.token.toLowerCase() !== this._distributionToken) {
+      return;
+    }
+    if (e.event === 'Staked') {
+      const amount = new BN(v.amount);
+      const minted = totals.totalStakingShares.gt(ZERO)
+        ? totals.totalStakingShares.mul(amount).div(totals.totalStaked)
+        : amount.mul(this.state.initialSharesPerToken);
+      const user = this._user(v.user);
+      user.lots.push({
+        stakingShares: minted,
+        timestampSec: e.migratedTimestampSec || this._timestamp.toNumber(),
+        blockNumber: e.blockNumber,
+        transactionHash: e.transactionHash
+      });
+      user.staked = new BN(v.total);
+      totals.totalStakingShares = totals.totalStakingShares.add(minted);
+      totals.totalStaked = totals.totalStaked.add(amount);
+      const referral = (e.migratedTimestampSec === null) && this._referral(v.data);
+      if (referral) {
+        referral.staked = referral.staked.add(amount);
+        referral.stakes++;
+      }
+    } else if (e.event === 'Unstaked') {
+      const amount = new BN(v.amount);
+      const burned = totals.totalStakingShares.mul(amount).div(totals.totalStaked);
+      const user = this._user(v.user);
+      // Redeem from most recent stake and go backwards in time.
+      let sharesLeftToBurn = burned;
+      while (sharesLeftToBurn.gt(ZERO) && user.lots.length > 0) {
+        const lastStake = user.lots[user.lots.length - 1];
+        if (lastStake.stakingShares.lte(sharesLeftToBurn)) {
+          sharesLeftToBurn = sharesLeftToBurn.sub(lastStake.stakingShares);
+          user.lots.pop();
+        } else {
+          lastStake.stakingShares = lastStake.stakingShares.sub(sharesLeftToBurn);
+          sharesLeftToBurn = ZERO;
+        }
+      }
+      user.staked = new BN(v.total);
+      totals.totalStakingShares = totals.totalStakingShares.sub(burned);
+      totals.totalStaked = totals.totalStaked.sub(amount);
+      const referral = this._referral(v.data);
+      if (referral) {
+        referral.unstaked = referral.unstaked.add(amount);
+        referral.unstakes++;
+      }
+    } else if (e.event === 'EmergencyUnstaked' || e.event === 'StakeMigrated') {
+      // All of the user's shares are burned, whatever the amount rounds to.
+      const user = this._user(v.user);
+      const burned = user.lots.reduce((sum, s) => sum.add(s.stakingShares), ZERO);
+      user.lots = [];
+      user.staked = ZERO;
+      totals.totalStakingShares = totals.totalStakingShares.sub(burned);
+      totals.totalStaked = totals.totalStaked.sub(new BN(v.amount));
+    } else if (e.event === 'StakeTransferred') {
+      // Lots move from the most recent backwards and are appended to the recipient's lots.
+      const from = this._user(v.from);
+      const to = this._user(v.to);
+      let sharesLeftToMove = new BN(v.stakingShares);
+      while (sharesLeftToMove.gt(ZERO) && from.lots.length > 0) {
+        const lastStake = from.lots[from.lots.length - 1];
+        const moved = BN.min(lastStake.stakingShares, sharesLeftToMove);
+        to.lots.push(Object.assign({}, lastStake, { stakingShares: moved }));
+        sharesLeftToMove = sharesLeftToMove.sub(moved);
+        if (moved.eq(lastStake.stakingShares)) {
+          from.lots.pop();
+        } else {
+          lastStake.stakingShares = lastStake.stakingShares.sub(moved);
+        }
+      }
+      for (const user of [from, to]) {
+        const shares = user.lots.reduce((sum, l) => sum.add(l.stakingShares), ZERO);
+        user.staked = totals.totalStaked.mul(shares).div(totals.totalStakingShares);
+      }
+    } else if (e.event === 'TokensClaimed') {
+      const user = this._user(v.user);
+      user.claimed = user.claimed.add(new BN(v.amount));
+      totals.cumulativeClaimed = totals.cumulativeClaimed.add(new BN(v.amount));
+    } else if (e.event === 'TokensLocked') {
+      // Schedules of V1 events start right away and have no cliff.
+      this.state.locks.push({
+        amount: new BN(v.amount),
+        durationSec: new BN(v.durationSec),
+        startAtSec: (v.startAtSec !== undefined) ? parseInt(v.startAtSec) : this._timestamp.toNumber(),
+        cliffSec: new BN(v.cliffSec || 0),
+        timestampSec: this._timestamp.toNumber(),
+        blockNumber: e.blockNumber,
+        transactionHash: e.transactionHash
+      });
+      totals.cumulativeLocked = totals.cumulativeLocked.add(new BN(v.amount));
+      totals.totalLocked = new BN(v.total);
+    } else if (e.event === 'UnlockCurveSet') {
+      // Always emitted right after the TokensLocked of the same schedule, which may have been
+      // for another distribution token.
+      const lock = this.state.locks[this.state.locks.length - 1];
+      if (!lock || lock.transactionHash !== e.transactionHash) {
+        return;
+      }
+      lock.curve = parseInt(v.curve);
+      lock.curveOffsetsSec = v.offsetsSec.map(x => parseInt(x));
+      lock.curveUnlockedFractions = v.unlockedFractions.map(x => parseInt(x));
+    } else if (e.event === 'TokensUnlocked') {
+      totals.cumulativeUnlocked = totals.cumulativeUnlocked.add(new BN(v.amount));
+      totals.totalLocked = new BN(v.total);
+    } else if (e.event === 'PredecessorChanged') {
+      this.state.predecessor = (parseInt(v.newPredecessor) === 0) ? null : v.newPredecessor;
+    } else if (e.event === 'TokensDonated') {
+      // Donations to a schedule are locked, and those to the unlocked pool are not.
+      totals.cumulativeDonated = totals.cumulativeDonated.add(new BN(v.amount));
+      if (!new BN(v.lockedShares).isZero()) {
+        totals.totalLocked = totals.totalLocked.add(new BN(v.amount));
+      }
+    }
+  }
+
+  // Returns the user's lots, earliest to latest.
+  stakesOf (addr) {
+    const user = this.state.users[addr.toLowerCase()];
+    return user ? user.lots : [];
+  }
+}
+
+// Finds the block a geyser was created in, and its initialSharesPerToken, for deployment records
+// which lack them. The block is the first with the geyser's code, which takes an archive node to
+// look up. The constructor arguments are read from the end of the transaction creating the
+// geyser, so a geyser created by another contract, like the GeyserFactory, has a null
+// initialSharesPerToken.
+async function findCreation (web3, address) {
+  let low = 0;
+  let high = await web3.eth.getBlockNumber();
+  if ((await web3.eth.getCode(address, high)) === '0x') {
+    throw new Error(`No contract code at ${address}`);
+  }
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if ((await web3.eth.getCode(address, mid)) === '0x') {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  const creation = { blockNumber: low, initialSharesPerToken: null };
+  for (const tx of (await web3.eth.getBlock(low, true)).transactions) {
+    if (tx.to) {
+      continue;
+    }
+    const receipt = await web3.eth.getTransactionReceipt(tx.hash);
+    if (receipt.contractAddress && receipt.contractAddress.toLowerCase() === address.toLowerCase()) {
+      // initialSharesPerToken is the last of the constructor arguments.
+      creation.initialSharesPerToken = web3.utils.toBN(`0x${tx.input.slice(-64)}`).toString();
+    }
+  }
+  return creation;
+}
+
+module.exports = { GeyserIndexer, JsonStore, findCreation };
@@ -0,0 +1,229 @@
+// Reads the accounting state of a deployed TokenGeyser and formats it for humans or machines.
+const _require = require('app-root-path').require;
+
+const DECIMALS_ABI = [{
+  constant: true,
+  inputs: [],
+  name: 'decimals',
+  outputs: [{ name: '', type: 'uint8' }],
+  payable: false,
+  stateMutability: 'view',
+  type: 'function'
+}];
+
+const OWNER_ABI = [{
+  constant: true,
+  inputs: [],
+  name: 'owner',
+  outputs: [{ name: '', type: 'address' }],
+  payable: false,
+  stateMutability: 'view',
+  type: 'function'
+}];
+
+// Returns the result of the call, or null if the contract reverts it, as geysers deployed before
+// the method was added do.
+async function optional (method) {
+  try {
+    return await method.call();
+  } catch (e) {
+    return null;
+  }
+}
+
+async function tokenDecimals (web3, address) {
+  try {
+    return parseInt(await new web3.eth.Contract(DECIMALS_ABI, address).methods.decimals().call());
+  } catch (e) {
+    return 0;
+  }
+}
+
+function formatUnits (web3, value, decimals) {
+  const s = web3.utils.toBN(value).toString().padStart(decimals + 1, '0');
+  if (decimals === 0) {
+    return s;
+  }
+  const fraction = s.slice(-decimals).replace(/0+$/, '');
+  return s.slice(0, -decimals) + (fraction ? `.${fraction}` : '');
+}
+
+function formatDuration (sec) {
+  const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+  const parts = [];
+  for (const [label, size] of units) {
+    if (sec >= size || (label === 's' && parts.length === 0)) {
+      parts.push(`${Math.floor(sec / size)}${label}`);
+      sec %= size;
+    }
+  }
+  return parts.join(' ');
+}
+
+// In the order of the AccessRoles.Role enum.
+const ROLES = ['admin', 'funder', 'pauser'];
+
+// In the order the unlockSchedules getter returns them. Geysers deployed before cliffs and
+// curves were added return the first five only.
+const SCHEDULE_FIELDS = ['initialLockedShares', 'unlockedShares', 'lastUnlockTimestampSec', 'endAtSec',
+  'durationSec', 'cliffAtSec', 'curve'];
+
+// Decodes the unlock schedule at index s from however many fields the geyser returns.
+async function unlockSchedule (web3, geyser, s) {
+  const data = geyser.methods.unlockSchedules(s).encodeABI();
+  const result = await web3.eth.call({ to: geyser.options.address, data });
+  const count = Math.min((result.length - 2) / 64, SCHEDULE_FIELDS.length);
+  const values = web3.eth.abi.decodeParameters(Array(count).fill('uint256'), result);
+  const schedule = {};
+  for (let i = 0; i < count; i++) {
+    schedule[SCHEDULE_FIELDS[i]] = values[i];
+  }
+  return schedule;
+}
+
+// Returns the on-chain state of the geyser, with every uint256 as a decimal string.
+// When user is given, the updateAccounting tuple is evaluated on behalf of that account.
+// Geysers deployed before a feature lack its methods, and the state reports it as null:
+// paused, the roles, successor, predecessor and receiptToken. Those from before the roles are
+// Ownable, and their owner is reported as the admin and the funder.
+async function inspectGeyser (web3, address, { user, artifact } = {}) {
+  artifact = artifact || _require('/build/contracts/TokenGeyser.json');
+  const geyser = new web3.eth.Contract(artifact.abi, address);
+  const m = geyser.methods;
+  const now = parseInt((await web3.eth.getBlock('latest')).timestamp);
+
+  const state = {
+    geyser: address,
+    timestamp: now,
+    stakingToken: await m.getStakingToken().call(),
+    distributionToken: await m.getDistributionToken().call(),
+    totalLocked: await m.totalLocked().call(),
+    totalUnlocked: await m.totalUnlocked().call(),
+    totalStaked: await m.totalStaked().call(),
+    totalStakingShares: await m.totalStakingShares().call(),
+    totalLockedShares: await m.totalLockedShares().call(),
+    paused: await optional(m.paused()),
+    successor: await optional(m.successor()),
+    predecessor: await optional(m.predecessor()),
+    receiptToken: await optional(m.receiptToken()),
+    unlockSchedules: [],
+    extraDistributions: []
+  };
+  for (let i = 0; i < ROLES.length; i++) {
+    state[ROLES[i]] = await optional(m.roleHolder(i));
+  }
+  if (state.admin === null) {
+    const owner = await optional(new web3.eth.Contract(OWNER_ABI, address).methods.owner());
+    state.admin = owner;
+    state.funder = owner;
+  }
+  state.stakingDecimals = await tokenDecimals(web3, state.stakingToken);
+  state.distributionDecimals = await tokenDecimals(web3, state.distributionToken);
+
+  const curveNames = ['linear', 'piecewise-linear', 'step'];
+  const count = parseInt(await m.unlockScheduleCount().call());
+  for (let i = 0; i < count; i++) {
+    const s = await unlockSchedule(web3, geyser, i);
+    const endAtSec = parseInt(s.endAtSec);
+    const durationSec = parseInt(s.durationSec);
+    const startAtSec = endAtSec - durationSec;
+    const elapsedSec = Math.min(Math.max(now - startAtSec, 0), durationSec);
+    state.unlockSchedules.push({
+      index: i,
+      initialLockedShares: s.initialLockedShares,
+      unlockedShares: s.unlockedShares,
+      lastUnlockTimestampSec: s.lastUnlockTimestampSec,
+      startAtSec: `${startAtSec}`,
+      cliffAtSec: (s.cliffAtSec !== undefined) ? s.cliffAtSec : `${startAtSec}`,
+      curve: curveNames[parseInt(s.curve || '0')],
+      endAtSec: s.endAtSec,
+      durationSec: s.durationSec,
+      percentComplete: durationSec > 0 ? Math.floor(elapsedSec * 10000 / durationSec) / 100 : 100,
+      remainingSec: Math.max(endAtSec - now, 0)
+    });
+  }
+
+  // Distribution tokens added after deployment, paid out alongside the first one.
+  const tokenCount = parseInt(await optional(m.distributionTokenCount()) || '1');
+  for (let i = 1; i < tokenCount; i++) {
+    const token = await m.distributionTokenAt(i).call();
+    state.extraDistributions.push({
+      token: token,
+      decimals: await tokenDecimals(web3, token),
+      totalLocked: await m.totalLockedOf(token).call(),
+      totalUnlocked: await m.totalUnlockedOf(token).call(),
+      unlockScheduleCount: await m.unlockScheduleCountOf(token).call()
+    });
+  }
+
+  if (user) {
+    const r = await m.updateAccounting().call({ from: user });
+    state.accounting = {
+      user: user,
+      totalLocked: r[0],
+      totalUnlocked: r[1],
+      userStakingShareSeconds: r[2],
+      totalStakingShareSeconds: r[3],
+      userRewards: r[4],
+      timestamp: r[5]
+    };
+  }
+  return state;
+}
+
+function formatStatus (web3, state) {
+  const dist = v => formatUnits(web3, v, state.distributionDecimals);
+  const staked = v => formatUnits(web3, v, state.stakingDecimals);
+  const paused = (state.paused === null) ? null : (state.paused ? 'yes' : 'no');
+  // Leaves out what the geyser lacks.
+  const lines = [
+    `Geyser ${state.geyser} at ${new Date(state.timestamp * 1000).toISOString()}`,
+    `  Staking token:         ${state.stakingToken}`,
+    `  Distribution token:    ${state.distributionToken}`,
+    `  Total locked:          ${dist(state.totalLocked)}`,
+    `  Total unlocked:        ${dist(state.totalUnlocked)}`,
+    `  Total staked:          ${staked(state.totalStaked)}`,
+    `  Total staking shares:  ${state.totalStakingShares}`,
+    `  Total locked shares:   ${state.totalLockedShares}`,
+    `  Paused:                ${paused}`,
+    `  Admin:                 ${state.admin}`,
+    `  Funder:                ${state.funder}`,
+    `  Pauser:                ${state.pauser}`,
+    `  Successor:             ${state.successor}`,
+    `  Predecessor:           ${state.predecessor}`,
+    `  Receipt token:         ${state.receiptToken}`
+  ].filter(line => !line.endsWith(' null'));
+  lines.push(`Unlock schedules (${state.unlockSchedules.length})`);
+  for (const s of state.unlockSchedules) {
+    lines.push(`  #${s.index} ${s.curve}, ${s.percentComplete}% complete, ` +
+      `${s.remainingSec > 0 ? formatDuration(s.remainingSec) + ' remaining' : 'finished'}`);
+    lines.push(`     initial locked shares: ${s.initialLockedShares}, unlocked shares: ${s.unlockedShares}`);
+    if (parseInt(s.startAtSec) > state.timestamp) {
+      lines.push(`     starts at ${new Date(parseInt(s.startAtSec) * 1000).toISOString()}`);
+    }
+    if (parseInt(s.cliffAtSec) > state.timestamp) {
+      lines.push(`     cliff ends at ${new Date(parseInt(s.cliffAtSec) * 1000).toISOString()}`);
+    }
+    lines.push(`     ends at ${new Date(parseInt(s.endAtSec) * 1000).toISOString()}, ` +
+      `duration ${formatDuration(parseInt(s.durationSec))}`);
+  }
+  if (state.extraDistributions.length > 0) {
+    lines.push(`Other distribution tokens (${state.extraDistributions.length})`);
+    for (const d of state.extraDistributions) {
+      lines.push(`  ${d.token}: locked ${formatUnits(web3, d.totalLocked, d.decimals)}, ` +
+        `unlocked ${formatUnits(web3, d.totalUnlocked, d.decimals)}, ${d.unlockScheduleCount} unlock schedules`);
+    }
+  }
+  if (state.accounting) {
+    const a = state.accounting;
+    lines.push(`Accounting for ${a.user}`);
+    lines.push(`  Total locked:                ${dist(a.totalLocked)}`);
+    lines.push(`  Total unlocked:              ${dist(a.totalUnlocked)}`);
+    lines.push(`  User staking share seconds:  ${a.userStakingShareSeconds}`);
+    lines.push(`  Total staking share seconds: ${a.totalStakingShareSeconds}`);
+    lines.push(`  User rewards (max bonus):    ${dist(a.userRewards)}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { inspectGeyser, formatStatus, formatUnits, formatDuration };
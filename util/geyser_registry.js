@@ -0,0 +1,92 @@
+// Reads the geysers registered in a GeyserFactory, and records them in deployments/<network>.yaml
+const _require = require('app-root-path').require;
+const { appendDeployment, findDeployment, loadDeployments, DEPLOYMENTS_DIR } = _require('/util/deployments');
+
+// poolRefs are kept on-chain as right-padded bytes32 strings.
+function poolRefToBytes32 (web3, poolRef) {
+  const hex = web3.utils.utf8ToHex(poolRef);
+  if (!poolRef || hex.length > 66) {
+    throw new Error(`poolRef must be 1 to 32 bytes long: ${poolRef}`);
+  }
+  return web3.utils.padRight(hex, 64);
+}
+
+function bytes32ToPoolRef (web3, value) {
+  return web3.utils.hexToUtf8(value);
+}
+
+function factoryContract (web3, address, artifact) {
+  artifact = artifact || _require('/build/contracts/GeyserFactory.json');
+  return new web3.eth.Contract(artifact.abi, address);
+}
+
+// Returns the registered geysers, in the order they were created.
+async function listRegistry (web3, address, { artifact } = {}) {
+  const m = factoryContract(web3, address, artifact).methods;
+  const count = parseInt(await m.geyserCount().call());
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const e = await m.geysers(i).call();
+    entries.push({
+      index: i,
+      poolRef: bytes32ToPoolRef(web3, e.poolRef),
+      stakingToken: e.stakingToken,
+      distToken: e.distributionToken,
+      deployment: e.geyser
+    });
+  }
+  return entries;
+}
+
+// Appends the registered geysers which are missing from the network's deployments file, with
+// the parameters and transaction of their GeyserCreated event. Returns the new entries.
+// A staking token and poolRef which are already recorded must be recorded for the same geyser.
+// The owner is the current admin of the geyser, which stays the factory until the admin the
+// role was handed over to accepts it.
+async function syncDeployments (web3, address, network,
+  { dir = DEPLOYMENTS_DIR, artifact, geyserArtifact, fromBlock = 0 } = {}) {
+  geyserArtifact = geyserArtifact || _require('/build/contracts/TokenGeyser.json');
+  const factory = factoryContract(web3, address, artifact);
+  const created = {};
+  for (const e of await factory.getPastEvents('GeyserCreated', { fromBlock, toBlock: 'latest' })) {
+    created[e.returnValues.geyser.toLowerCase()] = e;
+  }
+
+  const added = [];
+  for (const r of await listRegistry(web3, address, { artifact })) {
+    const recorded = findDeployment(loadDeployments(network, dir), r.stakingToken, r.poolRef);
+    if (recorded) {
+      if (recorded.deployment.toLowerCase() !== r.deployment.toLowerCase()) {
+        throw new Error(`Deployment ${r.poolRef} of ${r.stakingToken} on ${network} is ` +
+          `${recorded.deployment}, but the registry has ${r.deployment}`);
+      }
+      continue;
+    }
+    const e = created[r.deployment.toLowerCase()];
+    if (!e) {
+      throw new Error(`No GeyserCreated event for ${r.poolRef} at ${r.deployment} from block ${fromBlock}`);
+    }
+    const v = e.returnValues;
+    const geyser = new web3.eth.Contract(geyserArtifact.abi, r.deployment);
+    const entry = {
+      poolRef: r.poolRef,
+      stakingToken: web3.utils.toChecksumAddress(r.stakingToken),
+      distToken: web3.utils.toChecksumAddress(r.distToken),
+      deployment: web3.utils.toChecksumAddress(r.deployment),
+      owner: web3.utils.toChecksumAddress(await geyser.methods.roleHolder(0).call()),
+      params: {
+        maxUnlockSchedules: `${v.maxUnlockSchedules}`,
+        startBonus: `${v.startBonus}`,
+        bonusPeriodSec: `${v.bonusPeriodSec}`,
+        initialSharesPerToken: `${v.initialSharesPerToken}`
+      },
+      blockNumber: e.blockNumber,
+      txHash: e.transactionHash
+    };
+    appendDeployment(network, entry, dir);
+    added.push(entry);
+  }
+  return added;
+}
+
+module.exports = { poolRefToBytes32, bytes32ToPoolRef, listRegistry, syncDeployments };
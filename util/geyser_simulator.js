@@ -0,0 +1,630 @@
+// An off-chain model of the TokenGeyser accounting.
+// It replays the contract's integer math step by step, so rewards, shares and unlocks can be
+// projected for any timestamp without sending a transaction. Every mutating method takes the
+// block timestamp (`now`) it should be evaluated at, and reverts (throws) with the same
+// messages as the contract. A reverted call leaves the model untouched.
+const BN = require('bn.js');
+
+const BONUS_DECIMALS = 2;
+const BONUS_PARAMS_DELAY_SEC = 2 * 24 * 3600;
+const UNLOCK_CURVE_DECIMALS = 4;
+const MAX_UNLOCK_CURVE_POINTS = 16;
+const ZERO = new BN(0);
+
+// Mirrors TokenGeyser.UnlockCurve
+const UnlockCurve = { Linear: 0, PiecewiseLinear: 1, Step: 2 };
+
+function toBN (x) {
+  return BN.isBN(x) ? x : new BN(x);
+}
+
+function key (addr) {
+  return addr.toLowerCase();
+}
+
+function require_ (condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// SafeMath equivalents, with openzeppelin-solidity's revert reasons
+function sub (a, b) {
+  require_(b.lte(a), 'SafeMath: subtraction overflow');
+  return a.sub(b);
+}
+
+function div (a, b) {
+  require_(b.gt(ZERO), 'SafeMath: division by zero');
+  return a.div(b);
+}
+
+function checkBonusParams (startBonus, bonusPeriodSec) {
+  require_(startBonus.lte(new BN(10 ** BONUS_DECIMALS)), 'TokenGeyser: start bonus too high');
+  require_(!bonusPeriodSec.isZero(), 'TokenGeyser: bonus period is zero');
+}
+
+class GeyserSimulator {
+  // params: { maxUnlockSchedules, startBonus, bonusPeriodSec, initialSharesPerToken,
+  //           unitsPerToken }
+  // unitsPerToken is optional, see rebase().
+  // deployedAtSec: timestamp of the block the geyser was deployed in
+  constructor (params, deployedAtSec) {
+    checkBonusParams(toBN(params.startBonus), toBN(params.bonusPeriodSec));
+    require_(toBN(params.initialSharesPerToken).gt(ZERO),
+      'TokenGeyser: initialSharesPerToken is zero');
+
+    // [{ startBonus, bonusPeriodSec, effectiveAtSec }], earliest to latest
+    this.bonusParamsHistory = [{
+      startBonus: toBN(params.startBonus),
+      bonusPeriodSec: toBN(params.bonusPeriodSec),
+      effectiveAtSec: ZERO
+    }];
+    this.maxUnlockSchedules = toBN(params.maxUnlockSchedules);
+    this.initialSharesPerToken = toBN(params.initialSharesPerToken);
+
+    this.totalLockedShares = ZERO;
+    this.totalStakingShares = ZERO;
+    this.totalStakingShareSeconds = ZERO;
+    this.lastAccountingTimestampSec = toBN(deployedAtSec);
+
+    // addr => { stakingShares, stakingShareSeconds, lastAccountingTimestampSec }
+    this.userTotals = {};
+    // addr => [{ stakingShares, timestampSec, lastClaimTimestampSec }], earliest to latest
+    this.userStakes = {};
+    // [{ initialLockedShares, unlockedShares, lastUnlockTimestampSec, endAtSec, durationSec,
+    //    cliffAtSec, curve, curveOffsetsSec, curveUnlockedFractions }]
+    this.unlockSchedules = [];
+
+    // Balances of the staking, unlocked and locked pools, in the token's internal units
+    this.unitsPerToken = toBN(params.unitsPerToken || 1);
+    this.balances = { staking: ZERO, unlocked: ZERO, locked: ZERO };
+  }
+
+  clone () {
+    const c = Object.create(GeyserSimulator.prototype);
+    Object.assign(c, this);
+    c.userTotals = {};
+    Object.keys(this.userTotals).forEach(a => {
+      c.userTotals[a] = Object.assign({}, this.userTotals[a]);
+    });
+    c.userStakes = {};
+    Object.keys(this.userStakes).forEach(a => {
+      c.userStakes[a] = this.userStakes[a].map(s => Object.assign({}, s));
+    });
+    c.unlockSchedules = this.unlockSchedules.map(s => Object.assign({}, s));
+    c.bonusParamsHistory = this.bonusParamsHistory.slice();
+    c.balances = Object.assign({}, this.balances);
+    return c;
+  }
+
+  // Runs fn against a copy of the state and only keeps the result if it does not throw,
+  // the same way a reverted transaction leaves the contract unchanged.
+  _transact (fn) {
+    const next = this.clone();
+    const result = fn(next);
+    Object.assign(this, next);
+    return result;
+  }
+
+  _totalsOf (addr) {
+    const k = key(addr);
+    if (!this.userTotals[k]) {
+      this.userTotals[k] = {
+        stakingShares: ZERO,
+        stakingShareSeconds: ZERO,
+        lastAccountingTimestampSec: ZERO
+      };
+    }
+    return this.userTotals[k];
+  }
+
+  _stakesOf (addr) {
+    const k = key(addr);
+    if (!this.userStakes[k]) {
+      this.userStakes[k] = [];
+    }
+    return this.userStakes[k];
+  }
+
+  _credit (pool, amount) {
+    this.balances[pool] = this.balances[pool].add(amount.mul(this.unitsPerToken));
+  }
+
+  _debit (pool, amount) {
+    this.balances[pool] = sub(this.balances[pool], amount.mul(this.unitsPerToken));
+  }
+
+  // Overrides the pool balances, e.g. with the values read from chain.
+  setBalances ({ staking, unlocked, locked }) {
+    if (staking !== undefined) this.balances.staking = toBN(staking).mul(this.unitsPerToken);
+    if (unlocked !== undefined) this.balances.unlocked = toBN(unlocked).mul(this.unitsPerToken);
+    if (locked !== undefined) this.balances.locked = toBN(locked).mul(this.unitsPerToken);
+  }
+
+  // Rebases a token that is used for both staking and distribution. Like uFragments, the
+  // token holds balances in fixed internal units (gons) and a rebase only changes how many
+  // of them make up one token, so the pools round exactly as the token does.
+  rebase (unitsPerToken) {
+    this.unitsPerToken = toBN(unitsPerToken);
+  }
+
+  totalStaked () {
+    return this.balances.staking.div(this.unitsPerToken);
+  }
+
+  totalLocked () {
+    return this.balances.locked.div(this.unitsPerToken);
+  }
+
+  totalUnlocked () {
+    return this.balances.unlocked.div(this.unitsPerToken);
+  }
+
+  totalStakedFor (addr) {
+    const totals = this.userTotals[key(addr)];
+    return (this.totalStakingShares.gt(ZERO) && totals)
+      ? this.totalStaked().mul(totals.stakingShares).div(this.totalStakingShares) : ZERO;
+  }
+
+  unlockScheduleCount () {
+    return this.unlockSchedules.length;
+  }
+
+  stake (user, amount, now) {
+    return this.stakeFor(user, user, amount, now);
+  }
+
+  stakeFor (staker, beneficiary, amount, now) {
+    return this._transact(s => s._stakeFor(staker, beneficiary, toBN(amount), toBN(now)));
+  }
+
+  _stakeFor (staker, beneficiary, amount, now) {
+    require_(amount.gt(ZERO), 'TokenGeyser: stake amount is zero');
+    require_(beneficiary && !/^0x0{40}$/i.test(beneficiary),
+      'TokenGeyser: beneficiary is zero address');
+    require_(this.totalStakingShares.isZero() || this.totalStaked().gt(ZERO),
+      'TokenGeyser: Invalid state. Staking shares exist, but no staking tokens do');
+
+    const mintedStakingShares = this.totalStakingShares.gt(ZERO)
+      ? div(this.totalStakingShares.mul(amount), this.totalStaked())
+      : amount.mul(this.initialSharesPerToken);
+    require_(mintedStakingShares.gt(ZERO), 'TokenGeyser: Stake amount is too small');
+
+    // Note: like the contract, this updates the staker's accounting, not the beneficiary's.
+    this._updateAccounting(staker, now);
+
+    const totals = this._totalsOf(beneficiary);
+    totals.stakingShares = totals.stakingShares.add(mintedStakingShares);
+    totals.lastAccountingTimestampSec = now;
+    this._stakesOf(beneficiary).push({
+      stakingShares: mintedStakingShares,
+      timestampSec: now,
+      lastClaimTimestampSec: now
+    });
+
+    this.totalStakingShares = this.totalStakingShares.add(mintedStakingShares);
+    this._credit('staking', amount);
+    return mintedStakingShares;
+  }
+
+  unstake (user, amount, now) {
+    return this._transact(s => s._unstake(user, toBN(amount), toBN(now)));
+  }
+
+  // Same as unstake, but the model is left untouched.
+  unstakeQuery (user, amount, now) {
+    return this.clone()._unstake(user, toBN(amount), toBN(now));
+  }
+
+  _unstake (user, amount, now) {
+    this._updateAccounting(user, now);
+
+    require_(amount.gt(ZERO), 'TokenGeyser: unstake amount is zero');
+    require_(this.totalStakedFor(user).gte(amount),
+      'TokenGeyser: unstake amount is greater than total user stakes');
+    const stakingSharesToBurn = div(this.totalStakingShares.mul(amount), this.totalStaked());
+    require_(stakingSharesToBurn.gt(ZERO), 'TokenGeyser: Unable to unstake amount this small');
+
+    const totals = this._totalsOf(user);
+    const accountStakes = this._stakesOf(user);
+
+    // Redeem from most recent stake and go backwards in time.
+    let stakingShareSecondsToBurn = ZERO;
+    let sharesLeftToBurn = stakingSharesToBurn;
+    let rewardAmount = ZERO;
+    while (sharesLeftToBurn.gt(ZERO)) {
+      require_(accountStakes.length > 0, 'invalid opcode');
+      const lastStake = accountStakes[accountStakes.length - 1];
+      const stakeTimeSec = sub(now, lastStake.timestampSec);
+      const accrualTimeSec = sub(now, lastStake.lastClaimTimestampSec);
+      let newStakingShareSecondsToBurn;
+      if (lastStake.stakingShares.lte(sharesLeftToBurn)) {
+        // fully redeem a past stake
+        newStakingShareSecondsToBurn = lastStake.stakingShares.mul(accrualTimeSec);
+        rewardAmount = this.computeNewReward(rewardAmount, newStakingShareSecondsToBurn, stakeTimeSec,
+          lastStake.lastClaimTimestampSec, now);
+        stakingShareSecondsToBurn = stakingShareSecondsToBurn.add(newStakingShareSecondsToBurn);
+        sharesLeftToBurn = sub(sharesLeftToBurn, lastStake.stakingShares);
+        accountStakes.pop();
+      } else {
+        // partially redeem a past stake
+        newStakingShareSecondsToBurn = sharesLeftToBurn.mul(accrualTimeSec);
+        rewardAmount = this.computeNewReward(rewardAmount, newStakingShareSecondsToBurn, stakeTimeSec,
+          lastStake.lastClaimTimestampSec, now);
+        stakingShareSecondsToBurn = stakingShareSecondsToBurn.add(newStakingShareSecondsToBurn);
+        lastStake.stakingShares = sub(lastStake.stakingShares, sharesLeftToBurn);
+        sharesLeftToBurn = ZERO;
+      }
+    }
+    totals.stakingShareSeconds = sub(totals.stakingShareSeconds, stakingShareSecondsToBurn);
+    totals.stakingShares = sub(totals.stakingShares, stakingSharesToBurn);
+
+    this.totalStakingShareSeconds = sub(this.totalStakingShareSeconds, stakingShareSecondsToBurn);
+    this.totalStakingShares = sub(this.totalStakingShares, stakingSharesToBurn);
+
+    this._debit('staking', amount);
+    this._debit('unlocked', rewardAmount);
+
+    require_(this.totalStakingShares.isZero() || this.totalStaked().gt(ZERO),
+      'TokenGeyser: Error unstaking. Staking shares exist, but no staking tokens do');
+    return rewardAmount;
+  }
+
+  claim (user, now) {
+    return this._transact(s => s._claim(user, toBN(now)));
+  }
+
+  _claim (user, now) {
+    this._updateAccounting(user, now);
+
+    const totals = this._totalsOf(user);
+    let stakingShareSecondsToBurn = ZERO;
+    let rewardAmount = ZERO;
+    for (const s of this._stakesOf(user)) {
+      const stakeTimeSec = sub(now, s.timestampSec);
+      const newStakingShareSecondsToBurn = s.stakingShares.mul(sub(now, s.lastClaimTimestampSec));
+      if (newStakingShareSecondsToBurn.isZero()) {
+        continue;
+      }
+      rewardAmount = this.computeNewReward(rewardAmount, newStakingShareSecondsToBurn, stakeTimeSec,
+        s.lastClaimTimestampSec, now);
+      stakingShareSecondsToBurn = stakingShareSecondsToBurn.add(newStakingShareSecondsToBurn);
+      s.lastClaimTimestampSec = now;
+    }
+    totals.stakingShareSeconds = sub(totals.stakingShareSeconds, stakingShareSecondsToBurn);
+    this.totalStakingShareSeconds = sub(this.totalStakingShareSeconds, stakingShareSecondsToBurn);
+    this._debit('unlocked', rewardAmount);
+    return rewardAmount;
+  }
+
+  emergencyUnstake (user, now) {
+    return this._transact(s => s._emergencyUnstake(user, toBN(now)));
+  }
+
+  _emergencyUnstake (user, now) {
+    this._updateStakingShareSeconds(user, now);
+
+    const totals = this._totalsOf(user);
+    const stakingSharesToBurn = totals.stakingShares;
+    require_(stakingSharesToBurn.gt(ZERO), 'TokenGeyser: no stake to withdraw');
+    const amount = this.totalStakedFor(user);
+
+    const stakingShareSecondsToBurn = totals.stakingShareSeconds;
+    totals.stakingShareSeconds = ZERO;
+    totals.stakingShares = ZERO;
+    this.userStakes[key(user)] = [];
+
+    this.totalStakingShareSeconds = sub(this.totalStakingShareSeconds, stakingShareSecondsToBurn);
+    this.totalStakingShares = sub(this.totalStakingShares, stakingSharesToBurn);
+    this._debit('staking', amount);
+
+    require_(this.totalStakingShares.isZero() || this.totalStaked().gt(ZERO),
+      'TokenGeyser: Error unstaking. Staking shares exist, but no staking tokens do');
+    return amount;
+  }
+
+  // The share-seconds were accrued evenly from accrualStartSec until now. Each segment of that
+  // time is rewarded with the bonus params which were in effect during it.
+  computeNewReward (currentRewardTokens, stakingShareSeconds, stakeTimeSec, accrualStartSec, now) {
+    let rewardTokens = currentRewardTokens;
+    let shareSecondsLeft = stakingShareSeconds;
+    let segmentEndSec = now;
+    for (let c = this.bonusParamsHistory.length; c > 0 && shareSecondsLeft.gt(ZERO); c--) {
+      const params = this.bonusParamsHistory[c - 1];
+      if (params.effectiveAtSec.gte(segmentEndSec)) {
+        continue;
+      }
+      const segmentStartSec = BN.max(params.effectiveAtSec, accrualStartSec);
+      const segmentShareSeconds = segmentStartSec.eq(accrualStartSec)
+        ? shareSecondsLeft
+        : div(stakingShareSeconds.mul(sub(segmentEndSec, segmentStartSec)), sub(now, accrualStartSec));
+      rewardTokens = this._bonusedReward(rewardTokens, params, segmentShareSeconds, stakeTimeSec);
+      shareSecondsLeft = sub(shareSecondsLeft, segmentShareSeconds);
+      segmentEndSec = segmentStartSec;
+    }
+    return rewardTokens;
+  }
+
+  _bonusedReward (currentRewardTokens, params, stakingShareSeconds, stakeTimeSec) {
+    const newRewardTokens = div(
+      this.totalUnlocked().mul(stakingShareSeconds), this.totalStakingShareSeconds);
+
+    if (stakeTimeSec.gte(params.bonusPeriodSec)) {
+      return currentRewardTokens.add(newRewardTokens);
+    }
+
+    const oneHundredPct = new BN(10 ** BONUS_DECIMALS);
+    const bonusedReward = params.startBonus
+      .add(sub(oneHundredPct, params.startBonus).mul(stakeTimeSec).div(params.bonusPeriodSec))
+      .mul(newRewardTokens)
+      .div(oneHundredPct);
+    return currentRewardTokens.add(bonusedReward);
+  }
+
+  // Returns the bonus params in effect at now.
+  bonusParams (now) {
+    const h = this.bonusParamsHistory;
+    return h[h.length - 1].effectiveAtSec.gt(toBN(now)) ? h[h.length - 2] : h[h.length - 1];
+  }
+
+  scheduleBonusParams (startBonus, bonusPeriodSec, now) {
+    return this._transact(s => s._scheduleBonusParams(toBN(startBonus), toBN(bonusPeriodSec), toBN(now)));
+  }
+
+  _scheduleBonusParams (startBonus, bonusPeriodSec, now) {
+    checkBonusParams(startBonus, bonusPeriodSec);
+    const h = this.bonusParamsHistory;
+    require_(h[h.length - 1].effectiveAtSec.lte(now), 'TokenGeyser: bonus params change already pending');
+    const effectiveAtSec = now.addn(BONUS_PARAMS_DELAY_SEC);
+    h.push({ startBonus, bonusPeriodSec, effectiveAtSec });
+    return effectiveAtSec;
+  }
+
+  cancelBonusParams (now) {
+    return this._transact(s => {
+      const h = s.bonusParamsHistory;
+      require_(h[h.length - 1].effectiveAtSec.gt(toBN(now)), 'TokenGeyser: no bonus params change pending');
+      h.pop();
+    });
+  }
+
+  // Returns the same tuple as the contract:
+  // [totalLocked, totalUnlocked, userStakingShareSeconds, totalStakingShareSeconds,
+  //  totalUserRewards, now]
+  updateAccounting (user, now) {
+    return this._transact(s => s._updateAccounting(user, toBN(now)));
+  }
+
+  _updateAccounting (user, now) {
+    this._unlockTokens(now);
+    this._updateStakingShareSeconds(user, now);
+
+    const totals = this._totalsOf(user);
+    const totalUserRewards = this.totalStakingShareSeconds.gt(ZERO)
+      ? this.totalUnlocked().mul(totals.stakingShareSeconds).div(this.totalStakingShareSeconds)
+      : ZERO;
+
+    return [
+      this.totalLocked(),
+      this.totalUnlocked(),
+      totals.stakingShareSeconds,
+      this.totalStakingShareSeconds,
+      totalUserRewards,
+      now
+    ];
+  }
+
+  // owner: the account calling lockTokens, whose user accounting gets updated along the way
+  _updateStakingShareSeconds (user, now) {
+    const newStakingShareSeconds = sub(now, this.lastAccountingTimestampSec)
+      .mul(this.totalStakingShares);
+    this.totalStakingShareSeconds = this.totalStakingShareSeconds.add(newStakingShareSeconds);
+    this.lastAccountingTimestampSec = now;
+
+    const totals = this._totalsOf(user);
+    const newUserStakingShareSeconds = sub(now, totals.lastAccountingTimestampSec)
+      .mul(totals.stakingShares);
+    totals.stakingShareSeconds = totals.stakingShareSeconds.add(newUserStakingShareSeconds);
+    totals.lastAccountingTimestampSec = now;
+  }
+
+  lockTokens (owner, amount, durationSec, now) {
+    return this.lockTokensWithSchedule(owner, amount, durationSec, 0, 0, now);
+  }
+
+  lockTokensWithSchedule (owner, amount, durationSec, startAtSec, cliffSec, now) {
+    now = toBN(now);
+    startAtSec = BN.max(toBN(startAtSec), now);
+    return this._transact(s => s._lockTokens(owner, toBN(amount), toBN(durationSec), startAtSec,
+      toBN(cliffSec), now));
+  }
+
+  _lockTokens (owner, amount, durationSec, startAtSec, cliffSec, now) {
+    require_(cliffSec.lte(durationSec), 'TokenGeyser: cliff is longer than duration');
+
+    // Fully unlocked schedules are retired by the unlock before checking the limit.
+    this._updateAccounting(owner, now);
+    require_(this.maxUnlockSchedules.gtn(this.unlockSchedules.length),
+      'TokenGeyser: reached maximum unlock schedules');
+
+    const mintedLockedShares = this._sharesToMint(amount);
+
+    this.unlockSchedules.push({
+      initialLockedShares: mintedLockedShares,
+      unlockedShares: ZERO,
+      lastUnlockTimestampSec: startAtSec,
+      endAtSec: startAtSec.add(durationSec),
+      durationSec: durationSec,
+      cliffAtSec: startAtSec.add(cliffSec),
+      curve: UnlockCurve.Linear,
+      curveOffsetsSec: [],
+      curveUnlockedFractions: []
+    });
+
+    this.totalLockedShares = this.totalLockedShares.add(mintedLockedShares);
+    this._credit('locked', amount);
+    return mintedLockedShares;
+  }
+
+  lockTokensWithCurve (owner, amount, durationSec, startAtSec, cliffSec, curve, offsetsSec,
+    unlockedFractions, now) {
+    now = toBN(now);
+    startAtSec = BN.max(toBN(startAtSec), now);
+    return this._transact(s => {
+      const minted = s._lockTokens(owner, toBN(amount), toBN(durationSec), startAtSec,
+        toBN(cliffSec), now);
+      s._setUnlockCurve(s.unlockSchedules[s.unlockSchedules.length - 1], curve,
+        offsetsSec.map(toBN), unlockedFractions.map(toBN));
+      return minted;
+    });
+  }
+
+  _setUnlockCurve (schedule, curve, offsetsSec, unlockedFractions) {
+    require_(offsetsSec.length === unlockedFractions.length,
+      'TokenGeyser: curve offsets and fractions differ in length');
+    require_(offsetsSec.length <= MAX_UNLOCK_CURVE_POINTS, 'TokenGeyser: too many curve points');
+    require_((curve === UnlockCurve.Linear) === (offsetsSec.length === 0),
+      'TokenGeyser: only non-linear curves have points');
+
+    let prevOffsetSec = ZERO;
+    let prevFraction = ZERO;
+    for (let i = 0; i < offsetsSec.length; i++) {
+      require_(offsetsSec[i].gt(prevOffsetSec) && offsetsSec[i].lt(schedule.durationSec),
+        'TokenGeyser: curve offsets must increase within the duration');
+      require_(unlockedFractions[i].gte(prevFraction) &&
+        unlockedFractions[i].lte(new BN(10 ** UNLOCK_CURVE_DECIMALS)),
+      'TokenGeyser: curve fractions must increase up to 100%');
+      prevOffsetSec = offsetsSec[i];
+      prevFraction = unlockedFractions[i];
+    }
+
+    schedule.curve = curve;
+    schedule.curveOffsetsSec = offsetsSec;
+    schedule.curveUnlockedFractions = unlockedFractions;
+  }
+
+  // Donations to the unlocked pool are shared by the stakers right away.
+  donate (donor, amount, now) {
+    return this._transact(s => s._donate(toBN(amount)));
+  }
+
+  _donate (amount) {
+    require_(amount.gt(ZERO), 'TokenGeyser: donation amount is zero');
+    this._credit('unlocked', amount);
+  }
+
+  // Donations to a schedule scale up its unlocked and initial shares along with its remaining
+  // locked shares, so the donated tokens unlock along its curve. Returns the minted shares.
+  donateToSchedule (donor, s, endAtSec, amount, now) {
+    return this._transact(next => next._donateToSchedule(s, toBN(endAtSec), toBN(amount), toBN(now)));
+  }
+
+  _donateToSchedule (s, endAtSec, amount, now) {
+    this._unlockTokens(now);
+    require_(amount.gt(ZERO), 'TokenGeyser: donation amount is zero');
+    const schedule = this.unlockSchedules[s];
+    require_(schedule.endAtSec.eq(endAtSec), 'TokenGeyser: unlock schedule has changed');
+    const lockedShares = sub(schedule.initialLockedShares, schedule.unlockedShares);
+    require_(now.lt(schedule.endAtSec) && lockedShares.gt(ZERO), 'TokenGeyser: unlock schedule has ended');
+
+    const mintedLockedShares = this._sharesToMint(amount);
+    const newLockedShares = lockedShares.add(mintedLockedShares);
+    schedule.unlockedShares = schedule.unlockedShares.mul(newLockedShares).div(lockedShares);
+    schedule.initialLockedShares = schedule.unlockedShares.add(newLockedShares);
+    this.totalLockedShares = this.totalLockedShares.add(mintedLockedShares);
+    this._credit('locked', amount);
+    return mintedLockedShares;
+  }
+
+  _sharesToMint (amount) {
+    const lockedTokens = this.totalLocked();
+    return lockedTokens.gt(ZERO)
+      ? this.totalLockedShares.mul(amount).div(lockedTokens)
+      : amount.mul(this.initialSharesPerToken);
+  }
+
+  unlockTokens (now) {
+    return this._transact(s => s._unlockTokens(toBN(now)));
+  }
+
+  _unlockTokens (now) {
+    let unlockedTokens;
+    const lockedTokens = this.totalLocked();
+
+    if (this.totalLockedShares.isZero()) {
+      unlockedTokens = lockedTokens;
+    } else {
+      let unlockedShares = ZERO;
+      for (let s = 0; s < this.unlockSchedules.length; s++) {
+        unlockedShares = unlockedShares.add(this._unlockScheduleShares(s, now));
+      }
+      unlockedTokens = div(unlockedShares.mul(lockedTokens), this.totalLockedShares);
+      this.totalLockedShares = sub(this.totalLockedShares, unlockedShares);
+    }
+    this.unlockSchedules = this.unlockSchedules.filter(s => s.unlockedShares.lt(s.initialLockedShares));
+
+    if (unlockedTokens.gt(ZERO)) {
+      this._debit('locked', unlockedTokens);
+      this._credit('unlocked', unlockedTokens);
+    }
+
+    return unlockedTokens;
+  }
+
+  _unlockScheduleShares (s, now) {
+    const schedule = this.unlockSchedules[s];
+
+    if (schedule.unlockedShares.gte(schedule.initialLockedShares) || now.lt(schedule.cliffAtSec)) {
+      return ZERO;
+    }
+
+    let sharesToUnlock;
+    // Special case to handle any leftover dust from integer division
+    if (now.gte(schedule.endAtSec)) {
+      sharesToUnlock = sub(schedule.initialLockedShares, schedule.unlockedShares);
+      schedule.lastUnlockTimestampSec = schedule.endAtSec;
+    } else if (schedule.curve === UnlockCurve.Linear) {
+      sharesToUnlock = div(
+        sub(now, schedule.lastUnlockTimestampSec).mul(schedule.initialLockedShares),
+        schedule.durationSec);
+      schedule.lastUnlockTimestampSec = now;
+    } else {
+      const elapsedSec = sub(now, sub(schedule.endAtSec, schedule.durationSec));
+      const curveShares = this._curveUnlockedShares(schedule, elapsedSec);
+      sharesToUnlock = curveShares.gt(schedule.unlockedShares)
+        ? curveShares.sub(schedule.unlockedShares) : ZERO;
+      schedule.lastUnlockTimestampSec = now;
+    }
+
+    schedule.unlockedShares = schedule.unlockedShares.add(sharesToUnlock);
+    return sharesToUnlock;
+  }
+
+  _curveUnlockedShares (schedule, elapsedSec) {
+    const oneHundredPct = new BN(10 ** UNLOCK_CURVE_DECIMALS);
+    let prevOffsetSec = ZERO;
+    let prevFraction = ZERO;
+    const n = schedule.curveOffsetsSec.length;
+    for (let i = 0; i <= n; i++) {
+      // The curve implicitly ends at 100% at the end of the schedule.
+      const offsetSec = i < n ? schedule.curveOffsetsSec[i] : schedule.durationSec;
+      const fraction = i < n ? schedule.curveUnlockedFractions[i] : oneHundredPct;
+      if (elapsedSec.lt(offsetSec)) {
+        if (schedule.curve === UnlockCurve.Step) {
+          return schedule.initialLockedShares.mul(prevFraction).div(oneHundredPct);
+        }
+        const segmentSec = offsetSec.sub(prevOffsetSec);
+        const interpolated = prevFraction.mul(segmentSec)
+          .add(fraction.sub(prevFraction).mul(elapsedSec.sub(prevOffsetSec)));
+        return schedule.initialLockedShares.mul(interpolated).div(oneHundredPct.mul(segmentSec));
+      }
+      prevOffsetSec = offsetSec;
+      prevFraction = fraction;
+    }
+    return schedule.initialLockedShares;
+  }
+}
+
+GeyserSimulator.UnlockCurve = UnlockCurve;
+GeyserSimulator.BONUS_PARAMS_DELAY_SEC = BONUS_PARAMS_DELAY_SEC;
+
+module.exports = GeyserSimulator;
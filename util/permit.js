@@ -0,0 +1,119 @@
+// Builds and signs EIP-2612 permits, to approve a geyser and stake in one transaction with
+// TokenGeyser.stakeWithPermit.
+//
+// The typed data follows EIP-712 and can be handed to any wallet supporting eth_signTypedData.
+// The digest is also computed locally, so that it can be checked against the token.
+const PERMIT_ABI = [{
+  constant: true,
+  inputs: [],
+  name: 'name',
+  outputs: [{ name: '', type: 'string' }],
+  payable: false,
+  stateMutability: 'view',
+  type: 'function'
+}, {
+  constant: true,
+  inputs: [{ name: 'owner', type: 'address' }],
+  name: 'nonces',
+  outputs: [{ name: '', type: 'uint256' }],
+  payable: false,
+  stateMutability: 'view',
+  type: 'function'
+}];
+
+const EIP712_DOMAIN = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'chainId', type: 'uint256' },
+  { name: 'verifyingContract', type: 'address' }
+];
+
+const PERMIT = [
+  { name: 'owner', type: 'address' },
+  { name: 'spender', type: 'address' },
+  { name: 'value', type: 'uint256' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'deadline', type: 'uint256' }
+];
+
+function typeString (name, fields) {
+  return `${name}(${fields.map(f => `${f.type} ${f.name}`).join(',')})`;
+}
+
+// Hashes a struct whose fields are all atomic or strings, which is all a permit has.
+function hashStruct (web3, name, fields, values) {
+  const types = ['bytes32'].concat(fields.map(f => f.type === 'string' ? 'bytes32' : f.type));
+  const encoded = [web3.utils.keccak256(typeString(name, fields))].concat(fields.map(f =>
+    f.type === 'string' ? web3.utils.keccak256(values[f.name]) : values[f.name].toString()));
+  return web3.utils.keccak256(web3.eth.abi.encodeParameters(types, encoded));
+}
+
+// Returns the EIP-712 typed data of a permit of value tokens for spender, signed by owner.
+// options: { nonce, chainId, name, version }, read from the token and the chain when not given.
+async function permitTypedData (web3, token, owner, spender, value, deadline, options = {}) {
+  const t = new web3.eth.Contract(PERMIT_ABI, token);
+  const nonce = (options.nonce !== undefined) ? options.nonce : await t.methods.nonces(owner).call();
+  return {
+    types: { EIP712Domain: EIP712_DOMAIN, Permit: PERMIT },
+    primaryType: 'Permit',
+    domain: {
+      name: options.name || await t.methods.name().call(),
+      version: options.version || '1',
+      chainId: parseInt(options.chainId || await web3.eth.getChainId()),
+      verifyingContract: web3.utils.toChecksumAddress(token)
+    },
+    message: {
+      owner: web3.utils.toChecksumAddress(owner),
+      spender: web3.utils.toChecksumAddress(spender),
+      value: value.toString(),
+      nonce: nonce.toString(),
+      deadline: deadline.toString()
+    }
+  };
+}
+
+function domainSeparator (web3, typedData) {
+  return hashStruct(web3, 'EIP712Domain', EIP712_DOMAIN, typedData.domain);
+}
+
+// Returns the digest the token recovers the signer from.
+function permitDigest (web3, typedData) {
+  const structHash = hashStruct(web3, 'Permit', PERMIT, typedData.message);
+  return web3.utils.keccak256('0x1901' + domainSeparator(web3, typedData).slice(2) + structHash.slice(2));
+}
+
+// Splits a 65 byte signature into the v, r and s arguments of permit.
+function splitSignature (signature) {
+  const sig = signature.startsWith('0x') ? signature.slice(2) : signature;
+  if (sig.length !== 130) {
+    throw new Error(`Invalid signature length: ${signature}`);
+  }
+  let v = parseInt(sig.slice(128, 130), 16);
+  if (v < 27) {
+    v += 27;
+  }
+  return { v: v, r: '0x' + sig.slice(0, 64), s: '0x' + sig.slice(64, 128) };
+}
+
+// Has owner sign a permit with the node's eth_signTypedData, and returns the arguments
+// stakeWithPermit takes after the amount: { deadline, v, r, s }.
+async function signPermit (web3, token, owner, spender, value, deadline, options = {}) {
+  const typedData = await permitTypedData(web3, token, owner, spender, value, deadline, options);
+  const method = options.method || 'eth_signTypedData';
+  const signature = await new Promise((resolve, reject) => {
+    web3.currentProvider.send({
+      jsonrpc: '2.0',
+      method: method,
+      params: [owner, typedData],
+      id: new Date().getTime()
+    }, (e, r) => {
+      if (e || r.error) {
+        return reject(e || new Error(r.error.message));
+      }
+      resolve(r.result);
+    });
+  });
+  return Object.assign({ deadline: deadline.toString() }, splitSignature(signature));
+}
+
+module.exports = { permitTypedData, permitDigest, domainSeparator, splitSignature, signPermit };
@@ -0,0 +1,51 @@
+// Encodes and decodes the referral codes passed as data to TokenGeyser stake, stakeFor and
+// unstake, and reports the tallies the indexer keeps for them.
+//
+// A referral code is exactly 32 bytes of data. Codes are usually short names, e.g. the id of a
+// partner, which are right-padded with zeros, but any bytes32 works. Data of another length is
+// echoed in the events, but is not a referral code.
+
+// Returns the bytes32 data of the code: a 0x prefixed hex string of at most 32 bytes is kept as
+// is, anything else is taken as UTF-8 text.
+function encodeReferralCode (web3, code) {
+  const hex = web3.utils.isHexStrict(code) ? code : web3.utils.utf8ToHex(code);
+  if (hex.length > 66) {
+    throw new Error(`Referral code longer than 32 bytes: ${code}`);
+  }
+  return web3.utils.padRight(hex, 64).toLowerCase();
+}
+
+// Returns the code of the data of a Staked or Unstaked event, as text when it is printable and as
+// hex otherwise, or null when the data is not a referral code.
+function decodeReferralCode (web3, data) {
+  if (!data || data.length !== 66) {
+    return null;
+  }
+  const trimmed = data.replace(/(00)+$/, '');
+  if (trimmed.length > 2) {
+    try {
+      // hexToUtf8 also drops leading zeros, so the text must encode back to the same data.
+      const text = web3.utils.hexToUtf8(trimmed);
+      if (/^[\x20-\x7e]+$/.test(text) && encodeReferralCode(web3, text) === data.toLowerCase()) {
+        return text;
+      }
+    } catch (e) {
+      // not UTF-8
+    }
+  }
+  return data.toLowerCase();
+}
+
+// Formats the referral tallies of an indexer state, keyed by the bytes32 data, highest staked first.
+function formatReferrals (web3, referrals) {
+  const codes = Object.keys(referrals).sort((a, b) => referrals[b].staked.cmp(referrals[a].staked));
+  const lines = [`Referral codes (${codes.length})`];
+  for (const data of codes) {
+    const r = referrals[data];
+    lines.push(`  ${decodeReferralCode(web3, data)}: staked ${r.staked} in ${r.stakes} stakes, ` +
+      `unstaked ${r.unstaked} in ${r.unstakes} unstakes`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { encodeReferralCode, decodeReferralCode, formatReferrals };